@@ -4,17 +4,17 @@ const path = require('path');
 const { exec } = require('child_process');
 const { print, warn, error } = require('../core/logger');
 const { PACKAGE_AUTHOR, PACKAGE_NAME, MODULE_ACCESS_NAME, FALLBACK_VERSION } = require('../core/constants');
-const { getVersionFromWallyToml, hasWorkspaceFolders, getWorkspaceRoot } = require('../utils/wallyUtils');
+const { getVersionFromWallyToml } = require('../utils/wallyUtils');
+const { pickWorkspaceFolder } = require('../utils/workspaceUtils');
 
-async function getLatestVersion() {
+async function getLatestVersion(workspaceRoot) {
     return new Promise((resolve, reject) => {
         exec(`wally search ${PACKAGE_NAME}`, (error, stdout, stderr) => {
             if (error) {
                 warn('Failed to fetch latest version from wally, trying fallback to local wally.toml:', error.message);
                 
                 // Try fallback to local wally.toml
-                if (hasWorkspaceFolders()) {
-                    const workspaceRoot = getWorkspaceRoot();
+                if (workspaceRoot) {
                     const fallbackVersion = getVersionFromWallyToml(workspaceRoot, {
                         addCaretPrefix: true,
                         logContext: 'wally search fallback'
@@ -49,8 +49,7 @@ async function getLatestVersion() {
                 // If we can't parse the version from wally search, try fallback
                 warn('Could not parse version from wally search output, trying fallback');
                 
-                if (hasWorkspaceFolders()) {
-                    const workspaceRoot = getWorkspaceRoot();
+                if (workspaceRoot) {
                     const fallbackVersion = getVersionFromWallyToml(workspaceRoot, {
                         addCaretPrefix: true,
                         logContext: 'wally parse fallback'
@@ -67,8 +66,7 @@ async function getLatestVersion() {
                 warn('Error parsing wally search output:', parseError.message);
                 
                 // Try fallback before giving up
-                if (hasWorkspaceFolders()) {
-                    const workspaceRoot = getWorkspaceRoot();
+                if (workspaceRoot) {
                     const fallbackVersion = getVersionFromWallyToml(workspaceRoot, {
                         addCaretPrefix: true,
                         logContext: 'parse error fallback'
@@ -86,13 +84,13 @@ async function getLatestVersion() {
 }
 
 async function downloadLuauModule(context) {
-    // Check if workspace is available
-    if (!hasWorkspaceFolders()) {
-        vscode.window.showErrorMessage(`RequireOnRails: Please open a workspace folder first.`);
+    // Check if workspace is available and pick the folder to install into
+    const workspaceFolder = await pickWorkspaceFolder('module installation');
+    if (!workspaceFolder) {
         return;
     }
 
-    const workspaceRoot = getWorkspaceRoot();
+    const workspaceRoot = workspaceFolder.uri.fsPath;
 
     // Ask user for installation method
     const installMethod = await vscode.window.showQuickPick([
@@ -149,7 +147,7 @@ async function installViaWally(workspaceRoot) {
             vscode.window.showInformationMessage(`RequireOnRails: Already exists in wally.toml dependencies.`);
         } else {
             // Add RequireOnRails to dependencies
-            const latestVersion = await getLatestVersion();
+            const latestVersion = await getLatestVersion(workspaceRoot);
             const dependencyLine = `${MODULE_ACCESS_NAME} = "${PACKAGE_AUTHOR}/${PACKAGE_NAME}@${latestVersion}"`;
 
             if (wallyContent.includes('[dependencies]')) {
@@ -184,7 +182,7 @@ async function installViaWally(workspaceRoot) {
 }
 
 async function createWallyToml(wallyTomlPath) {
-    const latestVersion = await getLatestVersion();
+    const latestVersion = await getLatestVersion(path.dirname(wallyTomlPath));
     
     const wallyTemplate = `[package]
 name = "username/project-name"
@@ -0,0 +1,260 @@
+const vscode = require('vscode');
+const path = require('path');
+const { print, warn } = require('../core/logger');
+const { getAliasResult, resolveModuleFile, resolveAliasRequire, getRequirePathForModule } = require('../core/aliasResolver');
+const { listSourceFiles } = require('../core/requireGraph');
+const { createRojoInstanceMap } = require('../utils/rojoUtils');
+const {
+    getLineAndCharacter,
+    findRequireCalls,
+    findServiceVariables,
+    parseInstancePath,
+    resolveInstanceSegments,
+    formatInstancePath
+} = require('../utils/instancePathUtils');
+const { SELENE_IMPORT_COMMENT, getImportInsertion, hasValidImportRequire } = require('../features/addImportToFiles');
+const { getCommonConfig, pickWorkspaceFolder, getWorkspaceFolderName, readSourceFile } = require('../utils/workspaceUtils');
+
+/**
+ * Works out how the instance-path requires of one file are rewritten to alias requires
+ * @param {object} result - Alias generation result of the file's workspace folder
+ * @param {object} instanceMap - Rojo instance map, see createRojoInstanceMap
+ * @param {string} filePath - Absolute path of the file
+ * @param {string} content - Content of the file
+ * @returns {{replacements: {start: number, end: number, text: string}[], unresolved: string[], needsImport: boolean}} - Offsets of the
+ * require arguments to replace, the instance paths no module or alias was found for, and whether the import line is missing
+ */
+function planRequireMigration(result, instanceMap, filePath, content) {
+    const serviceVariables = findServiceVariables(content);
+    const scriptSegments = instanceMap.getInstanceSegments(filePath);
+    const replacements = [];
+    const unresolved = [];
+
+    for (const call of findRequireCalls(content)) {
+        if (call.isImportDefinition) continue;
+
+        const instancePath = parseInstancePath(call.argument, serviceVariables);
+        if (!instancePath) continue;
+
+        const segments = resolveInstanceSegments(instancePath, scriptSegments);
+        const fileSystemPath = segments && instanceMap.getFileSystemPath(segments);
+        const modulePath = fileSystemPath && resolveModuleFile(fileSystemPath);
+        const requirePath = modulePath && path.resolve(modulePath) !== path.resolve(filePath)
+            ? getRequirePathForModule(result, filePath, modulePath)
+            : null;
+        if (!requirePath) {
+            unresolved.push(call.argument);
+            continue;
+        }
+        replacements.push({ start: call.argStart, end: call.argEnd, text: JSON.stringify(requirePath) });
+    }
+
+    const { importModulePaths } = getCommonConfig(filePath);
+    const needsImport = replacements.length > 0 && !hasValidImportRequire(content, importModulePaths);
+    return { replacements, unresolved, needsImport };
+}
+
+// Converts an offset in text to a position
+function offsetToPosition(content, offset) {
+    const { line, character } = getLineAndCharacter(content, offset);
+    return new vscode.Position(line, character);
+}
+
+/**
+ * Builds one workspace edit that migrates the instance-path requires of every Luau file in the scan roots
+ * @param {object} result - Alias generation result of the workspace folder
+ * @param {object} instanceMap - Rojo instance map of the workspace folder
+ * @returns {{edit: vscode.WorkspaceEdit, fileCount: number, requireCount: number, unresolvedCount: number}} - Edit and summary
+ */
+function buildMigrationEdit(result, instanceMap) {
+    const { importModulePaths, preferredImportPlacement } = getCommonConfig(result.workspaceFolder);
+    const pathsArray = Array.isArray(importModulePaths) ? importModulePaths : [importModulePaths];
+    const defaultImportModulePath = pathsArray[0];
+    const workspaceRoot = result.workspaceFolder.uri.fsPath;
+
+    const edit = new vscode.WorkspaceEdit();
+    const summary = { edit, fileCount: 0, requireCount: 0, unresolvedCount: 0 };
+
+    for (const filePath of listSourceFiles(result)) {
+        const content = readSourceFile(filePath);
+        const plan = planRequireMigration(result, instanceMap, filePath, content);
+        const relativePath = path.relative(workspaceRoot, filePath).replace(/\\/g, '/');
+        plan.unresolved.forEach(argument => warn(`Could not map require(${argument}) in ${relativePath} to an alias`));
+        summary.unresolvedCount += plan.unresolved.length;
+        if (plan.replacements.length === 0) continue;
+
+        // Every change needs confirmation so the whole migration opens in the refactor preview
+        const uri = vscode.Uri.file(filePath);
+        const metadata = { label: `Migrate requires in ${relativePath}`, needsConfirmation: true };
+        for (const { start, end, text } of plan.replacements) {
+            edit.replace(uri, new vscode.Range(offsetToPosition(content, start), offsetToPosition(content, end)), text, metadata);
+        }
+        if (plan.needsImport && defaultImportModulePath) {
+            const { insertLine, linesToInsert } = getImportInsertion(content.split('\n'), filePath, defaultImportModulePath, preferredImportPlacement);
+            edit.insert(uri, new vscode.Position(insertLine, 0), linesToInsert.join('\n') + '\n', metadata);
+        }
+        summary.fileCount++;
+        summary.requireCount += plan.replacements.length;
+    }
+    return summary;
+}
+
+/**
+ * Works out how the alias requires of one file are rewritten to instance-path requires
+ * @param {object} result - Alias generation result of the file's workspace folder
+ * @param {object} instanceMap - Rojo instance map, see createRojoInstanceMap
+ * @param {string} filePath - Absolute path of the file
+ * @param {string} content - Content of the file
+ * @returns {{replacements: {start: number, end: number, text: string}[], unresolved: string[], importLines: number[]}} - Offsets of
+ * the require arguments to replace, the require paths that could not be mapped, and the lines of the import definition
+ * (with its selene comment) to remove. The import is kept while unmapped alias requires still need it.
+ */
+function planRequireEjection(result, instanceMap, filePath, content) {
+    const scriptSegments = instanceMap.getInstanceSegments(filePath);
+    const replacements = [];
+    const unresolved = [];
+
+    for (const call of findRequireCalls(content)) {
+        const literal = call.argument.match(/^(["'`])(@[^"'`\r\n]*)\1$/);
+        if (!literal) continue;
+
+        const resolved = resolveAliasRequire(result, filePath, literal[2]);
+        const targetSegments = resolved && resolved.modulePath && instanceMap.getInstanceSegments(resolved.modulePath);
+        const instancePath = targetSegments && formatInstancePath(targetSegments, scriptSegments);
+        if (!instancePath) {
+            unresolved.push(literal[2]);
+            continue;
+        }
+        replacements.push({ start: call.argStart, end: call.argEnd, text: instancePath });
+    }
+
+    const importLines = [];
+    if (unresolved.length === 0) {
+        const { importModulePaths } = getCommonConfig(filePath);
+        const lines = content.split('\n');
+        lines.forEach((line, index) => {
+            if (!hasValidImportRequire(line, importModulePaths)) return;
+            if (index > 0 && lines[index - 1].trim() === SELENE_IMPORT_COMMENT) {
+                importLines.push(index - 1);
+            }
+            importLines.push(index);
+        });
+    }
+    return { replacements, unresolved, importLines };
+}
+
+/**
+ * Builds one workspace edit that ejects the alias requires of every Luau file in the scan roots
+ * @param {object} result - Alias generation result of the workspace folder
+ * @param {object} instanceMap - Rojo instance map of the workspace folder
+ * @returns {{edit: vscode.WorkspaceEdit, fileCount: number, requireCount: number, unresolvedCount: number}} - Edit and summary
+ */
+function buildEjectionEdit(result, instanceMap) {
+    const workspaceRoot = result.workspaceFolder.uri.fsPath;
+    const edit = new vscode.WorkspaceEdit();
+    const summary = { edit, fileCount: 0, requireCount: 0, unresolvedCount: 0 };
+
+    for (const filePath of listSourceFiles(result)) {
+        const content = readSourceFile(filePath);
+        const plan = planRequireEjection(result, instanceMap, filePath, content);
+        const relativePath = path.relative(workspaceRoot, filePath).replace(/\\/g, '/');
+        plan.unresolved.forEach(requirePath => warn(`Could not map require("${requirePath}") in ${relativePath} to an instance path, kept its import line`));
+        summary.unresolvedCount += plan.unresolved.length;
+        if (plan.replacements.length === 0 && plan.importLines.length === 0) continue;
+
+        const uri = vscode.Uri.file(filePath);
+        const metadata = { label: `Eject requires in ${relativePath}`, needsConfirmation: true };
+        for (const { start, end, text } of plan.replacements) {
+            edit.replace(uri, new vscode.Range(offsetToPosition(content, start), offsetToPosition(content, end)), text, metadata);
+        }
+        for (const line of plan.importLines) {
+            edit.delete(uri, new vscode.Range(line, 0, line + 1, 0), metadata);
+        }
+        summary.fileCount++;
+        summary.requireCount += plan.replacements.length;
+    }
+    return summary;
+}
+
+// Looks up what both directions of the migration need, reporting why a folder cannot be migrated
+function getMigrationContext(workspaceFolder, action) {
+    const folderName = getWorkspaceFolderName(workspaceFolder);
+    const result = getAliasResult(workspaceFolder);
+    if (!result) {
+        vscode.window.showWarningMessage(`RequireOnRails: Activate RequireOnRails for ${folderName} first so its aliases are generated.`);
+        return null;
+    }
+    const instanceMap = createRojoInstanceMap(workspaceFolder.uri.fsPath, workspaceFolder);
+    if (!instanceMap) {
+        vscode.window.showErrorMessage(`RequireOnRails: ${action} needs a Rojo project file to map instance paths to files, none was found in ${folderName}.`);
+        return null;
+    }
+    return { folderName, result, instanceMap };
+}
+
+/**
+ * Command: rewrite require(script.Parent.Foo) style requires of a workspace folder to @alias requires,
+ * using the Rojo project to map instance paths to files. The changes open as one refactor preview.
+ */
+async function migrateRequiresToAliases() {
+    const workspaceFolder = await pickWorkspaceFolder('require migration');
+    if (!workspaceFolder) {
+        return;
+    }
+    const context = getMigrationContext(workspaceFolder, 'Migrating requires');
+    if (!context) {
+        return;
+    }
+    const { folderName, result, instanceMap } = context;
+
+    const { edit, fileCount, requireCount, unresolvedCount } = buildMigrationEdit(result, instanceMap);
+    const unresolvedNote = unresolvedCount > 0 ? ` ${unresolvedCount} require(s) could not be mapped, see the output channel.` : '';
+    if (requireCount === 0) {
+        vscode.window.showInformationMessage(`RequireOnRails: No instance-path requires to migrate in ${folderName}.${unresolvedNote}`);
+        return;
+    }
+
+    print(`Migrating ${requireCount} require(s) in ${fileCount} file(s) of ${folderName}`);
+    const applied = await vscode.workspace.applyEdit(edit, { isRefactoring: true });
+    if (applied) {
+        vscode.window.showInformationMessage(`RequireOnRails: Migrated ${requireCount} require(s) in ${fileCount} file(s).${unresolvedNote}`);
+    }
+}
+
+/**
+ * Command: rewrite the @alias requires of a workspace folder to plain instance-path requires and remove
+ * the import lines, so the code runs without the RequireOnRails runtime. The changes open as one refactor preview.
+ */
+async function ejectAliasRequires() {
+    const workspaceFolder = await pickWorkspaceFolder('require ejection');
+    if (!workspaceFolder) {
+        return;
+    }
+    const context = getMigrationContext(workspaceFolder, 'Ejecting requires');
+    if (!context) {
+        return;
+    }
+    const { folderName, result, instanceMap } = context;
+
+    const { edit, fileCount, requireCount, unresolvedCount } = buildEjectionEdit(result, instanceMap);
+    const unresolvedNote = unresolvedCount > 0 ? ` ${unresolvedCount} require(s) could not be mapped, see the output channel.` : '';
+    if (fileCount === 0) {
+        vscode.window.showInformationMessage(`RequireOnRails: No alias requires to eject in ${folderName}.${unresolvedNote}`);
+        return;
+    }
+
+    print(`Ejecting ${requireCount} require(s) in ${fileCount} file(s) of ${folderName}`);
+    const applied = await vscode.workspace.applyEdit(edit, { isRefactoring: true });
+    if (applied) {
+        vscode.window.showInformationMessage(`RequireOnRails: Ejected ${requireCount} require(s) in ${fileCount} file(s).${unresolvedNote}`);
+    }
+}
+
+module.exports = {
+    planRequireMigration,
+    planRequireEjection,
+    buildMigrationEdit,
+    buildEjectionEdit,
+    migrateRequiresToAliases,
+    ejectAliasRequires
+};
@@ -2,18 +2,24 @@ const fs = require('fs');
 const path = require('path');
 const vscode = require('vscode');
 const { print, warn, error } = require('../core/logger');
+const { pickWorkspaceFolder } = require('../utils/workspaceUtils');
+const { parseJsonWithComments } = require('../utils/jsonUtils');
 
 /**
  * Unpacks the project template into the workspace directory.
  * Copies the contents of the ProjectTemplate folder into the workspace.
  */
-function unpackProjectTemplate(context) {
+async function unpackProjectTemplate(context) {
     if (!vscode.workspace.workspaceFolders || vscode.workspace.workspaceFolders.length === 0) {
         vscode.window.showErrorMessage('No workspace folder found. Please open a folder first.');
         return;
     }
 
-    const workspaceRoot = vscode.workspace.workspaceFolders[0].uri.fsPath;
+    const workspaceFolder = await pickWorkspaceFolder('project setup');
+    if (!workspaceFolder) {
+        return;
+    }
+    const workspaceRoot = workspaceFolder.uri.fsPath;
     
     // Get the template directory path - it should be in the extension's installation directory
     const extensionPath = context.extensionUri.fsPath;
@@ -253,57 +259,6 @@ async function showFileDiff(templateFilePath, existingFilePath, relativePath, me
     }
 }
 
-/**
- * Strips comments from JSON content to handle JSONC files
- * 
- * @param {string} content - JSON content that may contain comments
- * @returns {string} - JSON content with comments removed
- */
-function stripJsonComments(content) {
-    try {
-        // Remove single-line comments (// comment)
-        // But preserve URLs and other legitimate uses of //
-        let result = content.replace(/\/\/(?![^\r\n]*["'][^"']*\/\/[^"']*["'])[^\r\n]*/g, '');
-        
-        // Remove multi-line comments (/* comment */)
-        // Use non-greedy matching to avoid removing content between separate comment blocks
-        result = result.replace(/\/\*[\s\S]*?\*\//g, '');
-        
-        // Remove trailing commas that might be left after comment removal
-        result = result.replace(/,(\s*[}\]])/g, '$1');
-        
-        return result;
-    } catch (error) {
-        warn('[DEBUG] Error stripping JSON comments:', error);
-        return content; // Return original content if stripping fails
-    }
-}
-
-/**
- * Attempts to parse JSON content with JSONC support (JSON with comments)
- * 
- * @param {string} content - JSON/JSONC content to parse
- * @param {string} filePath - File path for error reporting
- * @returns {object|null} - Parsed JSON object or null if parsing failed
- */
-function parseJsonWithComments(content, filePath) {
-    try {
-        // First try parsing as regular JSON
-        return JSON.parse(content);
-    } catch (error) {
-        print(`[DEBUG] Regular JSON parse failed for ${filePath}, trying JSONC parsing`);
-        
-        try {
-            // Strip comments and try parsing again
-            const strippedContent = stripJsonComments(content);
-            return JSON.parse(strippedContent);
-        } catch (jsoncError) {
-            warn(`[DEBUG] JSONC parse also failed for ${filePath}:`, jsoncError.message);
-            return null;
-        }
-    }
-}
-
 /**
  * Checks if a file contains JSON/JSONC-convertible content by attempting to parse it
  * 
@@ -0,0 +1,350 @@
+const fs = require('fs');
+const path = require('path');
+const { print, warn } = require('./logger');
+const { shouldIgnoreDirectory } = require('../utils/workspaceUtils');
+
+/**
+ * In-memory index of the modules under the scan roots of each workspace folder.
+ * It is built with one full scan and then kept up to date from file watcher events,
+ * so alias generation does not have to walk the file system again on every change.
+ */
+
+const supportedExtensions = ['.lua', '.luau'];
+
+// Script files are never aliased
+const ignoreList = ['.server', '.client'];
+
+// Index per workspace folder, keyed by the folder's fsPath
+const indexes = new Map();
+
+// Converts an absolute path into the workspace-relative form written to .luaurc
+function toWorkspaceRelative(workspaceRoot, filePath) {
+    return path.relative(workspaceRoot, filePath).replace(/\\/g, '/');
+}
+
+// Helper to check if the file is located under a directory that matches any ignore pattern
+function isUnderIgnoredDir(filePath, rootDir, ignorePatterns) {
+    let currentDir = path.dirname(filePath);
+    while (currentDir !== rootDir) {
+        const dirName = path.basename(currentDir);
+        if (ignorePatterns.some(pattern => {
+            try {
+                return new RegExp(pattern).test(dirName);
+            } catch (e) {
+                // If regex is invalid, fall back to exact string matching
+                warn(`Invalid regex pattern: ${pattern}, falling back to exact match`);
+                return dirName.toLowerCase() === pattern.toLowerCase();
+            }
+        })) {
+            return true;
+        }
+        currentDir = path.dirname(currentDir);
+    }
+    return false;
+}
+
+// Helper function to check if a file should be ignored
+function shouldIgnoreFile(fileName, ignoreList) {
+    return ignoreList.some(substring => fileName.includes(substring));
+}
+
+
+// Recursively collects the module files inside a directory excluded by ignoreDirectories
+function collectIgnoredFiles(dir, ignoredDir, supportedExtensions, ignoreList, ignoredFiles, workspaceRoot) {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(file => {
+        const filePath = path.join(dir, file.name);
+        if (file.isDirectory()) {
+            collectIgnoredFiles(filePath, ignoredDir, supportedExtensions, ignoreList, ignoredFiles, workspaceRoot);
+        } else if (file.isFile() && supportedExtensions.includes(path.extname(file.name)) && !shouldIgnoreFile(file.name, ignoreList)) {
+            ignoredFiles.push({
+                path: toWorkspaceRelative(workspaceRoot, filePath),
+                ignoredDir: toWorkspaceRelative(workspaceRoot, ignoredDir)
+            });
+        }
+    });
+}
+
+// Recursive function to scan a directory and collect files by basename.
+// Files skipped because of an ignore pattern are collected into ignoredFiles when it is given.
+function scanDir(dir, rootDir, supportedExtensions, ignorePatterns, ignoreList, basenameMap, workspaceRoot, ignoredFiles) {
+    // If this directory or any of its parents (up to rootDir) matches any ignore pattern, skip entirely
+    let skip = false;
+    let checkDir = dir;
+    while (checkDir !== rootDir && checkDir !== path.dirname(checkDir)) {
+        const dirName = path.basename(checkDir);
+        if (ignorePatterns.some(pattern => {
+            try {
+                return new RegExp(pattern).test(dirName);
+            } catch (e) {
+                // If regex is invalid, fall back to exact string matching
+                warn(`Invalid regex pattern: ${pattern}, falling back to exact match`);
+                return dirName.toLowerCase() === pattern.toLowerCase();
+            }
+        })) {
+            skip = true;
+            break;
+        }
+        checkDir = path.dirname(checkDir);
+    }
+    if (skip) {
+        if (ignoredFiles) {
+            collectIgnoredFiles(dir, checkDir, supportedExtensions, ignoreList, ignoredFiles, workspaceRoot);
+        }
+        return;
+    }
+
+    const files = fs.readdirSync(dir, { withFileTypes: true });
+
+    // Check for init files in the current directory
+    let foundInit = null;
+    for (const ext of supportedExtensions) {
+        const initFilePath = path.join(dir, `init${ext}`);
+        if (fs.existsSync(initFilePath)) {
+            foundInit = initFilePath;
+            const folderName = path.basename(dir);
+            if (!isUnderIgnoredDir(initFilePath, rootDir, ignorePatterns)) {
+                if (!basenameMap[folderName]) basenameMap[folderName] = [];
+                basenameMap[folderName].push({
+                    path: toWorkspaceRelative(workspaceRoot, initFilePath),
+                    root: toWorkspaceRelative(workspaceRoot, rootDir)
+                });
+            }
+        }
+    }
+
+    files.forEach(file => {
+        const filePath = path.join(dir, file.name);
+        if (file.isDirectory()) {
+            scanDir(filePath, rootDir, supportedExtensions, ignorePatterns, ignoreList, basenameMap, workspaceRoot, ignoredFiles);
+        } else if (file.isFile() && supportedExtensions.includes(path.extname(file.name))) {
+            if (shouldIgnoreFile(file.name, ignoreList)) {
+                return;
+            }
+            // If this is an init file and we've already aliased the containing directory, skip aliasing "init"
+            if (foundInit && file.name.startsWith('init.')) {
+                return;
+            }
+            if (!isUnderIgnoredDir(filePath, rootDir, ignorePatterns)) {
+                const aliasKey = path.parse(file.name).name;
+                if (!basenameMap[aliasKey]) basenameMap[aliasKey] = [];
+                basenameMap[aliasKey].push({
+                    path: toWorkspaceRelative(workspaceRoot, filePath),
+                    root: toWorkspaceRelative(workspaceRoot, rootDir)
+                });
+            }
+        }
+    });
+}
+
+// The index is rebuilt whenever the scan roots or ignore patterns change
+function getIndexSignature(rootDirs, ignoreDirectories) {
+    return JSON.stringify({ rootDirs, ignoreDirectories });
+}
+
+function addScannedEntries(index, basenameMap, ignoredFiles) {
+    for (const [basename, entries] of Object.entries(basenameMap)) {
+        for (const entry of entries) {
+            index.modules.set(entry.path, { basename, ...entry });
+        }
+    }
+    for (const entry of ignoredFiles) {
+        index.ignoredFiles.set(entry.path, entry);
+    }
+}
+
+function buildAliasIndex(workspaceRoot, rootDirs, ignoreDirectories) {
+    const index = {
+        workspaceRoot,
+        rootDirs,
+        ignoreDirectories,
+        signature: getIndexSignature(rootDirs, ignoreDirectories),
+        modules: new Map(),
+        ignoredFiles: new Map()
+    };
+
+    rootDirs.forEach(rootDir => {
+        print(`Scanning directory: ${rootDir}`);
+        const basenameMap = {};
+        const ignoredFiles = [];
+        scanDir(rootDir, rootDir, supportedExtensions, ignoreDirectories, ignoreList, basenameMap, workspaceRoot, ignoredFiles);
+        addScannedEntries(index, basenameMap, ignoredFiles);
+    });
+    return index;
+}
+
+/**
+ * Gets the alias index of a workspace folder, scanning the roots only when there is no index
+ * yet or the scan configuration changed since it was built
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @param {string[]} rootDirs - Absolute scan root directories
+ * @param {string[]} ignoreDirectories - Ignore patterns
+ * @returns {object} - Alias index
+ */
+function getAliasIndex(workspaceFolder, rootDirs, ignoreDirectories) {
+    const key = workspaceFolder.uri.fsPath;
+    const existing = indexes.get(key);
+    if (existing && existing.signature === getIndexSignature(rootDirs, ignoreDirectories)) {
+        return existing;
+    }
+    const index = buildAliasIndex(key, rootDirs, ignoreDirectories);
+    indexes.set(key, index);
+    return index;
+}
+
+/**
+ * Gets the scan roots the index of a workspace folder was built for
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @returns {string[]} - Absolute scan root directories, empty if there is no index yet
+ */
+function getIndexedRootDirs(workspaceFolder) {
+    const index = indexes.get(workspaceFolder.uri.fsPath);
+    return index ? index.rootDirs : [];
+}
+
+/**
+ * Drops the index of a workspace folder (or of every folder) so the next generation rescans
+ * @param {vscode.WorkspaceFolder} [workspaceFolder] - Workspace folder
+ */
+function invalidateAliasIndex(workspaceFolder) {
+    if (workspaceFolder) {
+        indexes.delete(workspaceFolder.uri.fsPath);
+    } else {
+        indexes.clear();
+    }
+}
+
+// Removes every entry at or below a workspace-relative path, returns whether anything was removed
+function removeEntriesUnder(index, relativePath) {
+    let removed = false;
+    for (const entries of [index.modules, index.ignoredFiles]) {
+        for (const entryPath of Array.from(entries.keys())) {
+            if (entryPath === relativePath || entryPath.startsWith(relativePath + '/')) {
+                entries.delete(entryPath);
+                removed = true;
+            }
+        }
+    }
+    return removed;
+}
+
+// Indexes a single created file the same way scanDir would have
+function addFile(index, filePath, rootDir) {
+    const fileName = path.basename(filePath);
+    if (!supportedExtensions.includes(path.extname(fileName)) || shouldIgnoreFile(fileName, ignoreList)) {
+        return false;
+    }
+    const relativePath = toWorkspaceRelative(index.workspaceRoot, filePath);
+    if (index.modules.has(relativePath) || index.ignoredFiles.has(relativePath)) {
+        return false;
+    }
+
+    // The outermost ignored directory between the root and the file excludes it
+    let ignoredDir = null;
+    for (let dir = path.dirname(filePath); dir !== rootDir && dir !== path.dirname(dir); dir = path.dirname(dir)) {
+        if (shouldIgnoreDirectory(path.basename(dir), index.ignoreDirectories)) {
+            ignoredDir = dir;
+        }
+    }
+    if (ignoredDir) {
+        index.ignoredFiles.set(relativePath, { path: relativePath, ignoredDir: toWorkspaceRelative(index.workspaceRoot, ignoredDir) });
+        return true;
+    }
+
+    // An init file makes its folder the module
+    const isInit = path.parse(fileName).name === 'init';
+    index.modules.set(relativePath, {
+        basename: isInit ? path.basename(path.dirname(filePath)) : path.parse(fileName).name,
+        path: relativePath,
+        root: toWorkspaceRelative(index.workspaceRoot, rootDir)
+    });
+    return true;
+}
+
+/**
+ * Applies a file watcher event to the index of a workspace folder
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @param {string} filePath - Absolute path of the created or deleted file or directory
+ * @param {'create'|'delete'} eventType - Kind of event
+ * @returns {boolean} - True if the indexed modules changed (or there is no index yet) and aliases need regenerating
+ */
+function applyFileEvent(workspaceFolder, filePath, eventType) {
+    const index = indexes.get(workspaceFolder.uri.fsPath);
+    if (!index) {
+        return true;
+    }
+    const rootDir = index.rootDirs.find(root => filePath === root || filePath.startsWith(root + path.sep));
+    if (!rootDir) {
+        return false;
+    }
+
+    const relativePath = toWorkspaceRelative(index.workspaceRoot, filePath);
+    if (eventType === 'delete') {
+        return removeEntriesUnder(index, relativePath);
+    }
+
+    let stat;
+    try {
+        stat = fs.statSync(filePath);
+    } catch (e) {
+        return false; // Already gone again, a delete event follows
+    }
+    if (stat.isDirectory()) {
+        // Folders moved or copied in may only report the folder itself
+        removeEntriesUnder(index, relativePath);
+        const basenameMap = {};
+        const ignoredFiles = [];
+        scanDir(filePath, rootDir, supportedExtensions, index.ignoreDirectories, ignoreList, basenameMap, index.workspaceRoot, ignoredFiles);
+        addScannedEntries(index, basenameMap, ignoredFiles);
+        return Object.keys(basenameMap).length > 0 || ignoredFiles.length > 0;
+    }
+    return addFile(index, filePath, rootDir);
+}
+
+/**
+ * Groups the indexed modules by basename, ordered by scan root and path
+ * @param {object} index - Alias index
+ * @returns {object} - Map of basename -> array of { path, root }
+ */
+function getBasenameMap(index) {
+    const rootOrder = index.rootDirs.map(rootDir => toWorkspaceRelative(index.workspaceRoot, rootDir));
+    const entries = Array.from(index.modules.values()).sort((a, b) =>
+        rootOrder.indexOf(a.root) - rootOrder.indexOf(b.root) || a.path.localeCompare(b.path)
+    );
+
+    const basenameMap = {};
+    for (const { basename, path: entryPath, root } of entries) {
+        if (!basenameMap[basename]) basenameMap[basename] = [];
+        basenameMap[basename].push({ path: entryPath, root });
+    }
+    return basenameMap;
+}
+
+/**
+ * Gets the files excluded by ignoreDirectories
+ * @param {object} index - Alias index
+ * @returns {{path: string, ignoredDir: string}[]} - Ignored files, sorted by path
+ */
+function getIgnoredFiles(index) {
+    return Array.from(index.ignoredFiles.values()).sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Gets the absolute paths of every indexed module file (init files stand for their folder)
+ * @param {object} index - Alias index
+ * @returns {string[]} - Absolute module paths
+ */
+function getModulePaths(index) {
+    return Array.from(index.modules.keys()).map(relativePath => path.join(index.workspaceRoot, relativePath));
+}
+
+module.exports = {
+    supportedExtensions,
+    toWorkspaceRelative,
+    getAliasIndex,
+    getIndexedRootDirs,
+    invalidateAliasIndex,
+    applyFileEvent,
+    getBasenameMap,
+    getIgnoredFiles,
+    getModulePaths
+};
@@ -0,0 +1,310 @@
+const fs = require('fs');
+const path = require('path');
+const { getAliasIndex, getModulePaths } = require('./aliasIndex');
+const { createRuntimeResolver } = require('./runtimeResolver');
+const { getRojoInstanceMap } = require('../utils/rojoUtils');
+const { normalizeAliasPath } = require('../utils/luaurcUtils');
+
+/**
+ * Resolves "@Alias" and "@Alias/sub/path" require strings to module files using the aliases
+ * produced by the last alias generation of each workspace folder, the same way luau-lsp reads
+ * them from .luaurc and the nested .luaurc files next to the requiring module.
+ */
+
+// Last alias generation result per workspace folder, keyed by the folder's fsPath
+const aliasResults = new Map();
+
+// Runtime resolvers are only built when needed, once per generation result and Rojo project
+const runtimeResolvers = new WeakMap();
+
+// Module each workspace alias leads to, worked out once per generation result
+const aliasModules = new WeakMap();
+
+// Named root directories of each generation result, longest first
+const rootDirectories = new WeakMap();
+
+const moduleExtensions = ['.luau', '.lua'];
+
+// Matches require("@...") and require '@...' calls, capturing the quote and the require path
+const ALIAS_REQUIRE_PATTERN = /\brequire\s*\(?\s*(["'`])(@[^"'`\r\n]*)\1/g;
+
+/**
+ * Stores the alias generation result of a workspace folder
+ * @param {object} result - Result returned by generateFileAliases
+ */
+function setAliasResult(result) {
+    aliasResults.set(result.workspaceFolder.uri.fsPath, result);
+}
+
+/**
+ * Gets the last alias generation result of a workspace folder
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @returns {object|null} - Generation result, or null if aliases were not generated for the folder
+ */
+function getAliasResult(workspaceFolder) {
+    return (workspaceFolder && aliasResults.get(workspaceFolder.uri.fsPath)) || null;
+}
+
+/**
+ * Forgets the alias generation result of a workspace folder (or of every folder)
+ * @param {vscode.WorkspaceFolder} [workspaceFolder] - Workspace folder
+ */
+function clearAliasResult(workspaceFolder) {
+    if (workspaceFolder) {
+        aliasResults.delete(workspaceFolder.uri.fsPath);
+    } else {
+        aliasResults.clear();
+    }
+}
+
+/**
+ * Finds the "@..." require strings on a line of code
+ * @param {string} lineText - Line of Luau code
+ * @returns {{requirePath: string, start: number, end: number}[]} - Require paths with the character range of the path inside its quotes
+ */
+function findAliasRequires(lineText) {
+    const requires = [];
+    for (const match of lineText.matchAll(ALIAS_REQUIRE_PATTERN)) {
+        const start = match.index + match[0].length - match[2].length - 1;
+        requires.push({ requirePath: match[2], start, end: start + match[2].length });
+    }
+    return requires;
+}
+
+// Looks an alias up in an alias map, ignoring case and an optional "@" prefix like Luau does
+function findAlias(aliases, aliasName) {
+    const wanted = aliasName.toLowerCase();
+    return Object.keys(aliases || {}).find(alias => alias.replace(/^@/, '').toLowerCase() === wanted) || null;
+}
+
+/**
+ * Finds the entry of a map keyed by module or alias name, ignoring case and an optional "@" prefix like Luau does
+ * @param {object} entries - Map keyed by name, such as ambiguousAliases or generatedAliases of a generation result
+ * @param {string} name - Name to look up
+ * @returns {{name: string, value: *}|null} - The key as written in the map and its value, or null if there is no entry for the name
+ */
+function findByName(entries, name) {
+    const key = findAlias(entries, name.replace(/^@/, ''));
+    return key ? { name: key, value: entries[key] } : null;
+}
+
+/**
+ * Resolves a module path the way Luau does: the file itself, the path with a Luau extension,
+ * or the init file of a folder
+ * @param {string} modulePath - Absolute path without (or with) an extension
+ * @returns {string|null} - Absolute path of the module file, or null if there is none
+ */
+function resolveModuleFile(modulePath) {
+    const candidates = [
+        ...moduleExtensions.map(ext => modulePath + ext),
+        ...moduleExtensions.map(ext => path.join(modulePath, `init${ext}`))
+    ];
+    if (moduleExtensions.includes(path.extname(modulePath))) {
+        candidates.unshift(modulePath);
+    }
+    return candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile()) || null;
+}
+
+/**
+ * Resolves an alias require path for a requiring module
+ * @param {object} result - Alias generation result of the module's workspace folder
+ * @param {string} filePath - Absolute path of the requiring module
+ * @param {string} requirePath - Require path such as "@Alias" or "@Alias/sub/path"
+ * @returns {{alias: string, aliasTarget: string, subPath: string, modulePath: string|null}|null} - The alias used, the absolute path
+ * it points to, the rest of the require path and the module file it leads to, or null if the alias is unknown
+ */
+function resolveAliasRequire(result, filePath, requirePath) {
+    const [head, ...rest] = requirePath.replace(/^@/, '').split('/');
+    if (!head) {
+        return null;
+    }
+    const workspaceRoot = result.workspaceFolder.uri.fsPath;
+
+    // Nested .luaurc files closer to the module take precedence over the workspace .luaurc
+    let aliasTarget = null;
+    let alias = null;
+    const nestedFiles = result.nestedLuaurcFiles || {};
+    for (let dir = path.dirname(filePath); !aliasTarget && dir.startsWith(workspaceRoot) && dir !== workspaceRoot; dir = path.dirname(dir)) {
+        const nestedAliases = nestedFiles[path.relative(workspaceRoot, path.join(dir, '.luaurc')).replace(/\\/g, '/')];
+        alias = nestedAliases && findAlias(nestedAliases, head);
+        if (alias) {
+            aliasTarget = path.resolve(dir, nestedAliases[alias]);
+        }
+    }
+    if (!aliasTarget) {
+        alias = findAlias(result.aliases, head);
+        if (!alias) {
+            return null;
+        }
+        aliasTarget = path.resolve(workspaceRoot, result.aliases[alias]);
+    }
+
+    const subPath = rest.filter(Boolean).join('/');
+    const modulePath = resolveModuleFile(subPath ? path.join(aliasTarget, ...subPath.split('/')) : aliasTarget);
+    return { alias: alias.replace(/^@/, ''), aliasTarget, subPath, modulePath };
+}
+
+// Generated aliases point at module files, only aliases pointing at a folder or an extensionless path are looked up on disk
+function toAliasModule(aliasTarget) {
+    return moduleExtensions.includes(path.extname(aliasTarget)) ? aliasTarget : resolveModuleFile(aliasTarget);
+}
+
+/**
+ * Lists the aliases a module can require by their bare name and the module file each one leads to.
+ * The workspace aliases are resolved once per generation result and the nested .luaurc files closer
+ * to the module take precedence, so listing them again for another module does not touch the disk.
+ * @param {object} result - Alias generation result
+ * @param {string} filePath - Absolute path of the requiring module
+ * @returns {{name: string, modulePath: string}[]} - Alias names, without the "@", and absolute module paths
+ */
+function getAliasModules(result, filePath) {
+    const workspaceRoot = result.workspaceFolder.uri.fsPath;
+    if (!aliasModules.has(result)) {
+        const modules = new Map();
+        for (const [alias, aliasPath] of Object.entries(result.aliases)) {
+            const modulePath = toAliasModule(path.resolve(workspaceRoot, aliasPath));
+            const name = alias.replace(/^@/, '');
+            if (modulePath) modules.set(name.toLowerCase(), { name, modulePath });
+        }
+        aliasModules.set(result, modules);
+    }
+
+    const modules = new Map(aliasModules.get(result));
+    const nestedFiles = result.nestedLuaurcFiles || {};
+    const overridden = new Set();
+    for (let dir = path.dirname(filePath); dir.startsWith(workspaceRoot) && dir !== workspaceRoot; dir = path.dirname(dir)) {
+        const nestedAliases = nestedFiles[path.relative(workspaceRoot, path.join(dir, '.luaurc')).replace(/\\/g, '/')] || {};
+        for (const [alias, aliasPath] of Object.entries(nestedAliases)) {
+            const name = alias.replace(/^@/, '');
+            const key = name.toLowerCase();
+            if (overridden.has(key)) continue;
+            overridden.add(key);
+            const modulePath = toAliasModule(path.resolve(dir, aliasPath));
+            if (modulePath) {
+                modules.set(key, { name, modulePath });
+            } else {
+                modules.delete(key);
+            }
+        }
+    }
+    return Array.from(modules.values());
+}
+
+// Drops the extension of a module path, and the init file of a folder module
+function toRequirePath(modulePath) {
+    const withoutExtension = modulePath.replace(/\.(luau|lua)$/, '');
+    return withoutExtension.replace(/\/init$/, '');
+}
+
+/**
+ * Finds a require path that only one module can match: a generated qualified alias, or the path
+ * below the user alias whose directory contains the module (e.g. "@Server/Systems/Config")
+ * @param {object} result - Alias generation result
+ * @param {string} modulePath - Workspace-relative module path
+ * @returns {string|null} - Require path, or null if no alias contains the module
+ */
+function getUnambiguousRequirePath(result, modulePath) {
+    const qualified = Object.keys(result.qualifiedAliases).find(alias => result.qualifiedAliases[alias] === modulePath);
+    if (qualified) {
+        return `@${qualified}`;
+    }
+
+    // The most specific directory alias wins
+    let best = null;
+    for (const [alias, aliasPath] of Object.entries(result.userAliases)) {
+        const dir = normalizeAliasPath(aliasPath);
+        if (dir && modulePath.startsWith(dir + '/') && (!best || dir.length > best.dir.length)) {
+            best = { alias: alias.replace(/^@/, ''), dir };
+        }
+    }
+    if (!best) {
+        return null;
+    }
+    return `@${best.alias}/${toRequirePath(modulePath.slice(best.dir.length + 1))}`;
+}
+
+/**
+ * Picks the require path a module should be required with from another module: "@Name" when that
+ * resolves to it, otherwise a path only it matches (see getUnambiguousRequirePath)
+ * @param {object} result - Alias generation result
+ * @param {string} filePath - Absolute path of the requiring module
+ * @param {string} modulePath - Absolute path of the required module file
+ * @returns {string|null} - Require path, or null if no alias reaches the module
+ */
+function getRequirePathForModule(result, filePath, modulePath) {
+    const workspaceRoot = result.workspaceFolder.uri.fsPath;
+    const relativePath = path.relative(workspaceRoot, modulePath).replace(/\\/g, '/');
+    const name = path.posix.basename(toRequirePath(relativePath));
+
+    const resolved = resolveAliasRequire(result, filePath, `@${name}`);
+    if (resolved && resolved.modulePath && path.resolve(resolved.modulePath) === path.resolve(modulePath)) {
+        return `@${name}`;
+    }
+    return getUnambiguousRequirePath(result, relativePath);
+}
+
+// Scan roots plus the directories manualAliases point at outside of them, named after their alias or folder
+function getRootDirectories(result) {
+    if (!rootDirectories.has(result)) {
+        const workspaceRoot = result.workspaceFolder.uri.fsPath;
+        const isInScanRoot = dir => result.rootNames.some(rootName => dir === rootName || dir.startsWith(rootName + '/'));
+        const roots = new Map(result.rootNames.map(rootName => [rootName, path.posix.basename(rootName)]));
+        for (const [alias, aliasPath] of Object.entries(result.userAliases)) {
+            const dir = normalizeAliasPath(aliasPath);
+            const dirPath = path.join(workspaceRoot, dir);
+            if (dir === '' || dir.startsWith('..') || (isInScanRoot(dir) && !roots.has(dir))) {
+                continue;
+            }
+            if (fs.existsSync(dirPath) && fs.statSync(dirPath).isDirectory()) {
+                roots.set(dir, alias.replace(/^@/, ''));
+            }
+        }
+        rootDirectories.set(result, [...roots].map(([dir, name]) => ({ dir, name })).sort((a, b) => b.dir.length - a.dir.length));
+    }
+    return rootDirectories.get(result);
+}
+
+/**
+ * Gets the name of the root a file is in, out of the scan roots and the directories manualAliases point at:
+ * the alias pointing at the root (e.g. "Server" for manualAliases {"Server": "src/Server"}), or else the root's folder name
+ * @param {object} result - Alias generation result
+ * @param {string} filePath - Absolute path of the file
+ * @returns {string|null} - Root name, or null if the file is outside every root
+ */
+function getRootName(result, filePath) {
+    const relativePath = path.relative(result.workspaceFolder.uri.fsPath, filePath).replace(/\\/g, '/');
+    const root = getRootDirectories(result).find(({ dir }) => relativePath.startsWith(dir + '/'));
+    return root ? root.name : null;
+}
+
+/**
+ * Gets a resolver that mirrors the runtime's contextual search for the scan roots of a generation result
+ * @param {object} result - Alias generation result
+ * @returns {object} - Runtime resolver, see createRuntimeResolver
+ */
+function getRuntimeResolver(result) {
+    const instanceMap = getRojoInstanceMap(result.workspaceFolder.uri.fsPath, result.workspaceFolder);
+    const cached = runtimeResolvers.get(result);
+    if (!cached || cached.instanceMap !== instanceMap) {
+        const index = getAliasIndex(result.workspaceFolder, result.rootDirs, result.ignoreDirectories);
+        const resolver = createRuntimeResolver(result.rootDirs, getModulePaths(index), { ignoreDirectories: result.ignoreDirectories, instanceMap });
+        runtimeResolvers.set(result, { instanceMap, resolver });
+        return resolver;
+    }
+    return cached.resolver;
+}
+
+module.exports = {
+    setAliasResult,
+    getAliasResult,
+    clearAliasResult,
+    findAliasRequires,
+    findByName,
+    resolveModuleFile,
+    resolveAliasRequire,
+    getAliasModules,
+    getUnambiguousRequirePath,
+    getRequirePathForModule,
+    getRootName,
+    getRuntimeResolver
+};
@@ -0,0 +1,537 @@
+const fs = require('fs');
+const path = require('path');
+const vscode = require('vscode');
+const { resolveAliasRequire, resolveModuleFile } = require('./aliasResolver');
+const { getAliasIndex } = require('./aliasIndex');
+const { getRojoInstanceMap } = require('../utils/rojoUtils');
+const { getCommonConfig, scanDirectory, shouldIgnoreDirectory } = require('../utils/workspaceUtils');
+const {
+    getLineAndCharacter,
+    findRequireCalls,
+    findServiceVariables,
+    parseInstancePath,
+    resolveInstanceSegments
+} = require('../utils/instancePathUtils');
+
+/**
+ * Tracks which files require which modules in the scan roots of a workspace folder. Requires are
+ * matched by alias ("@Name", "@Root/sub/path") and, when the folder has a Rojo project, by instance
+ * path (script.Parent.Name, ReplicatedStorage.Shared.Name).
+ *
+ * The graph of each folder is kept between calls. Files are read once and then again only when a file
+ * event reports them (see applyRequireGraphEvent); the scan roots are only walked again when the alias
+ * index is rebuilt. A new generation result or Rojo project only resolves the parsed requires again.
+ */
+
+// Require graph state per workspace folder, keyed by the folder's fsPath
+const folderGraphs = new Map();
+
+const STRING_ARGUMENT = /^(["'`])(@[^"'`\r\n]*)\1$/;
+
+/**
+ * Lists the Lua and Luau files (modules and scripts) in the scan roots of a generation result
+ * @param {object} result - Alias generation result
+ * @returns {string[]} - Absolute file paths
+ */
+function listSourceFiles(result) {
+    const { ignoreDirectories, supportedExtensions } = getCommonConfig(result.workspaceFolder);
+    const files = [];
+    result.rootDirs.forEach(rootDir => scanDirectory(rootDir, supportedExtensions, ignoreDirectories, filePath => files.push(filePath)));
+    return files;
+}
+
+// Finds the require calls of a file with the range of their argument, which is all resolving them needs from the content
+function parseRequires(content) {
+    const calls = findRequireCalls(content).filter(call => !call.isImportDefinition);
+    const needsServices = calls.some(call => !STRING_ARGUMENT.test(call.argument));
+    return {
+        serviceVariables: needsServices ? findServiceVariables(content) : {},
+        calls: calls.map(call => ({
+            argument: call.argument,
+            start: call.argStart,
+            end: call.argEnd,
+            range: { start: getLineAndCharacter(content, call.argStart), end: getLineAndCharacter(content, call.argEnd) }
+        }))
+    };
+}
+
+// Resolves parsed require calls to module files, dropping the calls that resolve to none
+function resolveRequires(result, instanceMap, filePath, parsed) {
+    const requires = [];
+    let scriptSegments;
+
+    for (const call of parsed.calls) {
+        let modulePath = null;
+        let kind;
+        const literal = call.argument.match(STRING_ARGUMENT);
+        if (literal) {
+            const resolved = resolveAliasRequire(result, filePath, literal[2]);
+            modulePath = resolved && resolved.modulePath;
+            kind = 'alias';
+        } else if (instanceMap) {
+            const instancePath = parseInstancePath(call.argument, parsed.serviceVariables);
+            if (instancePath) {
+                if (scriptSegments === undefined) scriptSegments = instanceMap.getInstanceSegments(filePath);
+                const segments = resolveInstanceSegments(instancePath, scriptSegments);
+                const fileSystemPath = segments && instanceMap.getFileSystemPath(segments);
+                modulePath = fileSystemPath && resolveModuleFile(fileSystemPath);
+            }
+            kind = 'instance';
+        }
+        if (!modulePath) continue;
+
+        requires.push({ modulePath: path.resolve(modulePath), argument: call.argument, kind, start: call.start, end: call.end, range: call.range });
+    }
+    return requires;
+}
+
+/**
+ * Finds the requires of a file that resolve to a module file
+ * @param {object} result - Alias generation result of the file's workspace folder
+ * @param {object|null} instanceMap - Rojo instance map, needed to resolve instance-path requires
+ * @param {string} filePath - Absolute path of the requiring file
+ * @param {string} content - Content of the file
+ * @returns {Array<{modulePath: string, argument: string, kind: 'alias'|'instance', start: number, end: number,
+ * range: {start: {line: number, character: number}, end: {line: number, character: number}}}>} - Resolved requires with
+ * the offsets and range of their argument
+ */
+function findModuleRequires(result, instanceMap, filePath, content) {
+    return resolveRequires(result, instanceMap, filePath, parseRequires(content));
+}
+
+// Reads and parses a file, reusing the previous entry while its modification time and size stay the same
+function readFileEntry(filePath, previous) {
+    const stat = fs.statSync(filePath);
+    if (previous && previous.mtimeMs === stat.mtimeMs && previous.size === stat.size) {
+        return previous;
+    }
+    return { mtimeMs: stat.mtimeMs, size: stat.size, parsed: parseRequires(fs.readFileSync(filePath, 'utf8')) };
+}
+
+// Gets the graph state of a folder, walking the scan roots again when the alias index was rebuilt since the last walk
+function getFolderGraph(result) {
+    const key = result.workspaceFolder.uri.fsPath;
+    const index = getAliasIndex(result.workspaceFolder, result.rootDirs, result.ignoreDirectories);
+    let state = folderGraphs.get(key);
+    if (state && state.index === index) {
+        return state;
+    }
+
+    const { supportedExtensions } = getCommonConfig(result.workspaceFolder);
+    const previousFiles = state ? state.files : new Map();
+    const files = new Map();
+    for (const filePath of listSourceFiles(result)) {
+        const resolvedPath = path.resolve(filePath);
+        try {
+            files.set(resolvedPath, readFileEntry(resolvedPath, previousFiles.get(resolvedPath)));
+        } catch (e) {
+            // Deleted while scanning, a file event follows
+        }
+    }
+    state = {
+        index,
+        rootDirs: result.rootDirs,
+        ignoreDirectories: result.ignoreDirectories,
+        supportedExtensions,
+        files,
+        result: null,
+        instanceMap: null,
+        resolved: new Map(),
+        unsaved: new Map(),
+        graph: null,
+        unsavedKey: null
+    };
+    folderGraphs.set(key, state);
+    return state;
+}
+
+// Open documents of a folder's files with unsaved changes, which are newer than the files on disk
+function getUnsavedDocuments(state) {
+    return (vscode.workspace.textDocuments || []).filter(doc => doc.isDirty && state.files.has(path.resolve(doc.uri.fsPath)));
+}
+
+/**
+ * Gets the require graph of the scan roots of a generation result. The graph is cached per workspace
+ * folder and only rebuilt after a file event, a new generation result or a Rojo project change.
+ * @param {object} result - Alias generation result
+ * @returns {{files: string[], dependencies: Map<string, object[]>, dependents: Map<string, object[]>}} - Every scanned file;
+ * the requires of each file (see findModuleRequires); and per module the requires pointing at it, each with its filePath
+ */
+function getRequireGraph(result) {
+    const state = getFolderGraph(result);
+    const instanceMap = getRojoInstanceMap(result.workspaceFolder.uri.fsPath, result.workspaceFolder);
+    if (state.result !== result || state.instanceMap !== instanceMap) {
+        state.result = result;
+        state.instanceMap = instanceMap;
+        state.resolved.clear();
+        state.unsaved.clear();
+        state.graph = null;
+    }
+
+    const unsavedDocuments = getUnsavedDocuments(state);
+    const unsavedKey = unsavedDocuments.map(doc => `${doc.uri.fsPath}:${doc.version}`).join('\n');
+    if (state.graph && state.unsavedKey === unsavedKey) {
+        return state.graph;
+    }
+
+    const unsaved = new Map();
+    for (const document of unsavedDocuments) {
+        const filePath = path.resolve(document.uri.fsPath);
+        const previous = state.unsaved.get(filePath);
+        unsaved.set(filePath, previous && previous.version === document.version
+            ? previous
+            : { version: document.version, requires: findModuleRequires(result, instanceMap, filePath, document.getText()) });
+    }
+    state.unsaved = unsaved;
+
+    const files = Array.from(state.files.keys());
+    const dependencies = new Map();
+    const dependents = new Map();
+    for (const filePath of files) {
+        let requires;
+        if (unsaved.has(filePath)) {
+            requires = unsaved.get(filePath).requires;
+        } else {
+            requires = state.resolved.get(filePath);
+            if (!requires) {
+                requires = resolveRequires(result, instanceMap, filePath, state.files.get(filePath).parsed);
+                state.resolved.set(filePath, requires);
+            }
+        }
+
+        dependencies.set(filePath, requires);
+        for (const entry of requires) {
+            if (!dependents.has(entry.modulePath)) dependents.set(entry.modulePath, []);
+            dependents.get(entry.modulePath).push({ filePath, ...entry });
+        }
+    }
+    state.graph = { files, dependencies, dependents };
+    state.unsavedKey = unsavedKey;
+    return state.graph;
+}
+
+// Checks whether a file is one the scan of its root would have listed
+function isScannedFile(state, rootDir, filePath) {
+    if (!state.supportedExtensions.includes(path.extname(filePath))) {
+        return false;
+    }
+    for (let dir = path.dirname(filePath); dir !== rootDir && dir !== path.dirname(dir); dir = path.dirname(dir)) {
+        if (shouldIgnoreDirectory(path.basename(dir), state.ignoreDirectories)) return false;
+    }
+    return true;
+}
+
+// Reads a created or changed file into the graph state, returns whether its requires changed
+function updateFile(state, rootDir, filePath) {
+    if (!isScannedFile(state, rootDir, filePath)) {
+        return false;
+    }
+    const previous = state.files.get(filePath);
+    const entry = readFileEntry(filePath, previous);
+    if (entry === previous) {
+        return false;
+    }
+    state.files.set(filePath, entry);
+    state.resolved.delete(filePath);
+    if (!previous) {
+        // Requires that did not resolve before may lead to the new file
+        for (const [otherPath, requires] of state.resolved) {
+            if (requires.length < state.files.get(otherPath).parsed.calls.length) state.resolved.delete(otherPath);
+        }
+    }
+    return true;
+}
+
+/**
+ * Applies a file watcher or save event to the require graph of a workspace folder
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @param {string} filePath - Absolute path of the created, changed or deleted file or directory
+ * @param {'create'|'change'|'delete'} eventType - Kind of event
+ * @returns {boolean} - True if the requires of the folder changed
+ */
+function applyRequireGraphEvent(workspaceFolder, filePath, eventType) {
+    const state = folderGraphs.get(workspaceFolder.uri.fsPath);
+    const changedPath = path.resolve(filePath);
+    const rootDir = state && state.rootDirs.find(root => changedPath === root || changedPath.startsWith(root + path.sep));
+    if (!rootDir) {
+        return false;
+    }
+
+    let changed = false;
+    if (eventType === 'delete') {
+        const isRemoved = otherPath => otherPath === changedPath || otherPath.startsWith(changedPath + path.sep);
+        for (const otherPath of Array.from(state.files.keys()).filter(isRemoved)) {
+            state.files.delete(otherPath);
+            state.resolved.delete(otherPath);
+            changed = true;
+        }
+        // Requires of removed modules no longer resolve
+        for (const [otherPath, requires] of state.resolved) {
+            if (requires.some(entry => isRemoved(entry.modulePath))) state.resolved.delete(otherPath);
+        }
+    } else {
+        let stat;
+        try {
+            stat = fs.statSync(changedPath);
+        } catch (e) {
+            return false; // Already gone again, a delete event follows
+        }
+        if (stat.isDirectory()) {
+            // Folders moved or copied in may only report the folder itself
+            scanDirectory(changedPath, state.supportedExtensions, state.ignoreDirectories, file => {
+                changed = updateFile(state, rootDir, path.resolve(file)) || changed;
+            });
+        } else {
+            changed = updateFile(state, rootDir, changedPath);
+        }
+    }
+
+    if (changed) {
+        state.graph = null;
+    }
+    return changed;
+}
+
+/**
+ * Forgets the require graph of a workspace folder (or of every folder)
+ * @param {vscode.WorkspaceFolder} [workspaceFolder] - Workspace folder
+ */
+function clearRequireGraph(workspaceFolder) {
+    if (workspaceFolder) {
+        folderGraphs.delete(workspaceFolder.uri.fsPath);
+    } else {
+        folderGraphs.clear();
+    }
+}
+
+/**
+ * Gets the requires pointing at a module, in scan order. They are looked up in the cached graph of the
+ * folder, so asking for many modules (one CodeLens each) does not rebuild it.
+ * @param {object} result - Alias generation result of the module's workspace folder
+ * @param {string} modulePath - Absolute path of the module file
+ * @returns {object[]} - Requires with the requiring filePath, see findModuleRequires
+ */
+function getDependents(result, modulePath) {
+    return getRequireGraph(result).dependents.get(path.resolve(modulePath)) || [];
+}
+
+// Groups files of a graph into strongly connected components (Tarjan), iteratively so long chains cannot overflow the stack.
+// Only the given files and the requires between them are visited; components are numbered from firstComponent.
+function findStronglyConnected(graph, nodes = graph.files, firstComponent = 0) {
+    const component = new Map();
+    const indexes = new Map();
+    const lowLinks = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const included = new Set(nodes);
+    let nextIndex = 0;
+    let nextComponent = firstComponent;
+
+    const successors = filePath => (graph.dependencies.get(filePath) || [])
+        .map(entry => entry.modulePath)
+        .filter(modulePath => included.has(modulePath));
+
+    for (const start of nodes) {
+        if (indexes.has(start)) continue;
+        const work = [{ node: start, next: successors(start), position: 0 }];
+        indexes.set(start, nextIndex);
+        lowLinks.set(start, nextIndex++);
+        stack.push(start);
+        onStack.add(start);
+
+        while (work.length > 0) {
+            const frame = work[work.length - 1];
+            if (frame.position < frame.next.length) {
+                const successor = frame.next[frame.position++];
+                if (!indexes.has(successor)) {
+                    indexes.set(successor, nextIndex);
+                    lowLinks.set(successor, nextIndex++);
+                    stack.push(successor);
+                    onStack.add(successor);
+                    work.push({ node: successor, next: successors(successor), position: 0 });
+                } else if (onStack.has(successor)) {
+                    lowLinks.set(frame.node, Math.min(lowLinks.get(frame.node), indexes.get(successor)));
+                }
+                continue;
+            }
+
+            work.pop();
+            if (work.length > 0) {
+                const parent = work[work.length - 1].node;
+                lowLinks.set(parent, Math.min(lowLinks.get(parent), lowLinks.get(frame.node)));
+            }
+            if (lowLinks.get(frame.node) === indexes.get(frame.node)) {
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.set(member, nextComponent);
+                } while (member !== frame.node);
+                nextComponent++;
+            }
+        }
+    }
+    return component;
+}
+
+// Finds the cycles through the requires of the given files, each file's cycles staying inside its component
+function findComponentCycles(graph, component, files) {
+    const cycles = [];
+    const seen = new Set();
+
+    // Shortest chain of requires leading from one file to another inside the same component
+    const findPath = (from, to) => {
+        const previous = new Map([[from, null]]);
+        const queue = [from];
+        while (queue.length > 0) {
+            const filePath = queue.shift();
+            if (filePath === to) break;
+            for (const entry of graph.dependencies.get(filePath)) {
+                if (previous.has(entry.modulePath) || component.get(entry.modulePath) !== component.get(from)) continue;
+                previous.set(entry.modulePath, { filePath, ...entry });
+                queue.push(entry.modulePath);
+            }
+        }
+        const steps = [];
+        for (let node = to; previous.get(node); node = previous.get(node).filePath) {
+            steps.unshift(previous.get(node));
+        }
+        return steps;
+    };
+
+    for (const filePath of files) {
+        for (const entry of graph.dependencies.get(filePath)) {
+            if (component.get(entry.modulePath) !== component.get(filePath)) continue;
+
+            const cycle = [{ filePath, ...entry }, ...(entry.modulePath === filePath ? [] : findPath(entry.modulePath, filePath))];
+            const files = cycle.map(step => step.filePath);
+            const first = files.indexOf([...files].sort()[0]);
+            const key = [...files.slice(first), ...files.slice(0, first)].join('\n');
+            if (seen.has(key)) continue;
+            seen.add(key);
+            cycles.push(cycle);
+        }
+    }
+    return cycles;
+}
+
+/**
+ * Finds the require cycles of a graph. Every require that is part of a cycle is covered by the shortest
+ * cycle through it; cycles visiting the same modules in the same order are reported once.
+ * @param {object} graph - Require graph, see getRequireGraph
+ * @returns {object[][]} - Cycles as the requires that form them, each with its filePath; the module of the
+ * last require is the file of the first
+ */
+function findRequireCycles(graph) {
+    return findComponentCycles(graph, findStronglyConnected(graph), graph.files);
+}
+
+// Identifies the requires of a file, so unchanged files keep the cycles found through them
+function getRequiresKey(graph, filePath) {
+    return graph.dependencies.get(filePath).map(entry => `${entry.modulePath}\0${entry.start}\0${entry.end}\0${entry.argument}`).join('\n');
+}
+
+// Files reachable from a file by following requires (forward) or required-by links (backward)
+function findReachable(graph, start, isForward) {
+    const reached = new Set([start]);
+    const queue = [start];
+    while (queue.length > 0) {
+        const filePath = queue.shift();
+        const next = isForward
+            ? (graph.dependencies.get(filePath) || []).map(entry => entry.modulePath)
+            : (graph.dependents.get(filePath) || []).map(entry => entry.filePath);
+        for (const other of next) {
+            if (!reached.has(other) && graph.dependencies.has(other)) {
+                reached.add(other);
+                queue.push(other);
+            }
+        }
+    }
+    return reached;
+}
+
+/**
+ * Finds the require cycles of a graph again after some of its files changed. Only the components a
+ * changed file belonged to, or belongs to now, are searched again; the cycles of every other component
+ * are reused from the previous search.
+ * @param {object} graph - Require graph, see getRequireGraph
+ * @param {object|null} previous - Search state returned for the previous graph of the same folder, or null for a full search
+ * @returns {{cycles: object[][], state: object}} - Cycles in the order findRequireCycles reports them, and the state to pass next time
+ */
+function updateRequireCycles(graph, previous) {
+    const requireKeys = new Map(graph.files.map(filePath => [filePath, getRequiresKey(graph, filePath)]));
+    let component;
+    let cyclesByComponent;
+    let nextComponent;
+
+    if (!previous) {
+        component = findStronglyConnected(graph);
+        nextComponent = new Set(component.values()).size;
+        cyclesByComponent = new Map();
+        for (const cycle of findComponentCycles(graph, component, graph.files)) {
+            const id = component.get(cycle[0].filePath);
+            if (!cyclesByComponent.has(id)) cyclesByComponent.set(id, []);
+            cyclesByComponent.get(id).push(cycle);
+        }
+    } else {
+        const changedFiles = [
+            ...graph.files.filter(filePath => previous.requireKeys.get(filePath) !== requireKeys.get(filePath)),
+            ...Array.from(previous.requireKeys.keys()).filter(filePath => !requireKeys.has(filePath))
+        ];
+        if (changedFiles.length === 0) {
+            return { cycles: previous.cycles, state: { ...previous, requireKeys } };
+        }
+
+        // A changed file's old component may split, and its new component is whatever it reaches and is reached by
+        const membersByComponent = new Map();
+        for (const [filePath, id] of previous.component) {
+            if (!membersByComponent.has(id)) membersByComponent.set(id, []);
+            membersByComponent.get(id).push(filePath);
+        }
+        const affected = new Set();
+        for (const filePath of changedFiles) {
+            (membersByComponent.get(previous.component.get(filePath)) || []).forEach(member => affected.add(member));
+            if (requireKeys.has(filePath)) {
+                const backward = findReachable(graph, filePath, false);
+                findReachable(graph, filePath, true).forEach(other => backward.has(other) && affected.add(other));
+            }
+        }
+
+        component = new Map(previous.component);
+        cyclesByComponent = new Map(previous.cyclesByComponent);
+        for (const filePath of affected) {
+            cyclesByComponent.delete(previous.component.get(filePath));
+            component.delete(filePath);
+        }
+        for (const filePath of previous.component.keys()) {
+            if (!requireKeys.has(filePath)) component.delete(filePath);
+        }
+
+        const affectedFiles = graph.files.filter(filePath => affected.has(filePath));
+        const affectedComponent = findStronglyConnected(graph, affectedFiles, previous.nextComponent);
+        affectedComponent.forEach((id, filePath) => component.set(filePath, id));
+        nextComponent = previous.nextComponent + new Set(affectedComponent.values()).size;
+        for (const cycle of findComponentCycles(graph, component, affectedFiles)) {
+            const id = component.get(cycle[0].filePath);
+            if (!cyclesByComponent.has(id)) cyclesByComponent.set(id, []);
+            cyclesByComponent.get(id).push(cycle);
+        }
+    }
+
+    // Same order as a full search: by the file and position of the require each cycle was found from
+    const fileOrder = new Map(graph.files.map((filePath, index) => [filePath, index]));
+    const cycles = Array.from(cyclesByComponent.values()).flat().sort((a, b) =>
+        fileOrder.get(a[0].filePath) - fileOrder.get(b[0].filePath) || a[0].start - b[0].start);
+    return { cycles, state: { requireKeys, component, cyclesByComponent, nextComponent, cycles } };
+}
+
+module.exports = {
+    listSourceFiles,
+    findModuleRequires,
+    getRequireGraph,
+    applyRequireGraphEvent,
+    clearRequireGraph,
+    getDependents,
+    findRequireCycles,
+    updateRequireCycles
+};
@@ -0,0 +1,244 @@
+const path = require('path');
+const { shouldIgnoreDirectory } = require('../utils/workspaceUtils');
+
+/**
+ * Mirrors how the RequireOnRails runtime (wally_package/src/init.luau) resolves an ambiguous
+ * require("@Name"), so the editor can agree with it.
+ *
+ * Scan roots play the part of the runtime's Ancestors. Every container holds the ModuleScripts
+ * synced into it, named by their basename, with an init file making its folder the module. When a
+ * Rojo project maps the scan roots into the DataModel, containers are the instances their `$path`
+ * entries create, otherwise every directory is a container. From the requiring module the runtime
+ * searches down its context (direct child modules first, then each child container in turn), moves
+ * up one parent at a time until it reaches the root, and finally searches the other roots breadth-first.
+ */
+
+// Script files are not ModuleScripts and can never be required
+const SCRIPT_SUFFIXES = ['.server', '.client'];
+
+// Wally's package index is never searched by the runtime
+const INDEX_FOLDER_NAME = '_Index';
+
+function isValidContainer(name, ignoreDirectories) {
+    return name !== INDEX_FOLDER_NAME && !shouldIgnoreDirectory(name, ignoreDirectories);
+}
+
+function isScript(filePath) {
+    return SCRIPT_SUFFIXES.some(suffix => path.parse(filePath).name.endsWith(suffix));
+}
+
+// Containers keyed by their directory: the file system tree stands in for the DataModel
+function createFileSystemLayout() {
+    return {
+        getDirectoryKey: (dirPath) => dirPath,
+        getParentKey: (key) => path.dirname(key) === key ? null : path.dirname(key),
+        getName: (key) => path.basename(key),
+        getDirPath: (key) => key,
+        // An init file makes its folder the module
+        getModuleLocation(filePath) {
+            const name = path.parse(filePath).name;
+            if (name === 'init') {
+                const moduleDir = path.dirname(filePath);
+                return { containerKey: path.dirname(moduleDir), entryName: path.basename(moduleDir), name: path.basename(moduleDir) };
+            }
+            return { containerKey: path.dirname(filePath), entryName: path.basename(filePath), name };
+        }
+    };
+}
+
+// Containers keyed by their instance path, e.g. "ReplicatedStorage/Shared", so a `$path` mapped below
+// another instance is searched as part of it rather than as the directory it lives in on disk
+function createDataModelLayout(instanceMap) {
+    const toSegments = (key) => key === '' ? [] : key.split('/');
+    const getKey = (filePath) => {
+        const segments = instanceMap.getInstanceSegments(filePath);
+        return segments ? segments.join('/') : null;
+    };
+    return {
+        getDirectoryKey: getKey,
+        getParentKey: (key) => key === '' ? null : toSegments(key).slice(0, -1).join('/'),
+        getName: (key) => toSegments(key).pop() || '',
+        getDirPath: (key) => instanceMap.getFileSystemPath(toSegments(key)),
+        getModuleLocation(filePath) {
+            const segments = instanceMap.getInstanceSegments(filePath);
+            if (!segments || segments.length === 0) {
+                return null;
+            }
+            const name = segments[segments.length - 1];
+            const entryName = path.parse(filePath).name === 'init' ? path.basename(path.dirname(filePath)) : path.basename(filePath);
+            return { containerKey: segments.slice(0, -1).join('/'), entryName, name };
+        }
+    };
+}
+
+// Builds the container tree of the scan roots from the indexed module files. Modules and children are
+// sorted by their name so results are deterministic, like a sorted directory listing.
+function buildContainerTree(layout, rootDirs, modulePaths, options, nodesByKey) {
+    const createNode = (key, parent) => ({ key, dirPath: layout.getDirPath(key), parent, isRoot: false, modules: new Map(), children: [] });
+
+    const roots = [];
+    for (const rootDir of rootDirs) {
+        const key = layout.getDirectoryKey(rootDir);
+        if (key === null || nodesByKey.has(key)) continue;
+        const node = createNode(key, null);
+        node.isRoot = true;
+        nodesByKey.set(key, node);
+        roots.push(node);
+    }
+
+    // Creates the containers from the root down to a container, or returns null if one of them is never searched
+    function getOrCreateNode(key) {
+        if (key === null) {
+            return null;
+        }
+        if (nodesByKey.has(key)) {
+            return nodesByKey.get(key);
+        }
+        const parentKey = layout.getParentKey(key);
+        if (parentKey === null || !isValidContainer(layout.getName(key), options.ignoreDirectories)) {
+            return null;
+        }
+        const parent = getOrCreateNode(parentKey);
+        if (!parent) {
+            return null;
+        }
+        const node = createNode(key, parent);
+        nodesByKey.set(key, node);
+        parent.children.push(node);
+        return node;
+    }
+
+    // A root placed inside another root's container is also one of its children, e.g. a `$path` mapped below another one
+    for (const node of roots) {
+        const parent = getOrCreateNode(layout.getParentKey(node.key));
+        if (parent) {
+            node.parent = parent;
+            parent.children.push(node);
+        }
+    }
+
+    const candidates = new Map();
+    for (const filePath of modulePaths) {
+        const location = !isScript(filePath) && layout.getModuleLocation(filePath);
+        const node = location && getOrCreateNode(location.containerKey);
+        if (!node) {
+            continue;
+        }
+        if (!candidates.has(node)) candidates.set(node, []);
+        candidates.get(node).push({ entryName: location.entryName, name: location.name, filePath });
+    }
+
+    // The first entry in directory order wins when a folder module and a file share a name
+    for (const [node, entries] of candidates) {
+        entries.sort((a, b) => a.entryName.localeCompare(b.entryName));
+        for (const { name, filePath } of entries) {
+            if (!node.modules.has(name)) node.modules.set(name, filePath);
+        }
+    }
+    for (const node of nodesByKey.values()) {
+        node.children.sort((a, b) => layout.getName(a.key).localeCompare(layout.getName(b.key)));
+    }
+    return roots;
+}
+
+/**
+ * Creates a resolver for the scan roots of a workspace folder
+ * @param {string[]} rootDirs - Absolute scan root directories, in the order the runtime lists its ancestors
+ * @param {string[]} modulePaths - Absolute paths of the module files under the roots (see the alias index)
+ * @param {{ignoreDirectories: string[], instanceMap?: object}} options - Scan options, and the Rojo instance map
+ *   (see createRojoInstanceMap) when the modules should be placed where the project syncs them
+ * @returns {object} - Resolver exposing the root container nodes, getContainerNode, resolveFromDirectory and resolveFromModule
+ */
+function createRuntimeResolver(rootDirs, modulePaths, options) {
+    const layout = options.instanceMap ? createDataModelLayout(options.instanceMap) : createFileSystemLayout();
+    const nodesByKey = new Map();
+    const roots = buildContainerTree(layout, rootDirs, modulePaths, options, nodesByKey);
+
+    // Results of searching down each container, per module name
+    const searchDownCache = new Map();
+
+    function searchDown(node, name) {
+        if (!searchDownCache.has(name)) searchDownCache.set(name, new Map());
+        const cache = searchDownCache.get(name);
+        if (cache.has(node)) {
+            return cache.get(node);
+        }
+
+        let found = node.modules.get(name) || null;
+        for (let i = 0; !found && i < node.children.length; i++) {
+            found = searchDown(node.children[i], name);
+        }
+        cache.set(node, found);
+        return found;
+    }
+
+    // Breadth-first search used for the other roots (bfsFindPath in the runtime)
+    function searchRoot(rootNode, name) {
+        const queue = [rootNode];
+        while (queue.length > 0) {
+            const node = queue.shift();
+            if (node.modules.has(name)) {
+                return node.modules.get(name);
+            }
+            queue.push(...node.children);
+        }
+        return null;
+    }
+
+    // The closest root a container belongs to, where the runtime stops moving up (its primary root)
+    function getRootNode(node) {
+        while (!node.isRoot) node = node.parent;
+        return node;
+    }
+
+    /**
+     * Resolves an ambiguous module name for modules that live directly in a directory
+     * @param {string} dirPath - Absolute directory inside a scan root
+     * @param {string} name - Module name, without the "@"
+     * @returns {string|null} - Absolute path of the module the runtime would pick
+     */
+    function resolveFromDirectory(dirPath, name) {
+        // Directories without modules have no container, their closest ancestor container stands in
+        let start = null;
+        for (let key = layout.getDirectoryKey(dirPath); key !== null && !start; key = layout.getParentKey(key)) {
+            start = nodesByKey.get(key);
+        }
+        if (!start) {
+            return null;
+        }
+        const primaryRoot = getRootNode(start);
+        for (let node = start; node; node = node === primaryRoot ? null : node.parent) {
+            const found = searchDown(node, name);
+            if (found) return found;
+        }
+        for (const rootNode of roots) {
+            if (rootNode === primaryRoot) continue;
+            const found = searchRoot(rootNode, name);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    /**
+     * Resolves an ambiguous module name the way the runtime does for a requiring module.
+     * A plain module has no children and a folder module's children live in its directory,
+     * so both start from the directory containing the file.
+     * @param {string} filePath - Absolute path of the requiring module
+     * @param {string} name - Module name, without the "@"
+     * @returns {string|null} - Absolute path of the module the runtime would pick
+     */
+    function resolveFromModule(filePath, name) {
+        return resolveFromDirectory(path.dirname(filePath), name);
+    }
+
+    return {
+        roots,
+        getContainerNode: (dirPath) => nodesByKey.get(layout.getDirectoryKey(dirPath)) || null,
+        resolveFromDirectory,
+        resolveFromModule
+    };
+}
+
+module.exports = {
+    createRuntimeResolver
+};
@@ -1,55 +1,112 @@
 const vscode = require('vscode');
 const path = require('path');
 const { generateFileAliases } = require('./features/updateLuaFileAliases');
-const { updateRequireNames } = require('./features/updateRequireNames');
+const { addRequireUpdateEdits, resolveFilenameCollision } = require('./features/updateRequireNames');
 const { hideLines, unhideLines } = require('./features/hideLines');
+const { clearAliasDiagnostics, disposeAliasDiagnostics } = require('./features/aliasDiagnostics');
+const { applyFileEvent, getIndexedRootDirs, invalidateAliasIndex } = require('./core/aliasIndex');
+const { clearAliasResult } = require('./core/aliasResolver');
+const { applyRequireGraphEvent, clearRequireGraph } = require('./core/requireGraph');
+const { registerRequireNavigationProviders } = require('./features/requireNavigation');
+const { registerRequireCompletionProvider } = require('./features/requireCompletion');
+const { registerRequireHoverProvider } = require('./features/requireHover');
+const { PIN_ALIAS_COMMAND, pinManualAlias, registerRequireCodeActionProvider } = require('./features/requireCodeActions');
+const { SHOW_DEPENDENTS_COMMAND, showDependents, registerRequireReferenceProvider } = require('./features/requireReferences');
+const { showDependencyGraph } = require('./features/dependencyGraph');
+const { registerAutoImportProviders } = require('./features/autoImport');
+const { refreshRequireCodeLenses, registerRequireCodeLensProvider } = require('./features/requireCodeLens');
+const { consumeProviderRename, clearProviderRenames, registerRequireRenameProvider } = require('./features/requireRename');
+const { getOrganizeRequireEdits, shouldOrganizeOnSave, organizeRequires } = require('./features/organizeRequires');
+const {
+    lintDocument,
+    lintOpenDocuments,
+    clearDocumentDiagnostics,
+    clearRequireDiagnostics,
+    disposeRequireLinter
+} = require('./features/requireLinter');
+const { updateCycleDiagnostics, clearCycleDiagnostics, disposeCycleDiagnostics, listRequireCycles } = require('./features/requireCycles');
 const { unpackProjectTemplate } = require('./commands/unpackProjectTemplate');
 const { downloadLuauModule } = require('./commands/downloadLuauModule');
+const { migrateRequiresToAliases, ejectAliasRequires } = require('./commands/migrateRequires');
 const { addImportToAllFiles } = require('./features/addImportToFiles');
+const { removeAllUnusedRequires } = require('./features/unusedRequires');
 const { setOutputChannel, print, warn, error } = require('./core/logger');
 const { checkForPackageUpdatesWithSkip, checkForPackageUpdates } = require('./features/packageUpdateChecker');
 const { processRobloxYml, checkAndOfferSeleneGeneration } = require('./utils/yamlUtils');
+const { getRojoProjectFilePath, invalidateRojoProject } = require('./utils/rojoUtils');
+const {
+    getWorkspaceFolders,
+    getWorkspaceFolderForPath,
+    getWorkspaceFolderName,
+    getExtensionConfig,
+    pickWorkspaceFolder
+} = require('./utils/workspaceUtils');
 
-let isActive = false;
 let statusBarItem;
 let outputChannel;
 
 //----------------------------------------------------------------------------------------------
 
-// Store watcher disposables for enable/disable
-let watcherDisposables = [];
+// Every workspace folder is its own RequireOnRails project. Folders are keyed by their fsPath and
+// map to the folder plus the watcher disposables created for it.
+const activeFolders = new Map();
 
-// Store event listener disposables for enable/disable
+// Store event listener disposables for enable/disable (shared by all active folders)
 let eventListenerDisposables = [];
 
+function getFolderKey(workspaceFolder) {
+    return workspaceFolder.uri.fsPath;
+}
+
+function isFolderActive(workspaceFolder) {
+    return activeFolders.has(getFolderKey(workspaceFolder));
+}
+
+// Returns the active workspace folder that owns a file, or null if its folder is inactive
+function getActiveFolderForPath(filePath) {
+    const workspaceFolder = getWorkspaceFolderForPath(filePath);
+    return workspaceFolder && isFolderActive(workspaceFolder) ? workspaceFolder : null;
+}
+
+function isLuauEditor(editor) {
+    return editor && (editor.document.languageId === 'luau' || editor.document.languageId === 'lua');
+}
+
+// True for Luau editors whose document belongs to a folder RequireOnRails is active in
+function isActiveLuauEditor(editor) {
+    return isLuauEditor(editor) && !!editor.document.uri && !!getActiveFolderForPath(editor.document.uri.fsPath);
+}
+
 // --- Watcher Management ---
 
-function enableWatchers() {
+function createFolderWatchers(workspaceFolder) {
+    const watcherDisposables = [];
+
     // Helper to create a watcher for a glob pattern and hook up all events to the same handler
     function createWatcher(glob, onChange, handler) {
-        print(`Creating watcher for glob: ${glob}`);
-        const watcher = vscode.workspace.createFileSystemWatcher(glob);
+        print(`Creating watcher for glob: ${glob} in ${getWorkspaceFolderName(workspaceFolder)}`);
+        const watcher = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(workspaceFolder, glob));
         watcher.onDidCreate(handler);
         watcher.onDidDelete(handler);
         if (onChange) watcher.onDidChange(handler);
         watcherDisposables.push(watcher);
     }
 
-    createWatcher('**/*.luau', false, (data) => {
-        print('Luau file changed, regenerating aliases...', data.path);
-        debouncedGenerateFileAliases();
-    });
-    createWatcher('**/*.lua', false, (data) => {
-        print('Lua file changed, regenerating aliases...', data.path);
-        debouncedGenerateFileAliases();
-    });
     createWatcher('**/settings.json', true, () => {
         print('settings.json changed, regenerating aliases...');
-        debouncedGenerateFileAliases();
+        debouncedGenerateFileAliases(workspaceFolder);
     });
     createWatcher('**/settings.jsonc', true, () => {
         print('settings.jsonc changed, regenerating aliases...');
-        debouncedGenerateFileAliases();
+        debouncedGenerateFileAliases(workspaceFolder);
+    });
+    createWatcher('**/*.project.json', true, (data) => {
+        // Only the project file luau-lsp uses matters, and aliases only depend on it in Rojo mode
+        if (path.resolve(data.fsPath) !== getRojoProjectFilePath(workspaceFolder.uri.fsPath, workspaceFolder)) return;
+        invalidateRojoProject(workspaceFolder.uri.fsPath);
+        if (!getExtensionConfig(workspaceFolder).get('useRojoProject', false)) return;
+        print('Rojo project file changed, regenerating aliases...', data.path);
+        debouncedGenerateFileAliases(workspaceFolder);
     });
     createWatcher('**/roblox.yml', true, (data) => {
         print('roblox.yml changed, checking require configuration...', data.path);
@@ -57,16 +114,62 @@ function enableWatchers() {
     });
     createWatcher('**/selene.toml', true, (data) => {
         print('selene.toml changed, checking for roblox.yml...', data.path);
-        if (vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders.length > 0) {
-            const workspaceRoot = vscode.workspace.workspaceFolders[0].uri.fsPath;
-            checkAndOfferSeleneGeneration(workspaceRoot);
-        }
+        checkAndOfferSeleneGeneration(workspaceFolder.uri.fsPath);
+    });
+
+    return watcherDisposables;
+}
+
+// Updates the cycle diagnostics and dependent counts after the require graph of a folder changed
+function refreshRequireGraphViews(workspaceFolder) {
+    updateCycleDiagnostics(workspaceFolder);
+    refreshRequireCodeLenses();
+}
+
+// Module files only matter inside the scan roots, so those are the only directories watched for them.
+// Events update the alias index and the require graph in place. Aliases are regenerated only when the
+// indexed modules change, which also refreshes everything built on the require graph.
+function createRootWatchers(workspaceFolder, rootDirs) {
+    return rootDirs.map(rootDir => {
+        print(`Creating module watcher for scan root: ${rootDir}`);
+        const watcher = vscode.workspace.createFileSystemWatcher(new vscode.RelativePattern(vscode.Uri.file(rootDir), '**/*'));
+        const onEvent = (eventType) => (uri) => {
+            const requiresChanged = applyRequireGraphEvent(workspaceFolder, uri.fsPath, eventType);
+            if (eventType !== 'change' && applyFileEvent(workspaceFolder, uri.fsPath, eventType)) {
+                print(`Module ${eventType}d, regenerating aliases...`, uri.path);
+                debouncedGenerateFileAliases(workspaceFolder);
+            } else if (requiresChanged) {
+                refreshRequireGraphViews(workspaceFolder);
+            }
+        };
+        watcher.onDidCreate(onEvent('create'));
+        watcher.onDidChange(onEvent('change'));
+        watcher.onDidDelete(onEvent('delete'));
+        return watcher;
     });
 }
 
-function disableWatchers() {
-    watcherDisposables.forEach(sub => sub.dispose());
-    watcherDisposables = [];
+// Recreates the scan root watchers of a folder when its scan roots changed since they were created
+function refreshRootWatchers(workspaceFolder) {
+    const entry = activeFolders.get(getFolderKey(workspaceFolder));
+    if (!entry) return;
+
+    const rootDirs = getIndexedRootDirs(workspaceFolder);
+    const rootSignature = rootDirs.join('\n');
+    if (entry.rootSignature === rootSignature) return;
+
+    entry.rootWatchers.forEach(sub => sub.dispose());
+    entry.rootWatchers = createRootWatchers(workspaceFolder, rootDirs);
+    entry.rootSignature = rootSignature;
+}
+
+// Generates the aliases of an active folder and keeps its scan root watchers in line with the result
+function generateFolderAliases(workspaceFolder, options) {
+    const result = generateFileAliases(workspaceFolder, options);
+    refreshRootWatchers(workspaceFolder);
+    lintOpenDocuments(workspaceFolder);
+    refreshRequireGraphViews(workspaceFolder);
+    return result;
 }
 
 // --- Event Listener Management ---
@@ -74,7 +177,7 @@ function disableWatchers() {
 function enableEventListeners() {
     // Listen for active editor changes to hide lines in Luau files
     const textEditorListener = vscode.window.onDidChangeActiveTextEditor((editor) => {
-        if (editor && (editor.document.languageId === 'luau' || editor.document.languageId === 'lua')) {
+        if (isActiveLuauEditor(editor)) {
             hideLines(editor);
         }
     });
@@ -83,8 +186,7 @@ function enableEventListeners() {
     // Listen for document changes to hide lines in Luau files
     const textDocumentListener = vscode.workspace.onDidChangeTextDocument((event) => {
         const editor = vscode.window.activeTextEditor;
-        if (editor && editor.document === event.document && 
-            (editor.document.languageId === 'luau' || editor.document.languageId === 'lua')) {
+        if (isActiveLuauEditor(editor) && editor.document === event.document) {
             // Use a small delay to ensure the document has been fully updated
             setTimeout(() => {
                 hideLines(editor);
@@ -96,18 +198,79 @@ function enableEventListeners() {
     // Listen for when documents are opened to apply decorations
     const documentOpenListener = vscode.workspace.onDidOpenTextDocument((document) => {
         const editor = vscode.window.activeTextEditor;
-        if (editor && editor.document === document && 
-            (document.languageId === 'luau' || document.languageId === 'lua')) {
+        if (isActiveLuauEditor(editor) && editor.document === document) {
             hideLines(editor);
         }
     });
     eventListenerDisposables.push(documentOpenListener);
 
-    // Listen for file renames (future: update require names)
+    // Lint the require calls of Luau documents while they are open
+    const lintTimers = new Map();
+    const lintOpenedListener = vscode.workspace.onDidOpenTextDocument((document) => {
+        if (document.uri && getActiveFolderForPath(document.uri.fsPath)) {
+            lintDocument(document);
+        }
+    });
+    const lintChangedListener = vscode.workspace.onDidChangeTextDocument((event) => {
+        const document = event.document;
+        if (!document.uri || !getActiveFolderForPath(document.uri.fsPath)) return;
+
+        const key = document.uri.toString();
+        clearTimeout(lintTimers.get(key));
+        lintTimers.set(key, setTimeout(() => {
+            lintTimers.delete(key);
+            lintDocument(document);
+        }, 300));
+    });
+    const lintClosedListener = vscode.workspace.onDidCloseTextDocument((document) => {
+        clearDocumentDiagnostics(document);
+    });
+    eventListenerDisposables.push(lintOpenedListener, lintChangedListener, lintClosedListener, {
+        dispose: () => lintTimers.forEach(timer => clearTimeout(timer))
+    });
+
+    // Saved requires can close or break a cycle anywhere in the folder
+    const cycleSavedListener = vscode.workspace.onDidSaveTextDocument((document) => {
+        const workspaceFolder = document.uri && getActiveFolderForPath(document.uri.fsPath);
+        if (workspaceFolder && (document.languageId === 'luau' || document.languageId === 'lua') &&
+            applyRequireGraphEvent(workspaceFolder, document.uri.fsPath, 'change')) {
+            refreshRequireGraphViews(workspaceFolder);
+        }
+    });
+    eventListenerDisposables.push(cycleSavedListener);
+
+    // Organize the require block before a Luau document is written, when organizeRequiresOnSave is on
+    const organizeSaveListener = vscode.workspace.onWillSaveTextDocument((event) => {
+        const document = event.document;
+        if (document.uri && getActiveFolderForPath(document.uri.fsPath) && shouldOrganizeOnSave(document)) {
+            event.waitUntil(Promise.resolve(getOrganizeRequireEdits(document)));
+        }
+    });
+    eventListenerDisposables.push(organizeSaveListener);
+
+    // Update the requires of files about to be renamed in one edit, which opens in the refactor preview
+    // and is undone together with the rename
+    const willRenameListener = vscode.workspace.onWillRenameFiles((event) => {
+        const edit = new vscode.WorkspaceEdit();
+        event.files.forEach((file) => {
+            if (!getActiveFolderForPath(file.newUri.fsPath)) return;
+            // Renames from the alias rename provider already updated their requires
+            if (consumeProviderRename(file.oldUri.fsPath, file.newUri.fsPath)) return;
+            addRequireUpdateEdits(edit, file.newUri.fsPath, file.oldUri.fsPath);
+        });
+        if (edit.size > 0) {
+            event.waitUntil(Promise.resolve(edit));
+        }
+    });
+    eventListenerDisposables.push(willRenameListener);
+
+    // Renamed files that collide with another module get a "_Duplicate" suffix once they are in place
     const renameListener = vscode.workspace.onDidRenameFiles((event) => {
+        // Provider renames left at this point were cancelled and must not skip a later rename
+        clearProviderRenames();
         event.files.forEach((file) => {
-            //print(`File renamed from ${file.oldUri.fsPath} to ${file.newUri.fsPath}`);
-            updateRequireNames(file.newUri.fsPath, file.oldUri.fsPath);
+            if (!getActiveFolderForPath(file.newUri.fsPath)) return;
+            resolveFilenameCollision(file.newUri.fsPath, file.oldUri.fsPath);
         });
     });
     eventListenerDisposables.push(renameListener);
@@ -121,46 +284,138 @@ function disableEventListeners() {
 //----------------------------------------------------------------------------------------------
 // --- Extension Feature Toggle ---
 
-function enableExtensionFeatures() {
-    isActive = true;
+function enableFolderFeatures(workspaceFolder) {
+    if (isFolderActive(workspaceFolder)) return;
 
-    // Ensure clean state before enabling
-    disableWatchers();
-    disableEventListeners();
+    print(`Enabling RequireOnRails for ${getWorkspaceFolderName(workspaceFolder)}`);
+
+    // Editor listeners are shared, so they are only created for the first active folder
+    if (activeFolders.size === 0) {
+        disableEventListeners();
+        enableEventListeners();
+    }
+
+    activeFolders.set(getFolderKey(workspaceFolder), {
+        workspaceFolder,
+        watchers: createFolderWatchers(workspaceFolder),
+        rootWatchers: [],
+        rootSignature: null
+    });
 
-    enableWatchers();
-    enableEventListeners();
+    generateFolderAliases(workspaceFolder);
+    scanAndProcessRobloxYmlFiles(workspaceFolder);
+    setStatusBarText();
+
+    const editor = vscode.window.activeTextEditor;
+    if (isActiveLuauEditor(editor)) {
+        hideLines(editor);
+    }
+}
 
-    generateFileAliases();
-    scanAndProcessRobloxYmlFiles();
+function disableFolderFeatures(workspaceFolder) {
+    const key = getFolderKey(workspaceFolder);
+    const entry = activeFolders.get(key);
+    if (!entry) return;
+
+    print(`Disabling RequireOnRails for ${getWorkspaceFolderName(workspaceFolder)}`);
+
+    entry.watchers.forEach(sub => sub.dispose());
+    entry.rootWatchers.forEach(sub => sub.dispose());
+    activeFolders.delete(key);
+    clearPendingAliasGeneration(key);
+    clearAliasDiagnostics(workspaceFolder);
+    invalidateAliasIndex(workspaceFolder);
+    clearAliasResult(workspaceFolder);
+    clearRequireDiagnostics(workspaceFolder);
+    clearRequireGraph(workspaceFolder);
+    clearCycleDiagnostics(workspaceFolder);
+    refreshRequireCodeLenses();
+
+    if (activeFolders.size === 0) {
+        disableEventListeners();
+    }
     setStatusBarText();
+
+    const editor = vscode.window.activeTextEditor;
+    const editorFolder = editor && editor.document.uri && getWorkspaceFolderForPath(editor.document.uri.fsPath);
+    if (editorFolder && getFolderKey(editorFolder) === key) {
+        unhideLines(editor);
+    }
 }
 
 function disableExtensionFeatures() {
-    isActive = false;
-
-    disableWatchers();
+    for (const { workspaceFolder } of Array.from(activeFolders.values())) {
+        disableFolderFeatures(workspaceFolder);
+    }
     disableEventListeners();
-
     setStatusBarText();
 
     unhideLines(vscode.window.activeTextEditor);
 }
 
 function setStatusBarText() {
-    if (statusBarItem) {
-        statusBarItem.text = isActive ? '$(check) RequireOnRails: On' : '$(circle-slash) RequireOnRails: Off';
-        statusBarItem.tooltip = isActive ? 'Click to deactivate RequireOnRails' : 'Click to activate RequireOnRails';
+    if (!statusBarItem) return;
+
+    const folders = getWorkspaceFolders();
+    const activeCount = folders.filter(isFolderActive).length;
+
+    if (activeCount === 0) {
+        statusBarItem.text = '$(circle-slash) RequireOnRails: Off';
+    } else if (folders.length <= 1) {
+        statusBarItem.text = '$(check) RequireOnRails: On';
+    } else {
+        statusBarItem.text = `$(check) RequireOnRails: On (${activeCount}/${folders.length})`;
+    }
+
+    if (folders.length <= 1) {
+        statusBarItem.tooltip = activeCount > 0 ? 'Click to deactivate RequireOnRails' : 'Click to activate RequireOnRails';
+    } else {
+        const folderLines = folders.map(folder =>
+            `${isFolderActive(folder) ? '$(check)' : '$(circle-slash)'} ${getWorkspaceFolderName(folder)}`
+        );
+        statusBarItem.tooltip = new vscode.MarkdownString(
+            `RequireOnRails folders:\n\n${folderLines.join('\n\n')}\n\nClick to choose active folders`,
+            true
+        );
     }
 }
 
 //----------------------------------------------------------------------------------------------
 
-function toggleExtension() {
-    if (!isActive) {
-        enableExtensionFeatures();
-    } else {
-        disableExtensionFeatures();
+async function toggleExtension() {
+    const folders = getWorkspaceFolders();
+    if (folders.length === 1) {
+        if (isFolderActive(folders[0])) {
+            disableFolderFeatures(folders[0]);
+        } else {
+            enableFolderFeatures(folders[0]);
+        }
+        return;
+    }
+
+    // Multi-root workspaces choose which folders RequireOnRails should be active in
+    const picks = await vscode.window.showQuickPick(
+        folders.map(folder => ({
+            label: getWorkspaceFolderName(folder),
+            description: folder.uri.fsPath,
+            picked: isFolderActive(folder),
+            folder
+        })),
+        {
+            canPickMany: true,
+            placeHolder: 'Select the workspace folders RequireOnRails should be active in',
+            ignoreFocusOut: true
+        }
+    );
+    if (!picks) return; // User cancelled
+
+    const selected = new Set(picks.map(pick => getFolderKey(pick.folder)));
+    for (const folder of folders) {
+        if (selected.has(getFolderKey(folder))) {
+            enableFolderFeatures(folder);
+        } else {
+            disableFolderFeatures(folder);
+        }
     }
 }
 
@@ -171,51 +426,54 @@ function registerCommand(context, commandId, handler) {
     return command;
 }
 
-// Debounce utility (shared instance for all watchers)
-let debounceTimer = null;
-let debouncePending = false;
-let isGeneratingAliases = false;
-
-function debouncedGenerateFileAliases() {
-    if (isGeneratingAliases) return; // Prevent recursive calls
-    
-    debouncePending = true;
-    if (debounceTimer) clearTimeout(debounceTimer);
-    debounceTimer = setTimeout(async () => {
-        debounceTimer = null;
-        if (debouncePending && !isGeneratingAliases) {
-            debouncePending = false;
-            isGeneratingAliases = true;
-            try {
-                await generateFileAliases();
-            } finally {
-                isGeneratingAliases = false;
-            }
+// Debounce utility (one timer per workspace folder)
+const debounceTimers = new Map();
+const foldersGeneratingAliases = new Set();
+
+function clearPendingAliasGeneration(folderKey) {
+    const timer = debounceTimers.get(folderKey);
+    if (timer) clearTimeout(timer);
+    debounceTimers.delete(folderKey);
+}
+
+function debouncedGenerateFileAliases(workspaceFolder) {
+    const key = getFolderKey(workspaceFolder);
+    if (foldersGeneratingAliases.has(key)) return; // Prevent recursive calls
+
+    clearPendingAliasGeneration(key);
+    debounceTimers.set(key, setTimeout(async () => {
+        debounceTimers.delete(key);
+        if (!isFolderActive(workspaceFolder) || foldersGeneratingAliases.has(key)) return;
+
+        foldersGeneratingAliases.add(key);
+        try {
+            await generateFolderAliases(workspaceFolder, { incremental: true });
+        } finally {
+            foldersGeneratingAliases.delete(key);
         }
-    }, 500);
+    }, 500));
 }
 
 function activate(context) {
-    const config = vscode.workspace.getConfiguration('require-on-rails');
-    
     // Create output channel for logging
     outputChannel = vscode.window.createOutputChannel('RequireOnRails');
     context.subscriptions.push(outputChannel);
     setOutputChannel(outputChannel);
-    
+
     print('RequireOnRails extension activated');
-    print(config);
-    
+
     // Check if workspace folders exist before accessing
-    if (!vscode.workspace.workspaceFolders || vscode.workspace.workspaceFolders.length === 0) {
+    const folders = getWorkspaceFolders();
+    if (folders.length === 0) {
         print('No workspace folder found. RequireOnRails will be available when a folder is opened.');
     } else {
-        const workspaceRoot = vscode.workspace.workspaceFolders[0].uri.fsPath;
-        print('Activating RequireOnRails extension with workspace root:', workspaceRoot);
-        
+        print('Activating RequireOnRails extension with workspace folders:', folders.map(folder => folder.uri.fsPath).join(', '));
+
         // Check for package updates after a short delay
         setTimeout(async () => {
-            await checkForPackageUpdatesWithSkip(workspaceRoot);
+            for (const folder of folders) {
+                await checkForPackageUpdatesWithSkip(folder.uri.fsPath);
+            }
         }, 2000);
     }
 
@@ -227,12 +485,12 @@ function activate(context) {
     context.subscriptions.push(statusBarItem);
 
     // Register commands using helper function
-    registerCommand(context, 'require-on-rails.toggleActive', () => {
-        if (!vscode.workspace.workspaceFolders || vscode.workspace.workspaceFolders.length === 0) {
+    registerCommand(context, 'require-on-rails.toggleActive', async () => {
+        if (getWorkspaceFolders().length === 0) {
             vscode.window.showWarningMessage('RequireOnRails: Please open a folder first.');
             return;
         }
-        toggleExtension();
+        await toggleExtension();
     });
 
     registerCommand(context, 'require-on-rails.setupDefaultProject', () => {
@@ -247,33 +505,88 @@ function activate(context) {
         addImportToAllFiles();
     });
 
+    registerCommand(context, 'require-on-rails.removeAllUnusedRequires', async () => {
+        if (activeFolders.size === 0) {
+            vscode.window.showWarningMessage('RequireOnRails: Activate RequireOnRails for a folder first.');
+            return;
+        }
+        const workspaceFolders = Array.from(activeFolders.values(), ({ workspaceFolder }) => workspaceFolder);
+        if (await removeAllUnusedRequires(workspaceFolders) > 0) {
+            // Removed requires drop their edges from the require graph
+            for (const { workspaceFolder } of activeFolders.values()) {
+                lintOpenDocuments(workspaceFolder);
+                updateCycleDiagnostics(workspaceFolder);
+            }
+            refreshRequireCodeLenses();
+        }
+    });
+
+    registerCommand(context, 'require-on-rails.migrateRequiresToAliases', async () => {
+        await migrateRequiresToAliases();
+    });
+
+    registerCommand(context, 'require-on-rails.ejectAliasRequires', async () => {
+        await ejectAliasRequires();
+    });
+
+    registerCommand(context, 'require-on-rails.regenerateAliases', () => {
+        if (activeFolders.size === 0) {
+            vscode.window.showWarningMessage('RequireOnRails: Activate RequireOnRails for a folder first.');
+            return;
+        }
+        for (const { workspaceFolder } of activeFolders.values()) {
+            generateFolderAliases(workspaceFolder);
+        }
+    });
+
+    // Used by the quick fixes for ambiguous requires
+    registerCommand(context, PIN_ALIAS_COMMAND, async (folderUri, name, modulePath) => {
+        await pinManualAlias(folderUri, name, modulePath);
+    });
+
+    registerCommand(context, SHOW_DEPENDENTS_COMMAND, async (uri) => {
+        await showDependents(uri);
+    });
+
+    registerCommand(context, 'require-on-rails.showDependencyGraph', async () => {
+        await showDependencyGraph();
+    });
+
+    registerCommand(context, 'require-on-rails.listRequireCycles', async () => {
+        await listRequireCycles();
+    });
+
+    registerCommand(context, 'require-on-rails.organizeRequires', async () => {
+        await organizeRequires();
+    });
+
     registerCommand(context, 'require-on-rails.checkForUpdates', async () => {
-        if (vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders.length > 0) {
-            const workspaceRoot = vscode.workspace.workspaceFolders[0].uri.fsPath;
-            await checkForPackageUpdates(workspaceRoot);
-        } else {
-            vscode.window.showWarningMessage('RequireOnRails: Please open a folder first.');
+        const workspaceFolder = await pickWorkspaceFolder('the update check');
+        if (workspaceFolder) {
+            await checkForPackageUpdates(workspaceFolder.uri.fsPath);
         }
     });
 
-    registerCommand(context, 'require-on-rails.checkRobloxYml', () => {
-        if (!vscode.workspace.workspaceFolders || vscode.workspace.workspaceFolders.length === 0) {
+    registerCommand(context, 'require-on-rails.checkRobloxYml', async () => {
+        if (getWorkspaceFolders().length === 0) {
             vscode.window.showWarningMessage('RequireOnRails: Please open a folder first.');
             return;
         }
-        scanAndProcessRobloxYmlFiles();
+        for (const folder of getWorkspaceFolders()) {
+            await scanAndProcessRobloxYmlFiles(folder);
+        }
         vscode.window.showInformationMessage('RequireOnRails: Checked and processed roblox.yml files.');
     });
 
     registerCommand(context, 'require-on-rails.generateRobloxYml', async () => {
-        if (!vscode.workspace.workspaceFolders || vscode.workspace.workspaceFolders.length === 0) {
-            vscode.window.showWarningMessage('RequireOnRails: Please open a folder first.');
+        const workspaceFolder = await pickWorkspaceFolder('roblox.yml generation');
+        if (!workspaceFolder) {
             return;
         }
-        
-        const workspaceRoot = vscode.workspace.workspaceFolders[0].uri.fsPath;
+
+        const workspaceRoot = workspaceFolder.uri.fsPath;
         const { generateSeleneConfig } = require('./utils/yamlUtils');
-        
+
         try {
             const success = await generateSeleneConfig(workspaceRoot);
             if (success) {
@@ -286,6 +599,27 @@ function activate(context) {
         }
     });
 
+    // Language features for require strings. They only answer for folders with generated aliases.
+    context.subscriptions.push(...registerRequireNavigationProviders());
+    context.subscriptions.push(registerRequireCompletionProvider());
+    context.subscriptions.push(registerRequireHoverProvider());
+    context.subscriptions.push(registerRequireCodeActionProvider());
+    context.subscriptions.push(registerRequireReferenceProvider());
+    context.subscriptions.push(...registerAutoImportProviders());
+    context.subscriptions.push(registerRequireCodeLensProvider());
+    context.subscriptions.push(registerRequireRenameProvider());
+
+    // Track folders being added to or removed from a multi-root workspace
+    context.subscriptions.push(vscode.workspace.onDidChangeWorkspaceFolders((event) => {
+        event.removed.forEach(folder => disableFolderFeatures(folder));
+        event.added.forEach(folder => {
+            if (getExtensionConfig(folder).get('startsImmediately')) {
+                enableFolderFeatures(folder);
+            }
+        });
+        setStatusBarText();
+    }));
+
     // Clean up on deactivate
     context.subscriptions.push({
         dispose: () => {
@@ -293,9 +627,12 @@ function activate(context) {
         }
     });
 
-    if (config.get("startsImmediately") && vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders.length > 0) {
-        print('RequireOnRails is starting immediately as per configuration.');
-        toggleExtension();
+    // startsImmediately is resource-scoped, so each folder decides for itself
+    for (const folder of folders) {
+        if (getExtensionConfig(folder).get('startsImmediately')) {
+            print(`RequireOnRails is starting immediately for ${getWorkspaceFolderName(folder)} as per configuration.`);
+            enableFolderFeatures(folder);
+        }
     }
 }
 
@@ -303,34 +640,36 @@ function activate(context) {
 function deactivate() {
     print('Deactivating RequireOnRails...');
     disableExtensionFeatures();
+    disposeAliasDiagnostics();
+    disposeRequireLinter();
+    disposeCycleDiagnostics();
 }
 
 //----------------------------------------------------------------------------------------------
 // --- roblox.yml Processing ---
 
-async function scanAndProcessRobloxYmlFiles() {
-    if (!vscode.workspace.workspaceFolders || vscode.workspace.workspaceFolders.length === 0) {
-        return;
-    }
-
-    const workspaceRoot = vscode.workspace.workspaceFolders[0].uri.fsPath;
+async function scanAndProcessRobloxYmlFiles(workspaceFolder) {
+    const workspaceRoot = workspaceFolder.uri.fsPath;
 
     try {
-        print('Scanning for existing roblox.yml files...');
-        const robloxYmlFiles = await vscode.workspace.findFiles('**/roblox.yml', '**/node_modules/**');
-        
+        print(`Scanning for existing roblox.yml files in ${getWorkspaceFolderName(workspaceFolder)}...`);
+        const robloxYmlFiles = await vscode.workspace.findFiles(
+            new vscode.RelativePattern(workspaceFolder, '**/roblox.yml'),
+            '**/node_modules/**'
+        );
+
         if (robloxYmlFiles.length === 0) {
-            print('No roblox.yml files found in workspace');
-            
+            print('No roblox.yml files found in workspace folder');
+
             // Check if there's a selene.toml but no roblox.yml
             await checkAndOfferSeleneGeneration(workspaceRoot);
         } else {
             print(`Found ${robloxYmlFiles.length} roblox.yml file(s), processing...`);
-            
+
             for (const file of robloxYmlFiles) {
                 processRobloxYml(file.fsPath);
             }
-            
+
             print('Finished processing roblox.yml files');
         }
     } catch (err) {
@@ -343,4 +682,4 @@ async function scanAndProcessRobloxYmlFiles() {
 module.exports = {
 	activate,
 	deactivate
-}
\ No newline at end of file
+}
@@ -2,38 +2,52 @@ const fs = require('fs');
 const path = require('path');
 const vscode = require('vscode');
 const { print, warn } = require('../core/logger');
-const { getCommonConfig, scanDirectory, requireWorkspaceRoot } = require('../utils/workspaceUtils');
+const {
+    getCommonConfig,
+    scanDirectory,
+    requireWorkspaceRoot,
+    getWorkspaceFolders,
+    getWorkspaceFolderForPath,
+    getWorkspaceFolderName
+} = require('../utils/workspaceUtils');
+
+// Comment placed above the import line so selene accepts overwriting require
+const SELENE_IMPORT_COMMENT = '-- selene: allow(incorrect_standard_library_use)';
 
 /**
- * Main function to add import require definitions to files using custom aliases
+ * Main function to add import require definitions to files using custom aliases.
+ * Every workspace folder is scanned with its own settings.
  */
 function addImportToAllFiles() {
-    const workspaceRoot = requireWorkspaceRoot('import management');
-    if (!workspaceRoot) return;
-
-    const config = getCommonConfig();
-    const { directoriesToScan, ignoreDirectories, importModulePaths } = config;
-    const pathsArray = Array.isArray(importModulePaths) ? importModulePaths : [importModulePaths];
-    const defaultImportModulePath = pathsArray[0];
-    
-    if (!defaultImportModulePath) {
-        vscode.window.showErrorMessage('RequireOnRails: No import module path configured.');
-        return;
-    }
+    if (!requireWorkspaceRoot('import management')) return;
 
+    // Each entry remembers the folder-specific import path it should receive
     const filesToProcess = [];
-    
-    // Scan all directories for files that need the import
-    directoriesToScan.forEach(dir => {
-        const dirPath = path.join(workspaceRoot, dir);
-        if (fs.existsSync(dirPath) && fs.statSync(dirPath).isDirectory()) {
-            scanDirectory(dirPath, config.supportedExtensions, ignoreDirectories, (filePath) => {
-                if (fileNeedsImport(filePath, importModulePaths)) {
-                    filesToProcess.push(filePath);
-                }
-            });
+
+    for (const workspaceFolder of getWorkspaceFolders()) {
+        const workspaceRoot = workspaceFolder.uri.fsPath;
+        const config = getCommonConfig(workspaceFolder);
+        const { directoriesToScan, ignoreDirectories, importModulePaths } = config;
+        const pathsArray = Array.isArray(importModulePaths) ? importModulePaths : [importModulePaths];
+        const defaultImportModulePath = pathsArray[0];
+
+        if (!defaultImportModulePath) {
+            vscode.window.showErrorMessage(`RequireOnRails: No import module path configured for ${getWorkspaceFolderName(workspaceFolder)}.`);
+            continue;
         }
-    });
+
+        // Scan all directories for files that need the import
+        directoriesToScan.forEach(dir => {
+            const dirPath = path.join(workspaceRoot, dir);
+            if (fs.existsSync(dirPath) && fs.statSync(dirPath).isDirectory()) {
+                scanDirectory(dirPath, config.supportedExtensions, ignoreDirectories, (filePath) => {
+                    if (fileNeedsImport(filePath, importModulePaths)) {
+                        filesToProcess.push({ filePath, workspaceRoot, defaultImportModulePath });
+                    }
+                });
+            }
+        });
+    }
 
     if (filesToProcess.length === 0) {
         vscode.window.showInformationMessage('RequireOnRails: No files found that need the import require definition.');
@@ -46,21 +60,9 @@ function addImportToAllFiles() {
         'Yes', 'No', 'Show Files'
     ).then(selection => {
         if (selection === 'Show Files') {
-            showFilesPreview(filesToProcess, defaultImportModulePath);
+            showFilesPreview(filesToProcess);
         } else if (selection === 'Yes') {
-            addImportToFiles(filesToProcess, defaultImportModulePath, workspaceRoot);
-        }
-    });
-}
-
-/**
- * Recursively scans directories for files that use custom aliases but lack import definition
- */
-function scanForFilesNeedingImport(dir, importModulePaths, ignoreDirectories, filesToProcess) {
-    const config = getCommonConfig();
-    scanDirectory(dir, config.supportedExtensions, ignoreDirectories, (filePath) => {
-        if (fileNeedsImport(filePath, importModulePaths)) {
-            filesToProcess.push(filePath);
+            addImportToFiles(filesToProcess);
         }
     });
 }
@@ -114,20 +116,20 @@ function shouldIgnoreDirectory(dirName, ignorePatterns) {
 /**
  * Shows a preview of files that will be modified
  */
-function showFilesPreview(filesToProcess, defaultImportModulePath) {
-    const workspaceRoot = vscode.workspace.workspaceFolders[0].uri.fsPath;
-    const relativePaths = filesToProcess.map(file => 
-        path.relative(workspaceRoot, file).replace(/\\/g, '/')
+function showFilesPreview(filesToProcess) {
+    const relativePaths = filesToProcess.map(({ filePath, workspaceRoot }) => 
+        path.relative(workspaceRoot, filePath).replace(/\\/g, '/')
     );
     
-    const message = `Files that will receive the import require definition:\n\n${relativePaths.join('\n')}\n\nImport to add: require = require(${defaultImportModulePath})(script) :: typeof(require)`;
+    const message = `Files that will receive the import require definition:\n\n${relativePaths.join('\n')}`;
+    print(message);
     
     vscode.window.showInformationMessage(
         `${filesToProcess.length} files will be modified.`,
         'Proceed', 'Cancel'
     ).then(selection => {
         if (selection === 'Proceed') {
-            addImportToFiles(filesToProcess, defaultImportModulePath, workspaceRoot);
+            addImportToFiles(filesToProcess);
         }
     });
 }
@@ -135,15 +137,13 @@ function showFilesPreview(filesToProcess, defaultImportModulePath) {
 /**
  * Adds the import require definition to all specified files
  */
-function addImportToFiles(filesToProcess, defaultImportModulePath, workspaceRoot) {
-    const config = getCommonConfig();
-    const { preferredImportPlacement } = config;
-    
+function addImportToFiles(filesToProcess) {
     let successCount = 0;
     let errorCount = 0;
     
-    filesToProcess.forEach(filePath => {
+    filesToProcess.forEach(({ filePath, workspaceRoot, defaultImportModulePath }) => {
         try {
+            const { preferredImportPlacement } = getCommonConfig(workspaceRoot);
             if (addImportToSingleFile(filePath, defaultImportModulePath, preferredImportPlacement)) {
                 successCount++;
                 const relativePath = path.relative(workspaceRoot, filePath).replace(/\\/g, '/');
@@ -166,31 +166,26 @@ function addImportToFiles(filesToProcess, defaultImportModulePath, workspaceRoot
 }
 
 /**
- * Adds import require definition to a single file
+ * Works out where the import require definition goes in a file and which lines make it up
+ * (the definition, preceded by the selene comment when configured)
  */
-function addImportToSingleFile(filePath, defaultImportModulePath, preferredImportPlacement) {
-    const content = fs.readFileSync(filePath, 'utf8');
-    const lines = content.split('\n');
-    
-    const config = getCommonConfig();
+function getImportInsertion(lines, filePath, defaultImportModulePath, preferredImportPlacement) {
+    const config = getCommonConfig(filePath);
     const { addSeleneCommentToImport } = config;
     
-    // Check if selene.toml exists in workspace
-    const workspaceFolder = vscode.workspace.workspaceFolders[0];
+    // Check if selene.toml exists in the workspace folder that owns the file
+    const workspaceFolder = getWorkspaceFolderForPath(filePath);
     const hasSeleneConfig = workspaceFolder && 
         fs.existsSync(path.join(workspaceFolder.uri.fsPath, 'selene.toml'));
     
-    const seleneComment = '-- selene: allow(incorrect_standard_library_use)';
     const importRequire = `require = require(${defaultImportModulePath})(script)`;
     
     // Check if selene comment already exists
     const hasSeleneComment = lines.some(line => 
-        line.trim() === seleneComment
+        line.trim() === SELENE_IMPORT_COMMENT
     );
     
     let insertLine = 0;
-
-    print("Pref Import:", preferredImportPlacement)
     
     // Determine insertion line based on preference
     switch (preferredImportPlacement) {
@@ -243,15 +238,26 @@ function addImportToSingleFile(filePath, defaultImportModulePath, preferredImpor
             break;
     }
     
-    // Prepare the text to insert
-    let textToInsert = '';
+    // Prepare the lines to insert
+    const linesToInsert = [];
     if (addSeleneCommentToImport && hasSeleneConfig && !hasSeleneComment) {
-        textToInsert += seleneComment + '\n';
+        linesToInsert.push(SELENE_IMPORT_COMMENT);
     }
-    textToInsert += importRequire + '\n';
-    
+    linesToInsert.push(importRequire);
+
+    return { insertLine, linesToInsert };
+}
+
+/**
+ * Adds import require definition to a single file
+ */
+function addImportToSingleFile(filePath, defaultImportModulePath, preferredImportPlacement) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const lines = content.split('\n');
+
     // Insert the text
-    lines.splice(insertLine, 0, ...textToInsert.split('\n').slice(0, -1)); // Remove last empty line
+    const { insertLine, linesToInsert } = getImportInsertion(lines, filePath, defaultImportModulePath, preferredImportPlacement);
+    lines.splice(insertLine, 0, ...linesToInsert);
     
     const updatedContent = lines.join('\n');
     fs.writeFileSync(filePath, updatedContent, 'utf8');
@@ -259,4 +265,4 @@ function addImportToSingleFile(filePath, defaultImportModulePath, preferredImpor
     return true;
 }
 
-module.exports = { addImportToAllFiles, addImportToSingleFile, hasValidImportRequire };
+module.exports = { SELENE_IMPORT_COMMENT, addImportToAllFiles, addImportToSingleFile, getImportInsertion, hasValidImportRequire };
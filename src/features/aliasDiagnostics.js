@@ -0,0 +1,158 @@
+const vscode = require('vscode');
+const path = require('path');
+const { getExtensionConfig } = require('../utils/workspaceUtils');
+
+const DIAGNOSTIC_SOURCE = 'RequireOnRails';
+
+// Diagnostic codes, also used to find these diagnostics again (e.g. from code actions)
+const DIAGNOSTIC_CODES = {
+    ambiguousAlias: 'ambiguous-alias',
+    shadowedAlias: 'shadowed-alias',
+    ignoredFile: 'ignored-file',
+    unknownAliasRequire: 'unknown-alias-require',
+    ambiguousRequire: 'ambiguous-require',
+    ignoredRequire: 'ignored-require',
+    missingModuleRequire: 'missing-module-require',
+    circularRequire: 'circular-require',
+    forbiddenRootRequire: 'forbidden-root-require',
+    unusedRequire: 'unused-require'
+};
+
+// Created lazily so the collection only exists once aliases have been generated
+let diagnosticCollection = null;
+
+// Files that received diagnostics, per workspace folder, so a folder can be refreshed or cleared on its own
+const diagnosedFilesByFolder = new Map();
+
+function getDiagnosticCollection() {
+    if (!diagnosticCollection) {
+        diagnosticCollection = vscode.languages.createDiagnosticCollection('require-on-rails');
+    }
+    return diagnosticCollection;
+}
+
+// Diagnostics are attached to the first line of the module since they describe the file as a whole
+function createFileDiagnostic(message, severity, code, relatedPaths, workspaceRoot) {
+    const range = new vscode.Range(0, 0, 0, 0);
+    const diagnostic = new vscode.Diagnostic(range, message, severity);
+    diagnostic.source = DIAGNOSTIC_SOURCE;
+    diagnostic.code = code;
+    diagnostic.relatedInformation = relatedPaths.map(relatedPath => new vscode.DiagnosticRelatedInformation(
+        new vscode.Location(vscode.Uri.file(path.join(workspaceRoot, relatedPath)), range),
+        `Competing module: ${relatedPath}`
+    ));
+    return diagnostic;
+}
+
+// Describes how an ambiguous module can still be required, depending on the generated aliases
+function describeAmbiguousResolution(basename, filePath, result) {
+    const qualified = Object.keys(result.qualifiedAliases).find(alias => result.qualifiedAliases[alias] === filePath);
+    const pinned = result.pinnedAliases[basename];
+    if (pinned && pinned.path === filePath) {
+        return ` "@${basename}" points to this module because it is pinned in ${pinned.source}.`;
+    }
+    if (pinned) {
+        return ` "@${basename}" is pinned to ${pinned.path} in ${pinned.source}` + (qualified ? `; require this module with "@${qualified}".` : '.');
+    }
+    if (result.generatedAliases[basename] === filePath) {
+        return ` "@${basename}" points to this module because its root is listed in preferredAliasRoots.`;
+    }
+    if (result.generatedAliases[basename]) {
+        return ` "@${basename}" points to ${result.generatedAliases[basename]}` + (qualified ? `; require this module with "@${qualified}".` : '.');
+    }
+    if (qualified) {
+        return ` Require this module with "@${qualified}".`;
+    }
+    return ' No alias was generated for it.';
+}
+
+function buildDiagnostics(result) {
+    const workspaceRoot = result.workspaceFolder.uri.fsPath;
+    const diagnostics = new Map();
+
+    function addDiagnostic(filePath, diagnostic) {
+        if (!diagnostics.has(filePath)) diagnostics.set(filePath, []);
+        diagnostics.get(filePath).push(diagnostic);
+    }
+
+    for (const [basename, paths] of Object.entries(result.ambiguousAliases)) {
+        for (const filePath of paths) {
+            const competing = paths.filter(other => other !== filePath);
+            addDiagnostic(filePath, createFileDiagnostic(
+                `Ambiguous alias "@${basename}": the basename is shared with ${competing.join(', ')}.` + describeAmbiguousResolution(basename, filePath, result),
+                vscode.DiagnosticSeverity.Warning,
+                DIAGNOSTIC_CODES.ambiguousAlias,
+                competing,
+                workspaceRoot
+            ));
+        }
+    }
+
+    for (const [basename, { paths, aliasPath, source }] of Object.entries(result.shadowedAliases)) {
+        for (const filePath of paths) {
+            addDiagnostic(filePath, createFileDiagnostic(
+                `Alias "@${basename}" is shadowed by the ${source} entry pointing to ${aliasPath}, so it does not resolve to this module.`,
+                vscode.DiagnosticSeverity.Information,
+                DIAGNOSTIC_CODES.shadowedAlias,
+                [aliasPath],
+                workspaceRoot
+            ));
+        }
+    }
+
+    if (getExtensionConfig(result.workspaceFolder).get('reportIgnoredFiles', true)) {
+        for (const { path: filePath, ignoredDir } of result.ignoredFiles) {
+            addDiagnostic(filePath, createFileDiagnostic(
+                `No alias generated: ${ignoredDir} is excluded by ignoreDirectories.`,
+                vscode.DiagnosticSeverity.Information,
+                DIAGNOSTIC_CODES.ignoredFile,
+                [],
+                workspaceRoot
+            ));
+        }
+    }
+
+    return diagnostics;
+}
+
+// Removes the diagnostics previously reported for a workspace folder
+function clearAliasDiagnostics(workspaceFolder) {
+    const folderKey = workspaceFolder.uri.fsPath;
+    const diagnosedFiles = diagnosedFilesByFolder.get(folderKey);
+    if (diagnosedFiles && diagnosticCollection) {
+        diagnosedFiles.forEach(uri => diagnosticCollection.delete(uri));
+    }
+    diagnosedFilesByFolder.delete(folderKey);
+}
+
+// Replaces the diagnostics of a workspace folder with the ones described by an alias generation result
+function updateAliasDiagnostics(result) {
+    clearAliasDiagnostics(result.workspaceFolder);
+
+    const workspaceRoot = result.workspaceFolder.uri.fsPath;
+    const collection = getDiagnosticCollection();
+    const diagnosedFiles = [];
+    for (const [filePath, diagnostics] of buildDiagnostics(result)) {
+        const uri = vscode.Uri.file(path.join(workspaceRoot, filePath));
+        collection.set(uri, diagnostics);
+        diagnosedFiles.push(uri);
+    }
+    diagnosedFilesByFolder.set(result.workspaceFolder.uri.fsPath, diagnosedFiles);
+}
+
+function disposeAliasDiagnostics() {
+    if (diagnosticCollection) {
+        diagnosticCollection.dispose();
+        diagnosticCollection = null;
+    }
+    diagnosedFilesByFolder.clear();
+}
+
+module.exports = {
+    DIAGNOSTIC_SOURCE,
+    DIAGNOSTIC_CODES,
+    updateAliasDiagnostics,
+    clearAliasDiagnostics,
+    disposeAliasDiagnostics,
+    getDiagnosticCollection
+};
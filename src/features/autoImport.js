@@ -0,0 +1,205 @@
+const vscode = require('vscode');
+const path = require('path');
+const { getCommonConfig, getWorkspaceFolderForPath } = require('../utils/workspaceUtils');
+const { getAliasResult, getAliasModules } = require('../core/aliasResolver');
+const { getImportInsertion, hasValidImportRequire } = require('./addImportToFiles');
+const { LUAU_DOCUMENT_SELECTOR } = require('./requireNavigation');
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const NAME = '[A-Za-z_][A-Za-z0-9_]*';
+const LEADING_NAME = new RegExp(`^\\s*(${NAME})`);
+
+// Top-level `local Name = require(...)` lines, with or without a type annotation
+const REQUIRE_LINE_PATTERN = /^local\s+[A-Za-z_][A-Za-z0-9_]*\s*(?::[^=]+)?=\s*require\s*\(/;
+
+// Declarations as local lists, functions, loop variables, parameters and global assignments, capturing the declared names
+const DECLARATION_PATTERNS = [
+    new RegExp(`\\blocal\\s+(?:function\\s+)?((?:${NAME}\\s*(?::[^,=\\n]*)?,\\s*)*${NAME})`, 'g'),
+    new RegExp(`\\bfunction\\s+(${NAME})`, 'g'),
+    new RegExp(`\\bfor\\s+((?:${NAME}\\s*,\\s*)*${NAME})`, 'g'),
+    new RegExp('\\bfunction\\b[^(\\n]*\\(([^)]*)\\)', 'g'),
+    new RegExp(`^\\s*(${NAME})\\s*=[^=]`, 'gm')
+];
+
+// Aliases whose name is a valid local name starting like the typed identifier, and that lead to a module other than the file itself
+function getImportableModules(result, filePath, firstChar) {
+    return getAliasModules(result, filePath).filter(({ name, modulePath }) =>
+        (!firstChar || name[0].toLowerCase() === firstChar) && IDENTIFIER.test(name) && path.resolve(modulePath) !== path.resolve(filePath));
+}
+
+/**
+ * Collects the names declared in Luau source: locals, functions, loop variables, parameters and global assignments
+ * @param {string} text - Luau source
+ * @returns {Set<string>} - Declared names
+ */
+function getDeclaredNames(text) {
+    const names = new Set();
+    for (const pattern of DECLARATION_PATTERNS) {
+        for (const match of text.matchAll(pattern)) {
+            for (const part of match[1].split(',')) {
+                const name = part.match(LEADING_NAME);
+                if (name) names.add(name[1]);
+            }
+        }
+    }
+    return names;
+}
+
+/**
+ * Checks whether a name is declared in Luau source: as a local, function, loop variable, parameter or global assignment
+ * @param {string} text - Luau source
+ * @param {string} name - Identifier
+ * @returns {boolean} - True if the name is declared somewhere in the source
+ */
+function isDeclared(text, name) {
+    return getDeclaredNames(text).has(name);
+}
+
+/**
+ * Works out the edits that add `local Name = require("@Name")` to the require block of a file,
+ * along with the import line when the file has none yet
+ * @param {string} text - Content of the file
+ * @param {string} filePath - Absolute path of the file
+ * @param {string} name - Module alias, without the "@"
+ * @returns {{line: number, text: string}[]} - Text to insert at the start of each line
+ */
+function getRequireInsertions(text, filePath, name) {
+    const lines = text.split('\n');
+    const requireLine = `local ${name} = require("@${name}")`;
+    const { importModulePaths, preferredImportPlacement, tryToAddImportRequire } = getCommonConfig(filePath);
+    const pathsArray = Array.isArray(importModulePaths) ? importModulePaths : [importModulePaths];
+
+    const lastRequireLine = lines.reduce((last, line, index) => REQUIRE_LINE_PATTERN.test(line) ? index : last, -1);
+    const importLine = lines.findIndex(line => hasValidImportRequire(line, importModulePaths));
+    const needsImport = importLine === -1 && tryToAddImportRequire && !!pathsArray[0];
+    // Only needed when the import line is added or the file has no require block yet
+    const importInsertion = (needsImport || (lastRequireLine === -1 && importLine === -1))
+        ? getImportInsertion(lines, filePath, pathsArray[0], preferredImportPlacement)
+        : null;
+
+    const insertions = [];
+    if (needsImport) {
+        insertions.push({ line: importInsertion.insertLine, text: importInsertion.linesToInsert.join('\n') + '\n' });
+    }
+    if (lastRequireLine !== -1) {
+        insertions.push({ line: lastRequireLine + 1, text: requireLine + '\n' });
+    } else if (importLine !== -1) {
+        insertions.push({ line: importLine + 1, text: requireLine + '\n' });
+    } else {
+        // The require block starts where the import line goes
+        insertions.push({ line: importInsertion.insertLine, text: requireLine + '\n' });
+    }
+    return insertions;
+}
+
+function toTextEdits(insertions) {
+    return insertions.map(({ line, text }) => vscode.TextEdit.insert(new vscode.Position(line, 0), text));
+}
+
+// Finds the identifier being typed at the end of a line prefix, unless it is a member, a declaration, or inside a comment or string
+function getTypedIdentifier(linePrefix) {
+    const match = linePrefix.match(/[A-Za-z_][A-Za-z0-9_]*$/);
+    if (!match) {
+        return null;
+    }
+    const before = linePrefix.slice(0, match.index);
+    const quotes = (before.match(/["'`]/g) || []).length;
+    if (/[.:]\s*$/.test(before) || before.includes('--') || quotes % 2 === 1 || /\b(local|function)\s+(?:[A-Za-z_][A-Za-z0-9_]*\s*,\s*)*$/.test(before)) {
+        return null;
+    }
+    return match[0];
+}
+
+// Document and module name of each suggested completion, its require edits are only worked out once it is resolved
+const pendingImports = new WeakMap();
+
+// Suggests modules by alias name while typing an undeclared identifier, adding their require when picked
+const completionProvider = {
+    provideCompletionItems(document, position) {
+        const result = getAliasResult(getWorkspaceFolderForPath(document.uri.fsPath));
+        if (!result) {
+            return [];
+        }
+        const typed = getTypedIdentifier(document.lineAt(position.line).text.slice(0, position.character));
+        if (!typed) {
+            return [];
+        }
+
+        const candidates = getImportableModules(result, document.uri.fsPath, typed[0].toLowerCase());
+        if (candidates.length === 0) {
+            return [];
+        }
+        const declaredNames = getDeclaredNames(document.getText());
+        return candidates
+            .filter(({ name }) => !declaredNames.has(name))
+            .map(({ name, modulePath }) => {
+                const item = new vscode.CompletionItem({ label: name, description: `@${name}` }, vscode.CompletionItemKind.Module);
+                item.detail = `Auto-import from ${vscode.workspace.asRelativePath(modulePath)}`;
+                item.documentation = `Adds \`local ${name} = require("@${name}")\` to the require block.`;
+                pendingImports.set(item, { document, name });
+                return item;
+            });
+    },
+
+    resolveCompletionItem(item) {
+        const pending = pendingImports.get(item);
+        if (pending) {
+            const { document, name } = pending;
+            item.additionalTextEdits = toTextEdits(getRequireInsertions(document.getText(), document.uri.fsPath, name));
+            pendingImports.delete(item);
+        }
+        return item;
+    }
+};
+
+// Offers to require an undeclared identifier that matches a module alias
+const codeActionProvider = {
+    provideCodeActions(document, range) {
+        const result = getAliasResult(getWorkspaceFolderForPath(document.uri.fsPath));
+        if (!result) {
+            return [];
+        }
+        const lineText = document.lineAt(range.start.line).text;
+        const start = lineText.slice(0, range.start.character).search(/[A-Za-z0-9_]*$/);
+        const wordMatch = lineText.slice(start).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+        if (!wordMatch || !getTypedIdentifier(lineText.slice(0, start + wordMatch[0].length))) {
+            return [];
+        }
+
+        const name = wordMatch[0];
+        const text = document.getText();
+        const module = getImportableModules(result, document.uri.fsPath, name[0].toLowerCase()).find(entry => entry.name === name);
+        if (!module || isDeclared(text, name)) {
+            return [];
+        }
+
+        const action = new vscode.CodeAction(`Add require("@${name}")`, vscode.CodeActionKind.QuickFix);
+        action.edit = new vscode.WorkspaceEdit();
+        for (const { line, text: insertText } of getRequireInsertions(text, document.uri.fsPath, name)) {
+            action.edit.insert(document.uri, new vscode.Position(line, 0), insertText);
+        }
+        action.isPreferred = true;
+        return [action];
+    }
+};
+
+/**
+ * Registers the auto-import completion and quick fix for identifiers named like a module
+ * @returns {vscode.Disposable[]} - Provider registrations
+ */
+function registerAutoImportProviders() {
+    return [
+        vscode.languages.registerCompletionItemProvider(LUAU_DOCUMENT_SELECTOR, completionProvider),
+        vscode.languages.registerCodeActionsProvider(LUAU_DOCUMENT_SELECTOR, codeActionProvider, {
+            providedCodeActionKinds: [vscode.CodeActionKind.QuickFix]
+        })
+    ];
+}
+
+module.exports = {
+    isDeclared,
+    getRequireInsertions,
+    completionProvider,
+    codeActionProvider,
+    registerAutoImportProviders
+};
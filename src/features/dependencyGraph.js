@@ -0,0 +1,368 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { print } = require('../core/logger');
+const { getAliasResult } = require('../core/aliasResolver');
+const { getRequireGraph } = require('../core/requireGraph');
+const { pickWorkspaceFolder, getWorkspaceFolderName } = require('../utils/workspaceUtils');
+
+// One color per scan root, in directoriesToScan order; modules outside every root are grey
+const ROOT_COLORS = ['#4e79a7', '#f28e2b', '#59a14f', '#b07aa1', '#e15759', '#76b7b2', '#edc948', '#9c755f'];
+const OTHER_COLOR = '#8c8c8c';
+
+const COLUMN_WIDTH = 240;
+const ROW_HEIGHT = 36;
+
+// One panel per workspace folder, revealed again instead of opening a second one
+const panels = new Map();
+
+// Name of a module the way it appears in the DataModel: no extension, and init files named after their folder
+function getModuleLabel(relativePath) {
+    const name = path.posix.basename(relativePath).replace(/\.(luau|lua)$/, '').replace(/\.(server|client)$/, '');
+    return name === 'init' ? path.posix.basename(path.posix.dirname(relativePath)) : name;
+}
+
+/**
+ * Builds the module dependency graph of the scan roots of a generation result
+ * @param {object} result - Alias generation result
+ * @returns {{roots: {name: string, label: string, color: string}[], nodes: {id: string, label: string, root: string|null}[],
+ * edges: {from: string, to: string}[]}} - Scan roots, modules (ids are workspace-relative paths) and one edge per
+ * requiring module and required module
+ */
+function buildGraphModel(result) {
+    const workspaceRoot = result.workspaceFolder.uri.fsPath;
+    const toRelative = filePath => path.relative(workspaceRoot, filePath).replace(/\\/g, '/');
+    const roots = result.rootNames.map((name, index) => ({
+        name,
+        label: path.posix.basename(name),
+        color: ROOT_COLORS[index % ROOT_COLORS.length]
+    }));
+    const findRoot = relativePath => {
+        const matching = result.rootNames.filter(name => relativePath.startsWith(name + '/'));
+        return matching.sort((a, b) => b.length - a.length)[0] || null;
+    };
+
+    const graph = getRequireGraph(result);
+    const nodes = new Map();
+    const addNode = filePath => {
+        const id = toRelative(filePath);
+        if (!nodes.has(id)) nodes.set(id, { id, label: getModuleLabel(id), root: findRoot(id) });
+        return id;
+    };
+
+    const edges = [];
+    const seen = new Set();
+    for (const filePath of graph.files) {
+        const from = addNode(filePath);
+        for (const { modulePath } of graph.dependencies.get(filePath)) {
+            const to = addNode(modulePath);
+            const key = `${from}\n${to}`;
+            if (from === to || seen.has(key)) continue;
+            seen.add(key);
+            edges.push({ from, to });
+        }
+    }
+    return { roots, nodes: [...nodes.values()], edges };
+}
+
+/**
+ * Keeps the part of a graph that matches a filter
+ * @param {object} model - Graph, see buildGraphModel
+ * @param {{text?: string, roots?: string[]}} [filter] - Text a module path must contain, and the roots to show (all when omitted)
+ * @returns {object} - Graph with the matching modules and the edges between them
+ */
+function filterGraphModel(model, filter = {}) {
+    const text = (filter.text || '').toLowerCase();
+    const visible = new Set(model.nodes
+        .filter(node => !filter.roots || filter.roots.includes(node.root))
+        .filter(node => !text || node.id.toLowerCase().includes(text))
+        .map(node => node.id));
+    return {
+        roots: model.roots,
+        nodes: model.nodes.filter(node => visible.has(node.id)),
+        edges: model.edges.filter(edge => visible.has(edge.from) && visible.has(edge.to))
+    };
+}
+
+function getNodeColor(model, node) {
+    const root = model.roots.find(entry => entry.name === node.root);
+    return root ? root.color : OTHER_COLOR;
+}
+
+/**
+ * Places the modules in columns: requiring modules left of the modules they require
+ * @param {object} model - Graph, see buildGraphModel
+ * @returns {object} - Map of module id -> {x, y}
+ */
+function layoutGraphModel(model) {
+    const dependencies = new Map(model.nodes.map(node => [node.id, []]));
+    model.edges.forEach(edge => dependencies.get(edge.from).push(edge.to));
+
+    // Depth of the longest require chain below a module; edges closing a cycle are not followed
+    const depths = new Map();
+    const visiting = new Set();
+    const getDepth = id => {
+        if (depths.has(id)) return depths.get(id);
+        if (visiting.has(id)) return 0;
+        visiting.add(id);
+        const depth = Math.max(-1, ...dependencies.get(id).map(getDepth)) + 1;
+        visiting.delete(id);
+        depths.set(id, depth);
+        return depth;
+    };
+    model.nodes.forEach(node => getDepth(node.id));
+
+    const maxDepth = Math.max(0, ...depths.values());
+    const rootOrder = node => {
+        const index = model.roots.findIndex(root => root.name === node.root);
+        return index === -1 ? model.roots.length : index;
+    };
+    const columns = new Map();
+    for (const node of [...model.nodes].sort((a, b) => rootOrder(a) - rootOrder(b) || a.id.localeCompare(b.id))) {
+        const column = maxDepth - depths.get(node.id);
+        if (!columns.has(column)) columns.set(column, []);
+        columns.get(column).push(node.id);
+    }
+
+    const positions = {};
+    for (const [column, ids] of columns) {
+        ids.forEach((id, row) => {
+            positions[id] = { x: column * COLUMN_WIDTH, y: row * ROW_HEIGHT };
+        });
+    }
+    return positions;
+}
+
+/**
+ * Formats a graph as Graphviz DOT, one cluster per scan root
+ * @param {object} model - Graph, see buildGraphModel
+ * @returns {string} - DOT source
+ */
+function toDot(model) {
+    const quote = value => JSON.stringify(value);
+    const formatNode = node => `    ${quote(node.id)} [label=${quote(node.label)}, fillcolor=${quote(getNodeColor(model, node))}];`;
+    const lines = [
+        'digraph Requires {',
+        '    rankdir=LR;',
+        '    node [shape=box, style="rounded,filled", fontcolor="white"];'
+    ];
+    model.roots.forEach((root, index) => {
+        const rootNodes = model.nodes.filter(node => node.root === root.name);
+        if (rootNodes.length === 0) return;
+        lines.push(`    subgraph cluster_${index} {`, `        label=${quote(root.label)};`);
+        rootNodes.forEach(node => lines.push('    ' + formatNode(node)));
+        lines.push('    }');
+    });
+    model.nodes.filter(node => !node.root).forEach(node => lines.push(formatNode(node)));
+    model.edges.forEach(edge => lines.push(`    ${quote(edge.from)} -> ${quote(edge.to)};`));
+    lines.push('}');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Formats a graph as a Mermaid flowchart, one subgraph per scan root
+ * @param {object} model - Graph, see buildGraphModel
+ * @returns {string} - Mermaid source
+ */
+function toMermaid(model) {
+    // Mermaid ids cannot contain path characters, so modules are numbered
+    const ids = new Map(model.nodes.map((node, index) => [node.id, `m${index}`]));
+    const formatNode = node => `${ids.get(node.id)}["${node.label.replace(/"/g, '#quot;')}"]`;
+    const lines = ['flowchart LR'];
+    model.roots.forEach((root, index) => {
+        const rootNodes = model.nodes.filter(node => node.root === root.name);
+        if (rootNodes.length === 0) return;
+        lines.push(`    subgraph root${index}["${root.label}"]`);
+        rootNodes.forEach(node => lines.push(`        ${formatNode(node)}`));
+        lines.push('    end');
+    });
+    model.nodes.filter(node => !node.root).forEach(node => lines.push(`    ${formatNode(node)}`));
+    model.edges.forEach(edge => lines.push(`    ${ids.get(edge.from)} --> ${ids.get(edge.to)}`));
+    model.roots.forEach((root, index) => {
+        const rootIds = model.nodes.filter(node => node.root === root.name).map(node => ids.get(node.id));
+        if (rootIds.length === 0) return;
+        lines.push(`    classDef rootStyle${index} fill:${root.color},color:#fff`);
+        lines.push(`    class ${rootIds.join(',')} rootStyle${index}`);
+    });
+    return lines.join('\n') + '\n';
+}
+
+// Asks where to save an export of the visible part of the graph and writes it
+async function exportGraph(workspaceFolder, model, format) {
+    const extension = format === 'dot' ? 'dot' : 'mmd';
+    const content = format === 'dot' ? toDot(model) : toMermaid(model);
+    const target = await vscode.window.showSaveDialog({
+        defaultUri: vscode.Uri.file(path.join(workspaceFolder.uri.fsPath, `requires.${extension}`)),
+        filters: format === 'dot' ? { 'Graphviz DOT': ['dot', 'gv'] } : { Mermaid: ['mmd', 'md'] }
+    });
+    if (!target) return; // User cancelled
+
+    fs.writeFileSync(target.fsPath, content, 'utf8');
+    print(`Exported dependency graph to ${target.fsPath}`);
+    vscode.window.showInformationMessage(`RequireOnRails: Exported ${model.nodes.length} module(s) to ${path.basename(target.fsPath)}.`);
+}
+
+function getWebviewHtml(webview, model, positions) {
+    const nonce = crypto.randomBytes(16).toString('base64');
+    const data = JSON.stringify({ model, positions, columnWidth: COLUMN_WIDTH, rowHeight: ROW_HEIGHT, otherColor: OTHER_COLOR })
+        .replace(/</g, '\\u003c');
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'nonce-${nonce}'; script-src 'nonce-${nonce}';">
+<style nonce="${nonce}">
+    body { font-family: var(--vscode-font-family); color: var(--vscode-foreground); }
+    .toolbar { display: flex; flex-wrap: wrap; gap: 12px; align-items: center; margin-bottom: 8px; }
+    .root { display: inline-flex; align-items: center; gap: 4px; }
+    .swatch { width: 10px; height: 10px; border-radius: 2px; display: inline-block; }
+    input[type=text] { background: var(--vscode-input-background); color: var(--vscode-input-foreground); border: 1px solid var(--vscode-input-border, transparent); padding: 2px 4px; }
+    button { background: var(--vscode-button-background); color: var(--vscode-button-foreground); border: none; padding: 4px 8px; cursor: pointer; }
+    svg text { font-size: 12px; fill: #fff; pointer-events: none; }
+    svg .edge { stroke: var(--vscode-editorLineNumber-foreground); fill: none; opacity: 0.6; }
+    svg .node { cursor: pointer; }
+</style>
+</head>
+<body>
+<div class="toolbar">
+    <input id="filter" type="text" placeholder="Filter modules by path">
+    <span id="roots"></span>
+    <button id="exportDot">Export DOT</button>
+    <button id="exportMermaid">Export Mermaid</button>
+</div>
+<svg id="graph" xmlns="http://www.w3.org/2000/svg"></svg>
+<script nonce="${nonce}">
+    const vscode = acquireVsCodeApi();
+    const { model, positions, columnWidth, rowHeight, otherColor } = ${data};
+    const svgNs = 'http://www.w3.org/2000/svg';
+    const filterInput = document.getElementById('filter');
+    const rootList = document.getElementById('roots');
+    const shownRoots = new Set([...model.roots.map(root => root.name), null]);
+
+    for (const root of model.roots) {
+        const label = document.createElement('label');
+        label.className = 'root';
+        label.innerHTML = '<input type="checkbox" checked><span class="swatch"></span>';
+        label.querySelector('.swatch').style.background = root.color;
+        label.append(root.label);
+        label.querySelector('input').addEventListener('change', event => {
+            event.target.checked ? shownRoots.add(root.name) : shownRoots.delete(root.name);
+            render();
+        });
+        rootList.append(label);
+    }
+
+    function getFilter() {
+        return { text: filterInput.value, roots: [...shownRoots] };
+    }
+
+    function render() {
+        const text = filterInput.value.toLowerCase();
+        const visible = new Set(model.nodes
+            .filter(node => shownRoots.has(node.root) && (!text || node.id.toLowerCase().includes(text)))
+            .map(node => node.id));
+        const svg = document.getElementById('graph');
+        svg.replaceChildren();
+        let width = 0;
+        let height = 0;
+        for (const edge of model.edges) {
+            if (!visible.has(edge.from) || !visible.has(edge.to)) continue;
+            const from = positions[edge.from];
+            const to = positions[edge.to];
+            const line = document.createElementNS(svgNs, 'path');
+            const startX = from.x + columnWidth - 40;
+            const middleX = (startX + to.x) / 2;
+            line.setAttribute('d', 'M' + startX + ',' + (from.y + 14) + ' C' + middleX + ',' + (from.y + 14) + ' ' + middleX + ',' + (to.y + 14) + ' ' + to.x + ',' + (to.y + 14));
+            line.setAttribute('class', 'edge');
+            svg.append(line);
+        }
+        for (const node of model.nodes) {
+            if (!visible.has(node.id)) continue;
+            const { x, y } = positions[node.id];
+            const root = model.roots.find(entry => entry.name === node.root);
+            const group = document.createElementNS(svgNs, 'g');
+            group.setAttribute('class', 'node');
+            const rect = document.createElementNS(svgNs, 'rect');
+            rect.setAttribute('x', x);
+            rect.setAttribute('y', y);
+            rect.setAttribute('rx', 4);
+            rect.setAttribute('width', columnWidth - 40);
+            rect.setAttribute('height', rowHeight - 8);
+            rect.setAttribute('fill', root ? root.color : otherColor);
+            const title = document.createElementNS(svgNs, 'title');
+            title.textContent = node.id;
+            const label = document.createElementNS(svgNs, 'text');
+            label.setAttribute('x', x + 8);
+            label.setAttribute('y', y + 18);
+            label.textContent = node.label;
+            group.append(rect, title, label);
+            group.addEventListener('click', () => vscode.postMessage({ command: 'open', id: node.id }));
+            svg.append(group);
+            width = Math.max(width, x + columnWidth);
+            height = Math.max(height, y + rowHeight);
+        }
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+    }
+
+    filterInput.addEventListener('input', render);
+    document.getElementById('exportDot').addEventListener('click', () => vscode.postMessage({ command: 'export', format: 'dot', filter: getFilter() }));
+    document.getElementById('exportMermaid').addEventListener('click', () => vscode.postMessage({ command: 'export', format: 'mermaid', filter: getFilter() }));
+    render();
+</script>
+</body>
+</html>`;
+}
+
+/**
+ * Command: show the module dependency graph of a workspace folder in a webview, with filtering and DOT/Mermaid export
+ */
+async function showDependencyGraph() {
+    const workspaceFolder = await pickWorkspaceFolder('the dependency graph');
+    if (!workspaceFolder) {
+        return;
+    }
+    const folderName = getWorkspaceFolderName(workspaceFolder);
+    const result = getAliasResult(workspaceFolder);
+    if (!result) {
+        vscode.window.showWarningMessage(`RequireOnRails: Activate RequireOnRails for ${folderName} first.`);
+        return;
+    }
+
+    const model = buildGraphModel(result);
+    const key = workspaceFolder.uri.fsPath;
+    let entry = panels.get(key);
+    if (entry) {
+        entry.panel.reveal();
+    } else {
+        const panel = vscode.window.createWebviewPanel('requireOnRailsDependencyGraph', `Requires: ${folderName}`, vscode.ViewColumn.One, {
+            enableScripts: true
+        });
+        entry = { panel, model };
+        panels.set(key, entry);
+        panel.onDidDispose(() => panels.delete(key));
+        // Messages act on the graph last shown in the panel
+        panel.webview.onDidReceiveMessage(async message => {
+            if (message.command === 'export') {
+                await exportGraph(workspaceFolder, filterGraphModel(panels.get(key).model, message.filter), message.format);
+            } else if (message.command === 'open') {
+                await vscode.window.showTextDocument(vscode.Uri.file(path.join(workspaceFolder.uri.fsPath, message.id)), {
+                    viewColumn: vscode.ViewColumn.Beside
+                });
+            }
+        });
+    }
+    entry.model = model;
+    entry.panel.webview.html = getWebviewHtml(entry.panel.webview, model, layoutGraphModel(model));
+    print(`Dependency graph of ${folderName}: ${model.nodes.length} module(s), ${model.edges.length} require edge(s)`);
+}
+
+module.exports = {
+    buildGraphModel,
+    filterGraphModel,
+    layoutGraphModel,
+    toDot,
+    toMermaid,
+    showDependencyGraph
+};
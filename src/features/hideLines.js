@@ -33,7 +33,8 @@ function hideLines(editor) {
 
 
 
-    const config = vscode.workspace.getConfiguration('require-on-rails');
+    // Settings are resource-scoped so each workspace folder can use its own import paths
+    const config = vscode.workspace.getConfiguration('require-on-rails', editor.document.uri);
     const importModulePaths = config.get("importModulePaths");
     const pathsArray = Array.isArray(importModulePaths) ? importModulePaths : [importModulePaths];
     const defaultImportModulePath = pathsArray[0];
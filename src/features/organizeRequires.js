@@ -0,0 +1,158 @@
+const vscode = require('vscode');
+const { print } = require('../core/logger');
+const { getAliasResult, resolveAliasRequire, getRootName } = require('../core/aliasResolver');
+const { getCommonConfig, getExtensionConfig, getWorkspaceFolderForPath } = require('../utils/workspaceUtils');
+const { SELENE_IMPORT_COMMENT, hasValidImportRequire } = require('./addImportToFiles');
+
+const SERVICE_LINE_PATTERN = /^local\s+([A-Za-z_][A-Za-z0-9_]*)\s*(?::[^=]+)?=\s*game\s*:\s*GetService\s*\(\s*(["'])[^"'\r\n]+\2\s*\)\s*;?\s*$/;
+const REQUIRE_LINE_PATTERN = /^local\s+([A-Za-z_][A-Za-z0-9_]*)\s*(?::[^=]+)?=\s*require\s*\((.*)\)\s*;?\s*$/;
+const ALIAS_ARGUMENT_PATTERN = /^\s*(["'`])(@[^"'`\r\n]*)\1\s*$/;
+// Only requires of a plain string are sorted, interpolated strings and expressions can use locals of the block
+const STRING_ARGUMENT_PATTERN = /^\s*(["'])[^"'\r\n]*\1\s*$/;
+
+// Classifies a line of the require block, or returns null for a line that ends the block
+function classifyLine(line, importModulePaths) {
+    const trimmed = line.trim();
+    if (trimmed === '') return { type: 'blank' };
+    if (trimmed === SELENE_IMPORT_COMMENT) return { type: 'seleneComment' };
+    if (hasValidImportRequire(trimmed, importModulePaths)) return { type: 'import' };
+
+    let match;
+    if ((match = trimmed.match(SERVICE_LINE_PATTERN))) return { type: 'service', name: match[1] };
+    if ((match = trimmed.match(REQUIRE_LINE_PATTERN))) return { type: 'require', name: match[1], argument: match[2] };
+    return null;
+}
+
+// Sorts an alias require into the Packages, Shared or local group, by the root its module is in
+function getRequireGroup(result, filePath, argument) {
+    const aliasMatch = argument.match(ALIAS_ARGUMENT_PATTERN);
+    if (!aliasMatch) {
+        return 'local';
+    }
+    const requirePath = aliasMatch[2];
+    const resolved = result && resolveAliasRequire(result, filePath, requirePath);
+    const rootName = (resolved && resolved.modulePath && getRootName(result, resolved.modulePath)) || requirePath.slice(1).split('/')[0];
+    const key = rootName.toLowerCase();
+    if (key.endsWith('packages')) return 'packages';
+    if (key === 'shared') return 'shared';
+    return 'local';
+}
+
+/**
+ * Organizes the require block at the top of a file: Roblox services, the import line, then requires of
+ * Packages, Shared and local aliases. Each group is sorted by local name and duplicate lines are dropped.
+ * Requires of anything but a string literal, such as `require(Knit.Util.Component)`, may use locals of the
+ * block, so they follow the other groups in their original order.
+ * With TopOfFile placement the import line stays first, otherwise it follows the services.
+ * @param {string} text - Content of the file
+ * @param {string} filePath - Absolute path of the file
+ * @param {object|null} result - Alias generation result, used to tell the root a required module is in
+ * @returns {{startLine: number, endLine: number, text: string}|null} - Lines to replace (inclusive) and their organized text,
+ * or null if there is no block or it is already organized
+ */
+function organizeRequireBlock(text, filePath, result) {
+    const eol = text.includes('\r\n') ? '\r\n' : '\n';
+    const lines = text.split(/\r?\n/);
+    const { importModulePaths, preferredImportPlacement } = getCommonConfig(filePath);
+
+    // The block starts at the first service, import or require line below any leading comments
+    let startLine = 0;
+    while (startLine < lines.length && (lines[startLine].trim() === '' || (lines[startLine].trim().startsWith('--') && lines[startLine].trim() !== SELENE_IMPORT_COMMENT))) {
+        startLine++;
+    }
+    let endLine = -1;
+    const entries = [];
+    for (let i = startLine; i < lines.length; i++) {
+        const entry = classifyLine(lines[i], importModulePaths);
+        if (!entry) break;
+        if (entry.type === 'blank') continue;
+        entries.push({ ...entry, line: lines[i].trim() });
+        endLine = i;
+    }
+    if (endLine === -1 || !entries.some(entry => entry.type === 'require' || entry.type === 'service')) {
+        return null;
+    }
+
+    const unique = lines => [...new Set(lines)];
+    const byName = (a, b) => a.name.toLowerCase().localeCompare(b.name.toLowerCase()) || a.line.localeCompare(b.line);
+    const services = unique(entries.filter(entry => entry.type === 'service').sort(byName).map(entry => entry.line));
+    const importLines = [
+        ...(entries.some(entry => entry.type === 'seleneComment') ? [SELENE_IMPORT_COMMENT] : []),
+        ...unique(entries.filter(entry => entry.type === 'import').map(entry => entry.line))
+    ];
+    const requireGroups = { packages: [], shared: [], local: [] };
+    const dependentRequires = [];
+    for (const entry of entries.filter(entry => entry.type === 'require')) {
+        if (STRING_ARGUMENT_PATTERN.test(entry.argument)) {
+            requireGroups[getRequireGroup(result, filePath, entry.argument)].push(entry);
+        } else {
+            dependentRequires.push(entry.line);
+        }
+    }
+    const requires = [
+        ...['packages', 'shared', 'local'].map(group => unique(requireGroups[group].sort(byName).map(entry => entry.line))),
+        unique(dependentRequires)
+    ];
+
+    const groups = preferredImportPlacement === 'TopOfFile'
+        ? [importLines, services, ...requires]
+        : [services, importLines, ...requires];
+    const organized = groups.filter(group => group.length > 0).map(group => group.join(eol)).join(eol + eol);
+
+    const original = lines.slice(startLine, endLine + 1).join(eol);
+    return organized === original ? null : { startLine, endLine, text: organized };
+}
+
+/**
+ * Gets the edits that organize the require block of a document
+ * @param {vscode.TextDocument} document - Luau document
+ * @returns {vscode.TextEdit[]} - Edits, empty when the block is already organized
+ */
+function getOrganizeRequireEdits(document) {
+    const filePath = document.uri.fsPath;
+    const organized = organizeRequireBlock(document.getText(), filePath, getAliasResult(getWorkspaceFolderForPath(filePath)));
+    if (!organized) {
+        return [];
+    }
+    const endText = document.lineAt(organized.endLine).text;
+    const range = new vscode.Range(organized.startLine, 0, organized.endLine, endText.length);
+    return [vscode.TextEdit.replace(range, organized.text)];
+}
+
+/**
+ * Checks whether the require block of a document should be organized when it is saved
+ * @param {vscode.TextDocument} document - Document being saved
+ * @returns {boolean} - True if organizeRequiresOnSave is enabled for the document
+ */
+function shouldOrganizeOnSave(document) {
+    return (document.languageId === 'luau' || document.languageId === 'lua') &&
+        getExtensionConfig(document.uri).get('organizeRequiresOnSave', false);
+}
+
+/**
+ * Command: organize the require block of the active editor
+ */
+async function organizeRequires() {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor || (editor.document.languageId !== 'luau' && editor.document.languageId !== 'lua')) {
+        vscode.window.showWarningMessage('RequireOnRails: Open a Luau file to organize its requires.');
+        return;
+    }
+
+    const edits = getOrganizeRequireEdits(editor.document);
+    if (edits.length === 0) {
+        vscode.window.showInformationMessage('RequireOnRails: Requires are already organized.');
+        return;
+    }
+    const edit = new vscode.WorkspaceEdit();
+    edits.forEach(textEdit => edit.replace(editor.document.uri, textEdit.range, textEdit.newText));
+    await vscode.workspace.applyEdit(edit);
+    print(`Organized requires in ${vscode.workspace.asRelativePath(editor.document.uri.fsPath)}`);
+}
+
+module.exports = {
+    organizeRequireBlock,
+    getOrganizeRequireEdits,
+    shouldOrganizeOnSave,
+    organizeRequires
+};
@@ -0,0 +1,103 @@
+const vscode = require('vscode');
+const { print } = require('../core/logger');
+const { getExtensionConfig, getExplicitSetting, getWorkspaceFolderForPath } = require('../utils/workspaceUtils');
+const { getAliasResult, findAliasRequires, findByName, getUnambiguousRequirePath } = require('../core/aliasResolver');
+const { DIAGNOSTIC_CODES } = require('./aliasDiagnostics');
+const { LUAU_DOCUMENT_SELECTOR } = require('./requireNavigation');
+
+const PIN_ALIAS_COMMAND = 'require-on-rails.pinManualAlias';
+
+function createRewriteAction(document, range, requirePath, modulePath, diagnostics) {
+    const action = new vscode.CodeAction(`Require ${modulePath} as "${requirePath}"`, vscode.CodeActionKind.QuickFix);
+    action.edit = new vscode.WorkspaceEdit();
+    action.edit.replace(document.uri, range, requirePath);
+    action.diagnostics = diagnostics;
+    return action;
+}
+
+function createPinAction(workspaceFolder, name, modulePath, diagnostics) {
+    const action = new vscode.CodeAction(`Pin "@${name}" to ${modulePath} in manualAliases`, vscode.CodeActionKind.QuickFix);
+    action.command = {
+        command: PIN_ALIAS_COMMAND,
+        title: action.title,
+        arguments: [workspaceFolder.uri, name, modulePath]
+    };
+    action.diagnostics = diagnostics;
+    return action;
+}
+
+// Offers one rewrite and one pin per candidate of an ambiguous require("@Name") under the cursor
+const codeActionProvider = {
+    provideCodeActions(document, range, context) {
+        const workspaceFolder = getWorkspaceFolderForPath(document.uri.fsPath);
+        const result = getAliasResult(workspaceFolder);
+        if (!result) {
+            return [];
+        }
+
+        const actions = [];
+        const lineText = document.lineAt(range.start.line).text;
+        for (const { requirePath, start, end } of findAliasRequires(lineText)) {
+            if (range.end.character < start || range.start.character > end || requirePath.includes('/')) continue;
+
+            const ambiguous = findByName(result.ambiguousAliases, requirePath.slice(1));
+            if (!ambiguous) continue;
+
+            const requireRange = new vscode.Range(range.start.line, start, range.start.line, end);
+            const diagnostics = (context.diagnostics || []).filter(diagnostic =>
+                diagnostic.code === DIAGNOSTIC_CODES.ambiguousRequire && diagnostic.range.start.character === start
+            );
+            for (const modulePath of ambiguous.value) {
+                const unambiguousPath = getUnambiguousRequirePath(result, modulePath);
+                if (unambiguousPath) {
+                    actions.push(createRewriteAction(document, requireRange, unambiguousPath, modulePath, diagnostics));
+                }
+            }
+            for (const modulePath of ambiguous.value) {
+                actions.push(createPinAction(workspaceFolder, ambiguous.name, modulePath, diagnostics));
+            }
+        }
+        return actions;
+    }
+};
+
+/**
+ * Adds a manualAliases entry for a module to the settings of its workspace folder.
+ * Alias generation picks the change up through the settings watcher.
+ * @param {vscode.Uri} folderUri - Workspace folder
+ * @param {string} name - Alias name, without the "@"
+ * @param {string} modulePath - Workspace-relative module path
+ */
+async function pinManualAlias(folderUri, name, modulePath) {
+    const config = getExtensionConfig(folderUri);
+    // In Rojo mode the root aliases are derived, so only the aliases the user set are written back
+    const currentAliases = config.get('useRojoProject', false) ? getExplicitSetting(config, 'manualAliases') : config.get('manualAliases');
+    const manualAliases = { ...(currentAliases || {}) };
+
+    // Replace an existing entry for the name, whatever its casing or "@" prefix
+    for (const alias of Object.keys(manualAliases)) {
+        if (alias.replace(/^@/, '').toLowerCase() === name.toLowerCase()) delete manualAliases[alias];
+    }
+    manualAliases[name] = modulePath;
+
+    await config.update('manualAliases', manualAliases, vscode.ConfigurationTarget.WorkspaceFolder);
+    print(`Pinned alias @${name} to ${modulePath}`);
+    vscode.window.showInformationMessage(`RequireOnRails: "@${name}" now resolves to ${modulePath}.`);
+}
+
+/**
+ * Registers the quick fixes for ambiguous require strings
+ * @returns {vscode.Disposable} - Provider registration
+ */
+function registerRequireCodeActionProvider() {
+    return vscode.languages.registerCodeActionsProvider(LUAU_DOCUMENT_SELECTOR, codeActionProvider, {
+        providedCodeActionKinds: [vscode.CodeActionKind.QuickFix]
+    });
+}
+
+module.exports = {
+    PIN_ALIAS_COMMAND,
+    codeActionProvider,
+    pinManualAlias,
+    registerRequireCodeActionProvider
+};
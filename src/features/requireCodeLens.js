@@ -0,0 +1,83 @@
+const vscode = require('vscode');
+const path = require('path');
+const { getWorkspaceFolderForPath } = require('../utils/workspaceUtils');
+const { getAliasResult, resolveAliasRequire, getRootName, getRequirePathForModule } = require('../core/aliasResolver');
+const { getDependents } = require('../core/requireGraph');
+const { LUAU_DOCUMENT_SELECTOR } = require('./requireNavigation');
+
+// Fired when the require graph may have changed, so the dependent counts are recomputed
+const codeLensChangeEmitter = new vscode.EventEmitter();
+
+function toRange({ start, end }) {
+    return new vscode.Range(start.line, start.character, end.line, end.character);
+}
+
+// Describes how other modules can require a module, or why it has no alias
+function describeAlias(result, modulePath) {
+    const relativePath = path.relative(result.workspaceFolder.uri.fsPath, modulePath).replace(/\\/g, '/');
+    const parsed = path.posix.parse(relativePath);
+    const name = parsed.name === 'init' ? path.posix.basename(parsed.dir) : parsed.name;
+
+    const resolved = resolveAliasRequire(result, modulePath, `@${name}`);
+    if (resolved && resolved.modulePath && path.resolve(resolved.modulePath) === path.resolve(modulePath)) {
+        return `alias @${name}`;
+    }
+
+    const ignored = result.ignoredFiles.find(ignoredFile => ignoredFile.path === relativePath);
+    if (ignored) {
+        return `no alias: ${ignored.ignoredDir} is excluded by ignoreDirectories`;
+    }
+    const ambiguousName = Object.keys(result.ambiguousAliases).find(alias => result.ambiguousAliases[alias].includes(relativePath));
+    if (ambiguousName) {
+        const others = result.ambiguousAliases[ambiguousName].filter(otherPath => otherPath !== relativePath);
+        const requirePath = getRequirePathForModule(result, modulePath, modulePath);
+        return `no alias: "${name}" is shared with ${others.join(', ')}${requirePath ? ` · require as ${requirePath}` : ''}`;
+    }
+
+    const requirePath = getRequirePathForModule(result, modulePath, modulePath);
+    return requirePath ? `require as ${requirePath}` : 'no alias';
+}
+
+// Shows at the top of each module how many modules require it and under which alias
+const codeLensProvider = {
+    onDidChangeCodeLenses: codeLensChangeEmitter.event,
+
+    provideCodeLenses(document) {
+        const modulePath = document.uri.fsPath;
+        const result = getAliasResult(getWorkspaceFolderForPath(modulePath));
+        // Scripts run on their own and cannot be required
+        if (!result || !getRootName(result, modulePath) || /\.(server|client)\.(luau|lua)$/.test(modulePath)) {
+            return [];
+        }
+
+        const dependents = getDependents(result, modulePath);
+        const fileCount = new Set(dependents.map(entry => entry.filePath)).size;
+        const locations = dependents.map(entry => new vscode.Location(vscode.Uri.file(entry.filePath), toRange(entry.range)));
+        const position = new vscode.Position(0, 0);
+        return [new vscode.CodeLens(new vscode.Range(position, position), {
+            title: `Required by ${fileCount} module${fileCount === 1 ? '' : 's'} · ${describeAlias(result, modulePath)}`,
+            tooltip: 'Peek the requires of this module',
+            command: 'editor.action.showReferences',
+            arguments: [document.uri, position, locations]
+        })];
+    }
+};
+
+// Recomputes the lenses of open modules, e.g. after aliases were regenerated or a file was saved
+function refreshRequireCodeLenses() {
+    codeLensChangeEmitter.fire();
+}
+
+/**
+ * Registers the dependent-count CodeLens shown at the top of each module in the scan roots
+ * @returns {vscode.Disposable} - Provider registration
+ */
+function registerRequireCodeLensProvider() {
+    return vscode.languages.registerCodeLensProvider(LUAU_DOCUMENT_SELECTOR, codeLensProvider);
+}
+
+module.exports = {
+    codeLensProvider,
+    refreshRequireCodeLenses,
+    registerRequireCodeLensProvider
+};
@@ -0,0 +1,118 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const { getWorkspaceFolderForPath } = require('../utils/workspaceUtils');
+const { getAliasResult, resolveAliasRequire } = require('../core/aliasResolver');
+const { LUAU_DOCUMENT_SELECTOR } = require('./requireNavigation');
+
+const moduleExtensions = ['.luau', '.lua'];
+const scriptSuffixes = ['.server', '.client'];
+
+// Matches an unfinished "@..." require string ending at the cursor
+const PARTIAL_REQUIRE_PATTERN = /\brequire\s*\(?\s*["'`](@[^"'`]*)$/;
+
+// Gets the scan root (e.g. "src/Shared") an alias path lies in, if any
+function getAliasRoot(result, aliasPath) {
+    const normalized = String(aliasPath).replace(/\\/g, '/').replace(/^\.\//, '');
+    return (result.rootNames || []).find(root => normalized === root || normalized.startsWith(root + '/')) || null;
+}
+
+// Suggests every alias of the workspace folder, marked with the scan root it belongs to
+function createAliasItems(result, range) {
+    return Object.entries(result.aliases).map(([alias, aliasPath]) => {
+        const name = alias.replace(/^@/, '');
+        const root = getAliasRoot(result, aliasPath);
+        const isModule = moduleExtensions.includes(path.extname(aliasPath));
+
+        const item = new vscode.CompletionItem(
+            { label: name, description: root ? path.posix.basename(root) : undefined },
+            isModule ? vscode.CompletionItemKind.Module : vscode.CompletionItemKind.Folder
+        );
+        item.detail = aliasPath;
+        item.filterText = name;
+        item.insertText = name;
+        item.range = range;
+        // Group suggestions by scan root, user aliases pointing at a root first
+        item.sortText = `${root && aliasPath === root ? '0' : '1'}${root || '~'}/${name.toLowerCase()}`;
+        return item;
+    });
+}
+
+// Suggests the modules and folders inside the directory a partial "@Alias/sub/" path points to
+function createSubPathItems(result, filePath, requirePath, range) {
+    const parentPath = requirePath.slice(0, requirePath.lastIndexOf('/'));
+    const resolved = resolveAliasRequire(result, filePath, parentPath);
+    if (!resolved) {
+        return [];
+    }
+    const dirPath = resolved.subPath ? path.join(resolved.aliasTarget, ...resolved.subPath.split('/')) : resolved.aliasTarget;
+
+    let entries;
+    try {
+        entries = fs.readdirSync(dirPath, { withFileTypes: true });
+    } catch (e) {
+        return [];
+    }
+
+    const workspaceRoot = result.workspaceFolder.uri.fsPath;
+    const items = new Map();
+    for (const entry of entries) {
+        if (entry.name.startsWith('.')) continue;
+        const entryPath = path.join(dirPath, entry.name);
+        let name;
+        let kind;
+        if (entry.isDirectory()) {
+            name = entry.name;
+            kind = vscode.CompletionItemKind.Folder;
+        } else if (moduleExtensions.includes(path.extname(entry.name))) {
+            name = path.parse(entry.name).name;
+            if (name === 'init' || scriptSuffixes.some(suffix => name.endsWith(suffix))) continue;
+            kind = vscode.CompletionItemKind.Module;
+        } else {
+            continue;
+        }
+        if (items.has(name)) continue;
+
+        const item = new vscode.CompletionItem(name, kind);
+        item.detail = path.relative(workspaceRoot, entryPath).replace(/\\/g, '/');
+        item.range = range;
+        items.set(name, item);
+    }
+    return Array.from(items.values());
+}
+
+const completionProvider = {
+    provideCompletionItems(document, position) {
+        const linePrefix = document.lineAt(position.line).text.slice(0, position.character);
+        const match = linePrefix.match(PARTIAL_REQUIRE_PATTERN);
+        if (!match) {
+            return undefined;
+        }
+        const result = getAliasResult(getWorkspaceFolderForPath(document.uri.fsPath));
+        if (!result) {
+            return undefined;
+        }
+
+        // Only the segment being typed (after the "@" or the last "/") is replaced
+        const requirePath = match[1];
+        const segmentLength = requirePath.length - Math.max(requirePath.lastIndexOf('/'), 0) - 1;
+        const range = new vscode.Range(position.line, position.character - segmentLength, position.line, position.character);
+
+        return requirePath.includes('/')
+            ? createSubPathItems(result, document.uri.fsPath, requirePath, range)
+            : createAliasItems(result, range);
+    }
+};
+
+/**
+ * Registers alias and sub-path completion inside require("@...") strings
+ * @returns {vscode.Disposable} - Provider registration
+ */
+function registerRequireCompletionProvider() {
+    return vscode.languages.registerCompletionItemProvider(LUAU_DOCUMENT_SELECTOR, completionProvider, '@', '/');
+}
+
+module.exports = {
+    completionProvider,
+    registerRequireCompletionProvider
+};
@@ -0,0 +1,172 @@
+const vscode = require('vscode');
+const path = require('path');
+const { print } = require('../core/logger');
+const { getAliasResult } = require('../core/aliasResolver');
+const { getRequireGraph, updateRequireCycles } = require('../core/requireGraph');
+const { pickWorkspaceFolder, getWorkspaceFolderName } = require('../utils/workspaceUtils');
+const { DIAGNOSTIC_SOURCE, DIAGNOSTIC_CODES } = require('./aliasDiagnostics');
+
+// Created lazily so the collection only exists once cycles have been checked
+let diagnosticCollection = null;
+
+// Files that received cycle diagnostics, per workspace folder, so a folder can be refreshed or cleared on its own
+const diagnosedFilesByFolder = new Map();
+
+// Last cycle search per workspace folder, so only the components touched by a change are searched again
+const cycleStatesByFolder = new Map();
+
+function getDiagnosticCollection() {
+    if (!diagnosticCollection) {
+        diagnosticCollection = vscode.languages.createDiagnosticCollection('require-on-rails-cycles');
+    }
+    return diagnosticCollection;
+}
+
+function toRange({ start, end }) {
+    return new vscode.Range(start.line, start.character, end.line, end.character);
+}
+
+/**
+ * Formats a cycle as the chain of modules it passes through, back to where it started
+ * @param {object} result - Alias generation result
+ * @param {object[]} cycle - Requires forming the cycle, see findRequireCycles
+ * @returns {string} - e.g. "src/Server/A.luau → src/Shared/B.luau → src/Server/A.luau"
+ */
+function formatCycle(result, cycle) {
+    const toRelative = filePath => path.relative(result.workspaceFolder.uri.fsPath, filePath).replace(/\\/g, '/');
+    return [...cycle.map(step => toRelative(step.filePath)), toRelative(cycle[0].filePath)].join(' → ');
+}
+
+/**
+ * Reports every require that is part of a require cycle in a workspace folder. Only the parts of the
+ * require graph that changed since the last call are searched again.
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder with generated aliases
+ * @returns {object[][]} - Cycles found, see findRequireCycles
+ */
+function updateCycleDiagnostics(workspaceFolder) {
+    const result = getAliasResult(workspaceFolder);
+    if (!result) {
+        clearCycleDiagnostics(workspaceFolder);
+        return [];
+    }
+
+    const folderKey = workspaceFolder.uri.fsPath;
+    const graph = getRequireGraph(result);
+    const previous = cycleStatesByFolder.get(folderKey) || null;
+    const { cycles, state } = updateRequireCycles(graph, previous);
+    cycleStatesByFolder.set(folderKey, state);
+    if (previous && previous.cycles === cycles) {
+        return cycles;
+    }
+
+    // Every require of a step's module from the step's file takes part, the first cycle found through it is shown
+    const cyclesByRequire = new Map();
+    for (const cycle of cycles) {
+        for (const step of cycle) {
+            for (const entry of graph.dependencies.get(step.filePath)) {
+                if (entry.modulePath !== step.modulePath) continue;
+                const key = `${step.filePath}:${entry.start}`;
+                if (!cyclesByRequire.has(key)) cyclesByRequire.set(key, { filePath: step.filePath, entry, cycles: [] });
+                cyclesByRequire.get(key).cycles.push(cycle);
+            }
+        }
+    }
+
+    const diagnosticsByFile = new Map();
+    for (const { filePath, entry, cycles: requireCycles } of cyclesByRequire.values()) {
+        const [cycle] = requireCycles;
+        const others = requireCycles.length > 1 ? ` It is part of ${requireCycles.length - 1} more cycle(s).` : '';
+        const diagnostic = new vscode.Diagnostic(
+            toRange(entry.range),
+            `Circular require: ${formatCycle(result, cycle)}. The runtime throws "Circular dependency detected" when this cycle is executed.${others}`,
+            vscode.DiagnosticSeverity.Warning
+        );
+        diagnostic.source = DIAGNOSTIC_SOURCE;
+        diagnostic.code = DIAGNOSTIC_CODES.circularRequire;
+        diagnostic.relatedInformation = cycle
+            .filter(step => step.filePath !== filePath || step.start !== entry.start)
+            .map(step => new vscode.DiagnosticRelatedInformation(
+                new vscode.Location(vscode.Uri.file(step.filePath), toRange(step.range)),
+                `require(${step.argument})`
+            ));
+        if (!diagnosticsByFile.has(filePath)) diagnosticsByFile.set(filePath, []);
+        diagnosticsByFile.get(filePath).push(diagnostic);
+    }
+
+    const collection = getDiagnosticCollection();
+    for (const filePath of diagnosedFilesByFolder.get(folderKey) || []) {
+        if (!diagnosticsByFile.has(filePath)) collection.delete(vscode.Uri.file(filePath));
+    }
+    for (const [filePath, diagnostics] of diagnosticsByFile) {
+        collection.set(vscode.Uri.file(filePath), diagnostics);
+    }
+    diagnosedFilesByFolder.set(folderKey, new Set(diagnosticsByFile.keys()));
+    return cycles;
+}
+
+// Removes the cycle diagnostics of a workspace folder
+function clearCycleDiagnostics(workspaceFolder) {
+    const folderKey = workspaceFolder.uri.fsPath;
+    const diagnosedFiles = diagnosedFilesByFolder.get(folderKey);
+    if (diagnosticCollection && diagnosedFiles) {
+        diagnosedFiles.forEach(filePath => diagnosticCollection.delete(vscode.Uri.file(filePath)));
+    }
+    diagnosedFilesByFolder.delete(folderKey);
+    cycleStatesByFolder.delete(folderKey);
+}
+
+function disposeCycleDiagnostics() {
+    if (diagnosticCollection) {
+        diagnosticCollection.dispose();
+        diagnosticCollection = null;
+    }
+    diagnosedFilesByFolder.clear();
+    cycleStatesByFolder.clear();
+}
+
+/**
+ * Command: list every require cycle of a workspace folder and open the chosen one
+ */
+async function listRequireCycles() {
+    const workspaceFolder = await pickWorkspaceFolder('the cycle check');
+    if (!workspaceFolder) {
+        return;
+    }
+    const folderName = getWorkspaceFolderName(workspaceFolder);
+    const result = getAliasResult(workspaceFolder);
+    if (!result) {
+        vscode.window.showWarningMessage(`RequireOnRails: Activate RequireOnRails for ${folderName} first.`);
+        return;
+    }
+
+    const cycles = updateCycleDiagnostics(workspaceFolder);
+    if (cycles.length === 0) {
+        vscode.window.showInformationMessage(`RequireOnRails: No require cycles in ${folderName}.`);
+        return;
+    }
+
+    print(`Found ${cycles.length} require cycle(s) in ${folderName}:`);
+    cycles.forEach(cycle => print(`  ${formatCycle(result, cycle)}`));
+
+    const pick = await vscode.window.showQuickPick(
+        cycles.map(cycle => ({
+            label: cycle.map(step => path.basename(step.filePath).replace(/\.(luau|lua)$/, '')).join(' → '),
+            detail: formatCycle(result, cycle),
+            cycle
+        })),
+        { placeHolder: `${cycles.length} require cycle(s) in ${folderName}`, matchOnDetail: true }
+    );
+    if (!pick) return; // User cancelled
+
+    const [first] = pick.cycle;
+    await vscode.window.showTextDocument(vscode.Uri.file(first.filePath), { selection: toRange(first.range) });
+}
+
+module.exports = {
+    formatCycle,
+    updateCycleDiagnostics,
+    clearCycleDiagnostics,
+    disposeCycleDiagnostics,
+    listRequireCycles,
+    getDiagnosticCollection
+};
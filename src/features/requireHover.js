@@ -0,0 +1,90 @@
+const vscode = require('vscode');
+const path = require('path');
+const { getWorkspaceFolderForPath } = require('../utils/workspaceUtils');
+const { getInstancePathForFile } = require('../utils/rojoUtils');
+const { getAliasResult, findAliasRequires, findByName, resolveAliasRequire, getRuntimeResolver } = require('../core/aliasResolver');
+const { LUAU_DOCUMENT_SELECTOR } = require('./requireNavigation');
+
+function formatPath(workspaceRoot, filePath) {
+    return `\`${path.relative(workspaceRoot, filePath).replace(/\\/g, '/')}\``;
+}
+
+// Adds the DataModel path Rojo syncs the module to, when the project file maps it
+function formatModule(result, filePath) {
+    const workspaceRoot = result.workspaceFolder.uri.fsPath;
+    const instancePath = getInstancePathForFile(workspaceRoot, result.workspaceFolder, filePath);
+    return formatPath(workspaceRoot, filePath) + (instancePath ? ` (\`${instancePath}\`)` : '');
+}
+
+// Builds the hover card of a require path: the editor's resolution, the competing modules of an
+// ambiguous basename and the module the runtime would pick from the requiring module
+function buildRequireHover(result, filePath, requirePath) {
+    const workspaceRoot = result.workspaceFolder.uri.fsPath;
+    const resolved = resolveAliasRequire(result, filePath, requirePath);
+    const name = requirePath.replace(/^@/, '').split('/')[0];
+    const isBareName = !requirePath.replace(/^@/, '').includes('/');
+
+    const markdown = new vscode.MarkdownString();
+    markdown.appendMarkdown(`**require("${requirePath}")**\n\n`);
+
+    if (!resolved) {
+        markdown.appendMarkdown(`Editor: no alias named \`@${name}\`.\n\n`);
+    } else if (!resolved.modulePath) {
+        markdown.appendMarkdown(`Editor: \`@${resolved.alias}\` points to ${formatPath(workspaceRoot, resolved.aliasTarget)}, but no module exists at this path.\n\n`);
+    } else {
+        markdown.appendMarkdown(`Editor: ${formatModule(result, resolved.modulePath)}\n\n`);
+    }
+
+    const ambiguous = isBareName ? findByName(result.ambiguousAliases, name) : null;
+    const candidates = ambiguous && ambiguous.value;
+    if (candidates) {
+        markdown.appendMarkdown(`Ambiguous: ${candidates.length} modules are named \`${name}\`:\n`);
+        candidates.forEach(candidate => markdown.appendMarkdown(`- ${formatModule(result, path.join(workspaceRoot, candidate))}\n`));
+        markdown.appendMarkdown('\n');
+    }
+
+    // Bare names are searched for by the runtime from the requiring module's position
+    if (isBareName && (candidates || findByName(result.generatedAliases, name))) {
+        const runtimePick = getRuntimeResolver(result).resolveFromModule(filePath, name);
+        if (runtimePick) {
+            markdown.appendMarkdown(`Runtime (from this module): ${formatModule(result, runtimePick)}\n\n`);
+            if (resolved && resolved.modulePath && path.resolve(resolved.modulePath) !== path.resolve(runtimePick)) {
+                markdown.appendMarkdown('$(warning) The editor and the runtime resolve this require to different modules.\n');
+            }
+        } else {
+            markdown.appendMarkdown(`Runtime (from this module): no module named \`${name}\` is reachable.\n`);
+        }
+    }
+    return markdown;
+}
+
+const hoverProvider = {
+    provideHover(document, position) {
+        const lineText = document.lineAt(position.line).text;
+        const found = findAliasRequires(lineText).find(({ start, end }) => position.character >= start && position.character <= end);
+        if (!found) {
+            return null;
+        }
+        const result = getAliasResult(getWorkspaceFolderForPath(document.uri.fsPath));
+        if (!result) {
+            return null;
+        }
+
+        const markdown = buildRequireHover(result, document.uri.fsPath, found.requirePath);
+        markdown.supportThemeIcons = true;
+        return new vscode.Hover(markdown, new vscode.Range(position.line, found.start, position.line, found.end));
+    }
+};
+
+/**
+ * Registers the hover card for "@alias" require strings
+ * @returns {vscode.Disposable} - Provider registration
+ */
+function registerRequireHoverProvider() {
+    return vscode.languages.registerHoverProvider(LUAU_DOCUMENT_SELECTOR, hoverProvider);
+}
+
+module.exports = {
+    hoverProvider,
+    registerRequireHoverProvider
+};
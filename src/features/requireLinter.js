@@ -0,0 +1,202 @@
+const vscode = require('vscode');
+const path = require('path');
+const { getCommonConfig, getWorkspaceFolderForPath } = require('../utils/workspaceUtils');
+const { getAliasResult, findAliasRequires, findByName, resolveAliasRequire, getRootName } = require('../core/aliasResolver');
+const { DIAGNOSTIC_SOURCE, DIAGNOSTIC_CODES } = require('./aliasDiagnostics');
+const { findUnusedRequires } = require('./unusedRequires');
+
+// Aliases Luau provides itself, they never appear in .luaurc
+const BUILTIN_ALIASES = ['self'];
+
+// Created lazily so the collection only exists once a document has been linted
+let diagnosticCollection = null;
+
+function getDiagnosticCollection() {
+    if (!diagnosticCollection) {
+        diagnosticCollection = vscode.languages.createDiagnosticCollection('require-on-rails-requires');
+    }
+    return diagnosticCollection;
+}
+
+function isLuauDocument(document) {
+    return (document.languageId === 'luau' || document.languageId === 'lua') && document.uri.scheme === 'file';
+}
+
+// Groups the ignored module files by the module name they would have been aliased as
+function getIgnoredModules(result) {
+    const ignoredModules = {};
+    for (const ignoredFile of result.ignoredFiles) {
+        const parsed = path.posix.parse(ignoredFile.path);
+        const name = parsed.name === 'init' ? path.posix.basename(parsed.dir) : parsed.name;
+        if (!ignoredModules[name]) ignoredModules[name] = [];
+        ignoredModules[name].push(ignoredFile);
+    }
+    return ignoredModules;
+}
+
+// The root whose requireRules apply to a file. Scripts run where their suffix says, whichever root they are in.
+function getRequiringRoot(result, filePath) {
+    const scriptMatch = path.basename(filePath).match(/\.(server|client)\.(luau|lua)$/);
+    if (scriptMatch) {
+        return { name: scriptMatch[1] === 'server' ? 'Server' : 'Client', label: `${scriptMatch[1]} scripts` };
+    }
+    const name = getRootName(result, filePath);
+    return name ? { name, label: `${name} modules` } : null;
+}
+
+// Describes how a resolved require breaks the requireRules between roots, or returns null if it is allowed
+function checkRequireRule(result, filePath, requirePath, modulePath, requireRules) {
+    const requiringRoot = getRequiringRoot(result, filePath);
+    const requiredRoot = getRootName(result, modulePath);
+    const rule = requiringRoot && findByName(requireRules, requiringRoot.name);
+    const allowedRoots = rule && rule.value;
+    if (!requiredRoot || !Array.isArray(allowedRoots)) {
+        return null;
+    }
+    // A root may always require its own modules
+    const isAllowed = [requiringRoot.name, ...allowedRoots].some(root => String(root).replace(/^@/, '').toLowerCase() === requiredRoot.toLowerCase());
+    if (isAllowed) {
+        return null;
+    }
+    return {
+        code: DIAGNOSTIC_CODES.forbiddenRootRequire,
+        severity: vscode.DiagnosticSeverity.Error,
+        message: `${requiringRoot.label} may not require ${requiredRoot} modules: "${requirePath}" resolves to ${path.relative(result.workspaceFolder.uri.fsPath, modulePath).replace(/\\/g, '/')}. ` +
+            `requireRules allow ${requiringRoot.name} to require ${allowedRoots.length > 0 ? allowedRoots.join(', ') : 'only its own modules'}.`
+    };
+}
+
+// Describes why a require path does not resolve or is not allowed, or returns null if it is fine
+function checkRequire(result, filePath, requirePath, ignoredModules, requireRules) {
+    const name = requirePath.replace(/^@/, '').split('/')[0];
+    if (!name || BUILTIN_ALIASES.includes(name.toLowerCase())) {
+        return null;
+    }
+
+    const resolved = resolveAliasRequire(result, filePath, requirePath);
+    if (resolved) {
+        return resolved.modulePath ? checkRequireRule(result, filePath, requirePath, resolved.modulePath, requireRules) : {
+            code: DIAGNOSTIC_CODES.missingModuleRequire,
+            severity: vscode.DiagnosticSeverity.Error,
+            message: `No module at "${requirePath}": "@${resolved.alias}" points to ${path.relative(result.workspaceFolder.uri.fsPath, resolved.aliasTarget).replace(/\\/g, '/')}.`
+        };
+    }
+
+    const ambiguous = findByName(result.ambiguousAliases, name);
+    if (ambiguous) {
+        return {
+            code: DIAGNOSTIC_CODES.ambiguousRequire,
+            severity: vscode.DiagnosticSeverity.Warning,
+            message: `Ambiguous require "@${name}": no alias was generated because the basename is shared by ${ambiguous.value.join(', ')}.`
+        };
+    }
+
+    const ignored = findByName(ignoredModules, name);
+    if (ignored) {
+        return {
+            code: DIAGNOSTIC_CODES.ignoredRequire,
+            severity: vscode.DiagnosticSeverity.Warning,
+            message: `Require "@${name}" has no alias: ${ignored.value[0].path} is in ${ignored.value[0].ignoredDir}, which is excluded by ignoreDirectories.`
+        };
+    }
+
+    return {
+        code: DIAGNOSTIC_CODES.unknownAliasRequire,
+        severity: vscode.DiagnosticSeverity.Error,
+        message: `Unknown alias "@${name}": no module or alias with this name exists.`
+    };
+}
+
+/**
+ * Lints the "@..." require calls of a document against the aliases of its workspace folder
+ * @param {vscode.TextDocument} document - Document to lint
+ * @returns {vscode.Diagnostic[]} - Diagnostics reported for the document
+ */
+function lintDocument(document) {
+    if (!isLuauDocument(document)) {
+        return [];
+    }
+    const result = getAliasResult(getWorkspaceFolderForPath(document.uri.fsPath));
+    if (!result) {
+        if (diagnosticCollection) diagnosticCollection.delete(document.uri);
+        return [];
+    }
+
+    const ignoredModules = getIgnoredModules(result);
+    const { requireRules } = getCommonConfig(result.workspaceFolder);
+    const diagnostics = [];
+    for (let line = 0; line < document.lineCount; line++) {
+        const lineText = document.lineAt(line).text;
+        if (!lineText.includes('require')) continue;
+
+        for (const { requirePath, start, end } of findAliasRequires(lineText)) {
+            const problem = checkRequire(result, document.uri.fsPath, requirePath, ignoredModules, requireRules);
+            if (!problem) continue;
+
+            const diagnostic = new vscode.Diagnostic(new vscode.Range(line, start, line, end), problem.message, problem.severity);
+            diagnostic.source = DIAGNOSTIC_SOURCE;
+            diagnostic.code = problem.code;
+            diagnostics.push(diagnostic);
+        }
+    }
+
+    // Unused requires are faded out rather than reported as problems
+    for (const { line, name, requirePath, start, end } of findUnusedRequires(document.getText())) {
+        const diagnostic = new vscode.Diagnostic(
+            new vscode.Range(line, start, line, end),
+            `"${name}" is required from "${requirePath}" but never used.`,
+            vscode.DiagnosticSeverity.Hint
+        );
+        diagnostic.source = DIAGNOSTIC_SOURCE;
+        diagnostic.code = DIAGNOSTIC_CODES.unusedRequire;
+        diagnostic.tags = [vscode.DiagnosticTag.Unnecessary];
+        diagnostics.push(diagnostic);
+    }
+    getDiagnosticCollection().set(document.uri, diagnostics);
+    return diagnostics;
+}
+
+function isInFolder(filePath, workspaceFolder) {
+    const owner = getWorkspaceFolderForPath(filePath);
+    return !!owner && owner.uri.fsPath === workspaceFolder.uri.fsPath;
+}
+
+// Lints every open document of a workspace folder, e.g. after its aliases were regenerated
+function lintOpenDocuments(workspaceFolder) {
+    vscode.workspace.textDocuments
+        .filter(document => isLuauDocument(document) && isInFolder(document.uri.fsPath, workspaceFolder))
+        .forEach(lintDocument);
+}
+
+function clearDocumentDiagnostics(document) {
+    if (diagnosticCollection) {
+        diagnosticCollection.delete(document.uri);
+    }
+}
+
+// Removes the require diagnostics of every document in a workspace folder
+function clearRequireDiagnostics(workspaceFolder) {
+    if (!diagnosticCollection) return;
+
+    const folderUris = [];
+    diagnosticCollection.forEach(uri => {
+        if (isInFolder(uri.fsPath, workspaceFolder)) folderUris.push(uri);
+    });
+    folderUris.forEach(uri => diagnosticCollection.delete(uri));
+}
+
+function disposeRequireLinter() {
+    if (diagnosticCollection) {
+        diagnosticCollection.dispose();
+        diagnosticCollection = null;
+    }
+}
+
+module.exports = {
+    lintDocument,
+    lintOpenDocuments,
+    clearDocumentDiagnostics,
+    clearRequireDiagnostics,
+    disposeRequireLinter,
+    getDiagnosticCollection
+};
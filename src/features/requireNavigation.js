@@ -0,0 +1,74 @@
+const vscode = require('vscode');
+const { getWorkspaceFolderForPath } = require('../utils/workspaceUtils');
+const { getAliasResult, findAliasRequires, resolveAliasRequire } = require('../core/aliasResolver');
+
+// Lua and Luau files on disk; untitled documents have no folder and therefore no aliases
+const LUAU_DOCUMENT_SELECTOR = [
+    { language: 'luau', scheme: 'file' },
+    { language: 'lua', scheme: 'file' }
+];
+
+// Resolves a require path of a document with the aliases of its workspace folder
+function resolveDocumentRequire(document, requirePath) {
+    const result = getAliasResult(getWorkspaceFolderForPath(document.uri.fsPath));
+    if (!result) {
+        return null;
+    }
+    const resolved = resolveAliasRequire(result, document.uri.fsPath, requirePath);
+    return resolved && resolved.modulePath ? resolved : null;
+}
+
+// Jumps from a require("@Alias/sub/path") string to the module file (or the init file of a folder module)
+const definitionProvider = {
+    provideDefinition(document, position) {
+        const lineText = document.lineAt(position.line).text;
+        const found = findAliasRequires(lineText).find(({ start, end }) => position.character >= start && position.character <= end);
+        if (!found) {
+            return null;
+        }
+        const resolved = resolveDocumentRequire(document, found.requirePath);
+        if (!resolved) {
+            return null;
+        }
+        return new vscode.Location(vscode.Uri.file(resolved.modulePath), new vscode.Position(0, 0));
+    }
+};
+
+// Makes every resolvable "@..." require string in a document a clickable link
+const documentLinkProvider = {
+    provideDocumentLinks(document) {
+        const links = [];
+        for (let line = 0; line < document.lineCount; line++) {
+            const lineText = document.lineAt(line).text;
+            if (!lineText.includes('require')) continue;
+
+            for (const { requirePath, start, end } of findAliasRequires(lineText)) {
+                const resolved = resolveDocumentRequire(document, requirePath);
+                if (!resolved) continue;
+
+                const link = new vscode.DocumentLink(new vscode.Range(line, start, line, end), vscode.Uri.file(resolved.modulePath));
+                link.tooltip = `Open ${vscode.workspace.asRelativePath(resolved.modulePath)}`;
+                links.push(link);
+            }
+        }
+        return links;
+    }
+};
+
+/**
+ * Registers go-to-definition and document links for "@alias" require strings
+ * @returns {vscode.Disposable[]} - Provider registrations
+ */
+function registerRequireNavigationProviders() {
+    return [
+        vscode.languages.registerDefinitionProvider(LUAU_DOCUMENT_SELECTOR, definitionProvider),
+        vscode.languages.registerDocumentLinkProvider(LUAU_DOCUMENT_SELECTOR, documentLinkProvider)
+    ];
+}
+
+module.exports = {
+    LUAU_DOCUMENT_SELECTOR,
+    definitionProvider,
+    documentLinkProvider,
+    registerRequireNavigationProviders
+};
@@ -0,0 +1,114 @@
+const vscode = require('vscode');
+const path = require('path');
+const { getWorkspaceFolderForPath, getWorkspaceFolderName } = require('../utils/workspaceUtils');
+const { getRojoInstanceMap } = require('../utils/rojoUtils');
+const { getAliasResult } = require('../core/aliasResolver');
+const { findModuleRequires, getDependents } = require('../core/requireGraph');
+const { LUAU_DOCUMENT_SELECTOR } = require('./requireNavigation');
+
+const SHOW_DEPENDENTS_COMMAND = 'require-on-rails.showDependents';
+
+function toRange({ start, end }) {
+    return new vscode.Range(start.line, start.character, end.line, end.character);
+}
+
+function isWithin(position, { start, end }) {
+    const afterStart = position.line > start.line || (position.line === start.line && position.character >= start.character);
+    const beforeEnd = position.line < end.line || (position.line === end.line && position.character <= end.character);
+    return afterStart && beforeEnd;
+}
+
+// Line of the module's top-level return statement, or -1 if it has none
+function getReturnLine(text) {
+    const lines = text.split('\n');
+    for (let line = lines.length - 1; line >= 0; line--) {
+        if (/^return\b/.test(lines[line])) return line;
+    }
+    return -1;
+}
+
+// The module required at the position, or the document's own module on its first line or its return statement
+function getTargetModule(result, document, position) {
+    const text = document.getText();
+    const instanceMap = getRojoInstanceMap(result.workspaceFolder.uri.fsPath, result.workspaceFolder);
+    const required = findModuleRequires(result, instanceMap, document.uri.fsPath, text)
+        .find(entry => isWithin(position, entry.range));
+    if (required) {
+        return required.modulePath;
+    }
+    return position.line === 0 || position.line === getReturnLine(text) ? path.resolve(document.uri.fsPath) : null;
+}
+
+// Lists the requires of a module across the scan roots, whether by alias, root-qualified path or instance path
+const referenceProvider = {
+    provideReferences(document, position, context) {
+        const result = getAliasResult(getWorkspaceFolderForPath(document.uri.fsPath));
+        if (!result) {
+            return [];
+        }
+        const modulePath = getTargetModule(result, document, position);
+        if (!modulePath) {
+            return [];
+        }
+        const locations = getDependents(result, modulePath)
+            .map(entry => new vscode.Location(vscode.Uri.file(entry.filePath), toRange(entry.range)));
+        if (context && context.includeDeclaration) {
+            locations.unshift(new vscode.Location(vscode.Uri.file(modulePath), new vscode.Position(0, 0)));
+        }
+        return locations;
+    }
+};
+
+/**
+ * Command: list the files requiring a module and open the chosen require
+ * @param {vscode.Uri} [uri] - Module file, from the Explorer context menu; defaults to the active editor
+ */
+async function showDependents(uri) {
+    const moduleUri = uri || (vscode.window.activeTextEditor && vscode.window.activeTextEditor.document.uri);
+    if (!moduleUri) {
+        vscode.window.showWarningMessage('RequireOnRails: Select a Luau module to list the modules that require it.');
+        return;
+    }
+    const workspaceFolder = getWorkspaceFolderForPath(moduleUri.fsPath);
+    const result = getAliasResult(workspaceFolder);
+    if (!result) {
+        const folderName = workspaceFolder ? getWorkspaceFolderName(workspaceFolder) : 'this folder';
+        vscode.window.showWarningMessage(`RequireOnRails: Activate RequireOnRails for ${folderName} first.`);
+        return;
+    }
+
+    const modulePath = vscode.workspace.asRelativePath(moduleUri.fsPath);
+    const dependents = getDependents(result, moduleUri.fsPath);
+    if (dependents.length === 0) {
+        vscode.window.showInformationMessage(`RequireOnRails: No modules require ${modulePath}.`);
+        return;
+    }
+
+    const pick = await vscode.window.showQuickPick(
+        dependents.map(entry => ({
+            label: vscode.workspace.asRelativePath(entry.filePath),
+            description: `line ${entry.range.start.line + 1}`,
+            detail: `require(${entry.argument})`,
+            entry
+        })),
+        { placeHolder: `${dependents.length} require(s) of ${modulePath}`, matchOnDescription: true, matchOnDetail: true }
+    );
+    if (!pick) return; // User cancelled
+
+    await vscode.window.showTextDocument(vscode.Uri.file(pick.entry.filePath), { selection: toRange(pick.entry.range) });
+}
+
+/**
+ * Registers Find All References for modules and their require strings
+ * @returns {vscode.Disposable} - Provider registration
+ */
+function registerRequireReferenceProvider() {
+    return vscode.languages.registerReferenceProvider(LUAU_DOCUMENT_SELECTOR, referenceProvider);
+}
+
+module.exports = {
+    SHOW_DEPENDENTS_COMMAND,
+    referenceProvider,
+    showDependents,
+    registerRequireReferenceProvider
+};
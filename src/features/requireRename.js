@@ -0,0 +1,196 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const { getWorkspaceFolderForPath } = require('../utils/workspaceUtils');
+const { getAliasResult, findAliasRequires, resolveAliasRequire } = require('../core/aliasResolver');
+const { getRequireGraph } = require('../core/requireGraph');
+const { LUAU_DOCUMENT_SELECTOR } = require('./requireNavigation');
+
+const MODULE_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Renames returned by the rename provider, so the Explorer rename flow does not prompt for them again.
+// The user can still cancel them, so each one is only remembered until the next file renames or a timeout.
+const providerRenames = new Map();
+const PROVIDER_RENAME_TIMEOUT = 10000;
+
+// The module file or folder a require path names, without extension: the folder of an init module
+function toModuleBase(modulePath) {
+    const withoutExtension = path.resolve(modulePath).replace(/\.(luau|lua)$/, '');
+    return path.basename(withoutExtension) === 'init' ? path.dirname(withoutExtension) : withoutExtension;
+}
+
+// Finds the alias require at a position and the module its last segment names
+function getRenameTarget(document, position) {
+    const result = getAliasResult(getWorkspaceFolderForPath(document.uri.fsPath));
+    if (!result) {
+        return null;
+    }
+    const lineText = document.lineAt(position.line).text;
+    const required = findAliasRequires(lineText)
+        .find(({ start, end }) => position.character >= start && position.character <= end);
+    if (!required) {
+        return null;
+    }
+
+    const resolved = resolveAliasRequire(result, document.uri.fsPath, required.requirePath);
+    if (!resolved || !resolved.modulePath) {
+        throw new Error(`"${required.requirePath}" does not resolve to a module.`);
+    }
+    const moduleBase = toModuleBase(resolved.modulePath);
+    const name = path.basename(moduleBase);
+    const lastSegment = required.requirePath.replace(/^@/, '').split('/').filter(Boolean).pop();
+    if (!lastSegment || lastSegment.toLowerCase() !== name.toLowerCase()) {
+        throw new Error(`"${required.requirePath}" is a manual alias for ${vscode.workspace.asRelativePath(resolved.modulePath)}, rename it in manualAliases instead.`);
+    }
+
+    const segmentStart = required.end - lastSegment.length;
+    return {
+        result,
+        modulePath: resolved.modulePath,
+        moduleBase,
+        name,
+        range: new vscode.Range(position.line, segmentStart, position.line, required.end)
+    };
+}
+
+// Rewrites the segment of an alias require path that names the renamed module or folder, or returns null if none does
+function renameAliasArgument(result, filePath, argument, moduleBase, newName) {
+    const quote = argument[0];
+    const requirePath = argument.slice(1, -1);
+    const resolved = resolveAliasRequire(result, filePath, requirePath);
+    if (!resolved) {
+        return null;
+    }
+    const segments = requirePath.replace(/^@/, '').split('/');
+    for (let index = 0; index < segments.length; index++) {
+        const candidate = index === 0 ? resolved.aliasTarget : path.join(resolved.aliasTarget, ...segments.slice(1, index + 1));
+        if (toModuleBase(candidate) === moduleBase && segments[index].toLowerCase() === path.basename(moduleBase).toLowerCase()) {
+            segments[index] = newName;
+            return `${quote}@${segments.join('/')}${quote}`;
+        }
+    }
+    return null;
+}
+
+// Rewrites the instance of an instance path require that names the renamed module or folder, when exactly one does
+function renameInstanceArgument(argument, oldName, newName) {
+    const segment = new RegExp(`(\\.)${oldName}\\b|(\\[\\s*["'])${oldName}(["']\\s*\\])|(:\\s*(?:WaitForChild|FindFirstChild)\\s*\\(\\s*["'])${oldName}(["'])`, 'g');
+    const matches = argument.match(segment);
+    if (!matches || matches.length !== 1) {
+        return null;
+    }
+    return argument.replace(segment, (match, dot, open, close, call, callClose) =>
+        dot ? `.${newName}` : open ? `${open}${newName}${close}` : `${call}${newName}${callClose}`);
+}
+
+// Explains why a module cannot be renamed to a name, or returns null if it can
+function checkNewName(result, target, newName) {
+    if (!MODULE_NAME.test(newName)) {
+        return `"${newName}" is not a valid module name.`;
+    }
+    if (newName.toLowerCase() === 'self') {
+        return '"@self" is reserved by Luau.';
+    }
+    const isSameName = newName.toLowerCase() === target.name.toLowerCase();
+    const alias = Object.keys(result.aliases).find(aliasName => aliasName.replace(/^@/, '').toLowerCase() === newName.toLowerCase());
+    if (alias && !isSameName) {
+        return `@${newName} already exists: it points to ${result.aliases[alias]}.`;
+    }
+    const ambiguous = Object.keys(result.ambiguousAliases).find(aliasName => aliasName.toLowerCase() === newName.toLowerCase());
+    if (ambiguous && !isSameName) {
+        return `@${newName} would be ambiguous: ${result.ambiguousAliases[ambiguous].join(', ')} already use the name.`;
+    }
+    return null;
+}
+
+// Renames a module by its alias: the file, or the folder of an init module, and every require of it in the scan roots
+const renameProvider = {
+    prepareRename(document, position) {
+        const target = getRenameTarget(document, position);
+        if (!target) {
+            throw new Error('Rename an alias by placing the cursor on a require("@...") string.');
+        }
+        return { range: target.range, placeholder: target.name };
+    },
+
+    provideRenameEdits(document, position, newName) {
+        const target = getRenameTarget(document, position);
+        if (!target) {
+            return null;
+        }
+        const { result, modulePath, moduleBase, name } = target;
+        const problem = checkNewName(result, target, newName);
+        if (problem) {
+            throw new Error(problem);
+        }
+
+        const isFolder = moduleBase !== path.resolve(modulePath).replace(/\.(luau|lua)$/, '');
+        const oldPath = isFolder ? moduleBase : path.resolve(modulePath);
+        const newPath = path.join(path.dirname(oldPath), newName + (isFolder ? '' : path.extname(oldPath)));
+        if (newName === name) {
+            return new vscode.WorkspaceEdit();
+        }
+        if (newName.toLowerCase() !== name.toLowerCase() && fs.existsSync(newPath)) {
+            throw new Error(`${vscode.workspace.asRelativePath(newPath)} already exists.`);
+        }
+
+        // Requires are edited before the rename so the edits of files inside a renamed folder still find them
+        const edit = new vscode.WorkspaceEdit();
+        for (const [filePath, requires] of getRequireGraph(result).dependencies) {
+            for (const entry of requires) {
+                const isAffected = entry.modulePath === path.resolve(modulePath) || (isFolder && entry.modulePath.startsWith(moduleBase + path.sep));
+                if (!isAffected) continue;
+
+                const argument = entry.kind === 'alias'
+                    ? renameAliasArgument(result, filePath, entry.argument, moduleBase, newName)
+                    : renameInstanceArgument(entry.argument, name, newName);
+                if (argument && argument !== entry.argument) {
+                    const { start, end } = entry.range;
+                    edit.replace(vscode.Uri.file(filePath), new vscode.Range(start.line, start.character, end.line, end.character), argument);
+                }
+            }
+        }
+        edit.renameFile(vscode.Uri.file(oldPath), vscode.Uri.file(newPath));
+        const key = `${oldPath}\n${newPath}`;
+        clearTimeout(providerRenames.get(key));
+        providerRenames.set(key, setTimeout(() => providerRenames.delete(key), PROVIDER_RENAME_TIMEOUT));
+        return edit;
+    }
+};
+
+/**
+ * Checks whether a rename was made by the alias rename provider, which already updated its requires.
+ * Each rename is only reported once.
+ * @param {string} oldFilePath - Path before the rename
+ * @param {string} newFilePath - Path after the rename
+ * @returns {boolean} - True if the rename came from the rename provider
+ */
+function consumeProviderRename(oldFilePath, newFilePath) {
+    const key = `${path.resolve(oldFilePath)}\n${path.resolve(newFilePath)}`;
+    clearTimeout(providerRenames.get(key));
+    return providerRenames.delete(key);
+}
+
+/**
+ * Forgets the renames returned by the rename provider that were never applied, e.g. because the
+ * user cancelled them in the refactor preview. Called once files have been renamed.
+ */
+function clearProviderRenames() {
+    providerRenames.forEach(timer => clearTimeout(timer));
+    providerRenames.clear();
+}
+
+/**
+ * Registers renaming a module from its require("@...") string
+ * @returns {vscode.Disposable} - Provider registration
+ */
+function registerRequireRenameProvider() {
+    return vscode.languages.registerRenameProvider(LUAU_DOCUMENT_SELECTOR, renameProvider);
+}
+
+module.exports = {
+    renameProvider,
+    consumeProviderRename,
+    clearProviderRenames,
+    registerRequireRenameProvider
+};
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const vscode = require('vscode');
+const { print, warn } = require('../core/logger');
+const { getCommonConfig, scanDirectory, readSourceFile } = require('../utils/workspaceUtils');
+
+// `local Name = require("@...")` on a line of its own, with or without a type annotation or trailing comment
+const ALIAS_REQUIRE_LINE_PATTERN = /^\s*local\s+([A-Za-z_][A-Za-z0-9_]*)\s*(?::[^=]+)?=\s*require\s*\(\s*(["'`])(@[^"'`\r\n]*)\2\s*\)\s*;?\s*(?:--.*)?$/;
+
+// Returns the end of a long bracket string such as [[...]] or [==[...]==] starting at index, or -1 if there is none
+function findLongBracketEnd(text, index) {
+    const open = /\[(=*)\[/y;
+    open.lastIndex = index;
+    const match = open.exec(text);
+    if (!match) {
+        return -1;
+    }
+    const close = text.indexOf(`]${match[1]}]`, open.lastIndex);
+    return close === -1 ? text.length : close + match[1].length + 2;
+}
+
+const blank = text => text.replace(/[^\n]/g, ' ');
+
+// Blanks out comments and strings from index on, up to the `}` closing a string interpolation when inside one
+function stripCode(text, index, inInterpolation) {
+    let stripped = '';
+    let depth = 0;
+    let i = index;
+    while (i < text.length) {
+        if (inInterpolation && text[i] === '}' && depth === 0) {
+            break;
+        }
+        if (inInterpolation && (text[i] === '{' || text[i] === '}')) {
+            depth += text[i] === '{' ? 1 : -1;
+        }
+
+        let end = -1;
+        if (text.startsWith('--', i)) {
+            end = findLongBracketEnd(text, i + 2);
+            if (end === -1) {
+                const newline = text.indexOf('\n', i);
+                end = newline === -1 ? text.length : newline;
+            }
+        } else if (text[i] === '[') {
+            end = findLongBracketEnd(text, i);
+        } else if (text[i] === '`') {
+            const string = stripInterpolatedString(text, i);
+            stripped += string.stripped;
+            i = string.end;
+            continue;
+        } else if (text[i] === '"' || text[i] === "'") {
+            end = i + 1;
+            while (end < text.length && text[end] !== text[i] && text[end] !== '\n') {
+                end += text[end] === '\\' ? 2 : 1;
+            }
+            end = Math.min(end + 1, text.length);
+        }
+
+        if (end === -1) {
+            stripped += text[i++];
+        } else {
+            stripped += blank(text.slice(i, end));
+            i = end;
+        }
+    }
+    return { stripped, end: i };
+}
+
+// Blanks out a backtick string starting at index, keeping the code of its {...} interpolations
+function stripInterpolatedString(text, index) {
+    let stripped = ' ';
+    let i = index + 1;
+    while (i < text.length && text[i] !== '`' && text[i] !== '\n') {
+        if (text[i] === '\\') {
+            stripped += blank(text.slice(i, i + 2));
+            i = Math.min(i + 2, text.length);
+        } else if (text[i] === '{') {
+            const expression = stripCode(text, i + 1, true);
+            stripped += ' ' + expression.stripped;
+            i = expression.end;
+            if (i < text.length) {
+                stripped += ' ';
+                i++;
+            }
+        } else {
+            stripped += ' ';
+            i++;
+        }
+    }
+    if (text[i] === '`') {
+        stripped += ' ';
+        i++;
+    }
+    return { stripped, end: i };
+}
+
+// Blanks out comments and strings so names inside them are not mistaken for uses. Line breaks are kept.
+function stripCommentsAndStrings(text) {
+    return stripCode(text, 0, false).stripped;
+}
+
+/**
+ * Finds the `local Name = require("@...")` lines of Luau source whose local is never used afterwards
+ * @param {string} text - Luau source
+ * @returns {{line: number, name: string, requirePath: string, start: number, end: number}[]} - Unused requires,
+ * with the character range of the statement on its line
+ */
+function findUnusedRequires(text) {
+    const lines = text.split('\n');
+    const strippedLines = stripCommentsAndStrings(text).split('\n');
+    const unused = [];
+    lines.forEach((lineText, line) => {
+        const match = lineText.match(ALIAS_REQUIRE_LINE_PATTERN);
+        if (!match || strippedLines[line].trim() === '') return;
+
+        const name = match[1];
+        const usage = new RegExp(`(^|[^.:\\w])${name}\\b`);
+        const isUsed = strippedLines.some((strippedLine, index) => index !== line && usage.test(strippedLine));
+        if (!isUsed) {
+            const start = lineText.length - lineText.trimStart().length;
+            unused.push({ line, name, requirePath: match[3], start, end: lineText.trimEnd().length });
+        }
+    });
+    return unused;
+}
+
+/**
+ * Removes the lines of unused alias requires from Luau source
+ * @param {string} text - Luau source
+ * @returns {{content: string, removed: object[]}} - Updated source and the requires removed, see findUnusedRequires
+ */
+function removeUnusedRequires(text) {
+    const removed = findUnusedRequires(text);
+    const removedLines = new Set(removed.map(entry => entry.line));
+    const content = text.split('\n').filter((_, line) => !removedLines.has(line)).join('\n');
+    return { content, removed };
+}
+
+// Deletes whole lines. Lines running to the end of the file take the line break before them, as there is none after them.
+function deleteLines(edit, uri, text, lines, metadata) {
+    const lineLengths = text.split('\n').map(lineText => lineText.replace(/\r$/, '').length);
+    const lastLine = lineLengths.length - 1;
+    let trailingStart = lastLine + 1;
+    while (trailingStart > 0 && lines.includes(trailingStart - 1)) {
+        trailingStart--;
+    }
+
+    for (const line of lines.filter(line => line < trailingStart)) {
+        edit.delete(uri, new vscode.Range(line, 0, line + 1, 0), metadata);
+    }
+    if (trailingStart <= lastLine) {
+        const start = trailingStart > 0 ? new vscode.Position(trailingStart - 1, lineLengths[trailingStart - 1]) : new vscode.Position(0, 0);
+        edit.delete(uri, new vscode.Range(start, new vscode.Position(lastLine, lineLengths[lastLine])), metadata);
+    }
+}
+
+/**
+ * Command: remove the unused alias requires of every file in the scan roots of the given workspace folders.
+ * The removals open as one refactor preview.
+ * @param {vscode.WorkspaceFolder[]} workspaceFolders - Folders RequireOnRails is active for
+ * @returns {Promise<number>} - Number of requires removed, 0 when the preview is cancelled
+ */
+async function removeAllUnusedRequires(workspaceFolders) {
+    const edit = new vscode.WorkspaceEdit();
+    let fileCount = 0;
+    let requireCount = 0;
+    for (const workspaceFolder of workspaceFolders) {
+        const workspaceRoot = workspaceFolder.uri.fsPath;
+        const { directoriesToScan, ignoreDirectories, supportedExtensions } = getCommonConfig(workspaceFolder);
+
+        directoriesToScan.forEach(dir => {
+            const dirPath = path.join(workspaceRoot, dir);
+            if (fs.existsSync(dirPath) && fs.statSync(dirPath).isDirectory()) {
+                scanDirectory(dirPath, supportedExtensions, ignoreDirectories, (filePath) => {
+                    try {
+                        const text = readSourceFile(filePath);
+                        const unused = findUnusedRequires(text);
+                        if (unused.length === 0) return;
+
+                        const relativePath = path.relative(workspaceRoot, filePath).replace(/\\/g, '/');
+                        const metadata = { label: `Remove unused requires in ${relativePath}`, needsConfirmation: true };
+                        deleteLines(edit, vscode.Uri.file(filePath), text, unused.map(entry => entry.line), metadata);
+                        print(`Unused requires in ${relativePath}: ${unused.map(({ line, name }) => `${name} (line ${line + 1})`).join(', ')}`);
+                        fileCount++;
+                        requireCount += unused.length;
+                    } catch (error) {
+                        warn(`Error reading file ${filePath}:`, error.message);
+                    }
+                });
+            }
+        });
+    }
+
+    if (requireCount === 0) {
+        vscode.window.showInformationMessage('RequireOnRails: No unused requires found.');
+        return 0;
+    }
+
+    print(`Removing ${requireCount} unused require(s) in ${fileCount} file(s)`);
+    const applied = await vscode.workspace.applyEdit(edit, { isRefactoring: true });
+    if (!applied) {
+        return 0;
+    }
+    vscode.window.showInformationMessage(`RequireOnRails: Removed ${requireCount} unused require(s) in ${fileCount} file(s).`);
+    return requireCount;
+}
+
+module.exports = {
+    findUnusedRequires,
+    removeUnusedRequires,
+    removeAllUnusedRequires
+};
@@ -2,239 +2,262 @@ const fs = require('fs');
 const path = require('path');
 const vscode = require('vscode');
 const { print, warn, error } = require('../core/logger');
-const { requireWorkspaceRoot, getCommonConfig } = require('../utils/workspaceUtils');
-
-const extenionName = 'require-on-rails';
-const supportedExtensions = ['.lua', '.luau'];
+const { updateAliasDiagnostics } = require('./aliasDiagnostics');
+const {
+    VALID_ALIAS_NAME,
+    normalizeAliasPath,
+    readAliasManifest,
+    writeAliasManifest,
+    getHandWrittenAliases,
+    parseLuaurc,
+    groupLuaurcAliases,
+    updateLuaurcAliases,
+    hashContent
+} = require('../utils/luaurcUtils');
+const { createRuntimeResolver } = require('../core/runtimeResolver');
+const { getRojoInstanceMap } = require('../utils/rojoUtils');
+const { setAliasResult } = require('../core/aliasResolver');
+const { getAliasIndex, invalidateAliasIndex, getBasenameMap, getIgnoredFiles, getModulePaths, toWorkspaceRelative } = require('../core/aliasIndex');
+const { getCommonConfig, getExtensionConfig, getWorkspaceFolders, getWorkspaceFolderName } = require('../utils/workspaceUtils');
 
 // Helper function to get the absolute path of a directory or file
 function getDirPath(workspaceRoot, filePath) {
     return path.join(workspaceRoot, filePath);
 }
 
-// Helper to check if any parent directories contain an init file
-function hasInitInParentDirs(filePath, rootDir, supportedExtensions) {
-    let currentDir = path.dirname(filePath);
-    while (currentDir !== rootDir) {
-        for (const ext of supportedExtensions) {
-            if (fs.existsSync(path.join(currentDir, `init${ext}`))) {
-                return true;
-            }
+// Gets the label used for a scan root in path-qualified aliases. A user alias that points at the
+// root wins (e.g. "Server" for "src/Server"), otherwise the directory name is used.
+function getRootLabel(rootPath, userAliases) {
+    for (const [alias, aliasPath] of Object.entries(userAliases)) {
+        if (typeof aliasPath === 'string' && normalizeAliasPath(aliasPath) === rootPath) {
+            return alias.replace(/^@/, '');
         }
-        currentDir = path.dirname(currentDir);
     }
-    return false;
+    return path.posix.basename(rootPath);
 }
 
-// Modify the .luaurc json into a string with blank lines separating user and extension aliases, and group extension aliases by root
-function adjustLuaurcWithSeparation(userAliases, extensionAliases, restConfig) {
-    print("Adjusting .luaurc with aliases separated");
-
-    // Group auto-generated aliases for pretty writing
-    const config = vscode.workspace.getConfiguration(extenionName);
-    const rootNames = config.get('directoriesToScan')
-    function getRoot(path) {
-        for (const root of rootNames) {
-            if (path.startsWith(root + "/") || path === root) {
-                return root;
-            }
-        }
-        return "Other";
-    }
+// Splits a module entry into the path segments a qualified alias is built from, along with the
+// directory each segment refers to. "src/Shared/Inventory/Config.luau" under root "src/Shared"
+// becomes segments ["Shared", "Inventory", "Config"] and dirs ["src/Shared", "src/Shared/Inventory", ...].
+function getModuleSegments(entry, rootLabel) {
+    const parts = path.posix.relative(entry.root, entry.path).split('/');
+    const fileName = parts.pop();
+    const moduleParts = path.parse(fileName).name === 'init' ? parts : parts.concat(path.parse(fileName).name);
 
-    // Group extension aliases
-    const grouped = {};
-    for (const root of rootNames.concat("Other")) {
-        grouped[root] = [];
-    }
-    for (const [alias, filePath] of Object.entries(extensionAliases)) {
-        const group = getRoot(filePath);
-        grouped[group].push({ alias, filePath });
-    }
-    for (const group of Object.values(grouped)) {
-        group.sort((a, b) => a.alias.localeCompare(b.alias));
-    }
+    const segments = [rootLabel, ...moduleParts];
+    const dirs = segments.map((_, i) => [entry.root, ...moduleParts.slice(0, i)].join('/'));
+    return { segments, dirs };
+}
 
-    // Compose the aliases object with user aliases first, then extension aliases grouped
-    let aliasLines = [];
-    for (const [k, v] of Object.entries(userAliases)) {
-        aliasLines.push(`        "${k}": "${v}",`);
-    }
-    if (aliasLines.length > 0 && Object.values(grouped).some(g => g.length > 0)) {
-        aliasLines.push(""); // blank line between user and extension aliases
+// Builds the shortest unique path-qualified alias ("Server/Config", "Inventory/Config") for every module
+// sharing an ambiguous basename. A require like "@Inventory/Config" only resolves if "Inventory" is itself
+// an alias, so each qualified alias comes with the directory alias (qualifier) that makes it resolvable.
+// Qualifiers never replace an existing alias that points somewhere else.
+function buildPathQualifiedAliases(ambiguousEntries, userAliases, reservedAliases) {
+    const qualifiedAliases = {};
+    const qualifierAliases = {};
+    const unresolved = [];
+
+    function isQualifierAvailable(name, dirPath) {
+        if (!VALID_ALIAS_NAME.test(name)) return false;
+        const existing = name in reservedAliases ? reservedAliases[name] : qualifierAliases[name];
+        if (existing === undefined) return true;
+        return existing !== null && normalizeAliasPath(existing) === dirPath;
     }
-    let firstGroup = true;
-    for (const root of rootNames.concat("Other")) {
-        const group = grouped[root] || [];
-        if (group.length > 0) {
-            if (!firstGroup) aliasLines.push(""); // blank line between groups
-            firstGroup = false;
-            for (const { alias, filePath } of group) {
-                aliasLines.push(`        "${alias}": "${filePath}",`);
+
+    for (const entries of Object.values(ambiguousEntries)) {
+        const group = entries.map(entry => ({ entry, ...getModuleSegments(entry, getRootLabel(entry.root, userAliases)) }));
+
+        for (const candidate of group) {
+            const { entry, segments, dirs } = candidate;
+            let qualified = null;
+
+            for (let k = 2; k <= segments.length && !qualified; k++) {
+                const suffix = segments.slice(-k).join('/');
+                const clashes = group.some(other => other !== candidate && other.segments.slice(-k).join('/') === suffix);
+                const qualifierIndex = segments.length - k;
+                if (clashes || !isQualifierAvailable(segments[qualifierIndex], dirs[qualifierIndex])) continue;
+
+                qualified = suffix;
+                if (!(segments[qualifierIndex] in reservedAliases)) {
+                    qualifierAliases[segments[qualifierIndex]] = dirs[qualifierIndex];
+                }
+            }
+
+            if (qualified) {
+                qualifiedAliases[qualified] = entry.path;
+            } else {
+                unresolved.push(entry.path);
             }
         }
     }
-    // Remove trailing comma from last alias
-    if (aliasLines.length > 0) {
-        let lastIdx = aliasLines.length - 1;
-        while (lastIdx >= 0 && aliasLines[lastIdx].trim() === "") lastIdx--;
-        if (lastIdx >= 0) aliasLines[lastIdx] = aliasLines[lastIdx].replace(/,$/, "");
+
+    return { qualifiedAliases, qualifierAliases, unresolved };
+}
+
+// Picks the module that keeps the bare alias of an ambiguous basename: the first preferred root
+// containing exactly one of the clashing modules wins. Returns null when no preferred root decides.
+function pickPreferredEntry(entries, preferredAliasRoots) {
+    for (const root of preferredAliasRoots.map(normalizeAliasPath)) {
+        const inRoot = entries.filter(entry => entry.root === root);
+        if (inRoot.length === 1) {
+            return inRoot[0];
+        }
     }
-    let rest = { ...restConfig };
-    delete rest.aliases;
-    let restStr = Object.keys(rest).length > 0 ? (",\n" + JSON.stringify(rest, null, 4).slice(1, -1)) : "";
-    return `{
-    "aliases": {
-${aliasLines.join('\n')}
-    }${restStr}
-}`;
+    return null;
 }
 
-// Helper to check if the file is located under a directory that matches any ignore pattern
-function isUnderIgnoredDir(filePath, rootDir, ignorePatterns) {
-    let currentDir = path.dirname(filePath);
-    while (currentDir !== rootDir) {
-        const dirName = path.basename(currentDir);
-        if (ignorePatterns.some(pattern => {
-            try {
-                return new RegExp(pattern).test(dirName);
-            } catch (e) {
-                // If regex is invalid, fall back to exact string matching
-                warn(`Invalid regex pattern: ${pattern}, falling back to exact match`);
-                return dirName.toLowerCase() === pattern.toLowerCase();
+// Plans the nested .luaurc files that make luau-lsp resolve ambiguous names like the runtime does.
+// Walking the scan roots top-down, a directory gets an alias wherever the module the runtime would pick
+// from it differs from the one its parent .luaurc (ultimately the workspace .luaurc) already gives.
+// Returns a map of workspace-relative .luaurc path -> { alias: path relative to that .luaurc }.
+function planNestedLuaurcFiles(resolver, names, rootAliasTargets, workspaceRoot) {
+    const plannedFiles = {};
+
+    function visit(node, inheritedTargets) {
+        const aliases = {};
+        const targets = { ...inheritedTargets };
+        // Instances that no directory is synced from, such as a DataModel service, have no .luaurc to write
+        for (const name of node.dirPath ? names : []) {
+            const target = resolver.resolveFromDirectory(node.dirPath, name);
+            if (target && target !== inheritedTargets[name]) {
+                aliases[name] = path.relative(node.dirPath, target).replace(/\\/g, '/');
+                targets[name] = target;
             }
-        })) {
-            return true;
         }
-        currentDir = path.dirname(currentDir);
+        if (Object.keys(aliases).length > 0) {
+            plannedFiles[toWorkspaceRelative(workspaceRoot, path.join(node.dirPath, '.luaurc'))] = aliases;
+        }
+        node.children.forEach(child => visit(child, targets));
     }
-    return false;
-}
 
-// Helper function to check if a file should be ignored
-function shouldIgnoreFile(fileName, ignoreList) {
-    return ignoreList.some(substring => fileName.includes(substring));
+    // Roots nested in another root are visited as its children
+    resolver.roots.filter(rootNode => !rootNode.parent).forEach(rootNode => visit(rootNode, rootAliasTargets));
+    return plannedFiles;
 }
 
+// Writes the planned nested .luaurc files and removes the ones generated before that are no longer needed.
+// Files are only overwritten or deleted while they still match the content hash recorded in the manifest,
+// so a .luaurc written or edited by hand is never touched. Returns the files now owned by the extension.
+function syncNestedLuaurcFiles(workspaceRoot, plannedFiles, previousFiles) {
+    const ownedFiles = {};
 
-// Recursive function to scan a directory and collect files by basename
-function scanDir(dir, rootDir, supportedExtensions, ignorePatterns, ignoreList, basenameMap, workspaceRoot) {
-    // If this directory or any of its parents (up to rootDir) matches any ignore pattern, skip entirely
-    let skip = false;
-    let checkDir = dir;
-    while (checkDir !== rootDir && checkDir !== path.dirname(checkDir)) {
-        const dirName = path.basename(checkDir);
-        if (ignorePatterns.some(pattern => {
-            try {
-                return new RegExp(pattern).test(dirName);
-            } catch (e) {
-                // If regex is invalid, fall back to exact string matching
-                warn(`Invalid regex pattern: ${pattern}, falling back to exact match`);
-                return dirName.toLowerCase() === pattern.toLowerCase();
-            }
-        })) {
-            skip = true;
-            break;
-        }
-        checkDir = path.dirname(checkDir);
+    function isUnmodified(filePath, relativePath) {
+        return relativePath in previousFiles && hashContent(fs.readFileSync(filePath, 'utf8')) === previousFiles[relativePath];
     }
-    if (skip) return;
-
-    const files = fs.readdirSync(dir, { withFileTypes: true });
-
-    // Check for init files in the current directory
-    let foundInit = null;
-    for (const ext of supportedExtensions) {
-        const initFilePath = path.join(dir, `init${ext}`);
-        if (fs.existsSync(initFilePath)) {
-            foundInit = initFilePath;
-            const folderName = path.basename(dir);
-            if (!isUnderIgnoredDir(initFilePath, rootDir, ignorePatterns)) {
-                if (!basenameMap[folderName]) basenameMap[folderName] = [];
-                basenameMap[folderName].push({
-                    path: initFilePath.replace(workspaceRoot + '\\', '').replace(/\\/g, '/')
-                });
-            }
+
+    for (const [relativePath, aliases] of Object.entries(plannedFiles)) {
+        const filePath = path.join(workspaceRoot, relativePath);
+        const entries = Object.entries(aliases).sort(([a], [b]) => a.localeCompare(b));
+        const content = updateLuaurcAliases('', [entries]);
+
+        if (fs.existsSync(filePath) && !isUnmodified(filePath, relativePath)) {
+            warn(`Not writing nested .luaurc, ${relativePath} was not generated by RequireOnRails or was edited by hand`);
+            continue;
+        }
+        if (!fs.existsSync(filePath) || fs.readFileSync(filePath, 'utf8') !== content) {
+            fs.writeFileSync(filePath, content);
+            print(`Wrote nested .luaurc: ${relativePath}`);
         }
+        ownedFiles[relativePath] = hashContent(content);
     }
 
-    files.forEach(file => {
-        const filePath = path.join(dir, file.name);
-        if (file.isDirectory()) {
-            scanDir(filePath, rootDir, supportedExtensions, ignorePatterns, ignoreList, basenameMap, workspaceRoot);
-        } else if (file.isFile() && supportedExtensions.includes(path.extname(file.name))) {
-            if (shouldIgnoreFile(file.name, ignoreList)) {
-                return;
-            }
-            // If this is an init file and we've already aliased the containing directory, skip aliasing "init"
-            if (foundInit && file.name.startsWith('init.')) {
-                return;
-            }
-            if (!isUnderIgnoredDir(filePath, rootDir, ignorePatterns)) {
-                const aliasKey = path.parse(file.name).name;
-                if (!basenameMap[aliasKey]) basenameMap[aliasKey] = [];
-                basenameMap[aliasKey].push({
-                    path: filePath.replace(workspaceRoot + '\\', '').replace(/\\/g, '/')
-                });
-            }
+    for (const relativePath of Object.keys(previousFiles)) {
+        const filePath = path.join(workspaceRoot, relativePath);
+        if (relativePath in ownedFiles || !fs.existsSync(filePath)) continue;
+        if (isUnmodified(filePath, relativePath)) {
+            fs.unlinkSync(filePath);
+            print(`Removed nested .luaurc: ${relativePath}`);
+        } else {
+            warn(`Leaving nested .luaurc in place, ${relativePath} was edited by hand`);
         }
-    });
-}
+    }
 
+    return ownedFiles;
+}
 
-// Main function to generate file aliases
-function generateFileAliases() {
-    const config = vscode.workspace.getConfiguration(extenionName);
-    
-    // Check if workspace folders exist
-    if (!vscode.workspace.workspaceFolders || vscode.workspace.workspaceFolders.length === 0) {
-        print('No workspace folder found. Skipping alias generation.');
+// Main function to generate file aliases. Without a folder every workspace folder is processed,
+// each as its own project with its own .luaurc and resource-scoped settings.
+// Returns the generation result for a single folder: the aliases written, the basenames that clashed
+// and, with the "PathQualified" strategy, the qualified aliases used to disambiguate them.
+// The scan roots are rescanned unless options.incremental is set, in which case the alias index kept
+// up to date by the file watchers is reused.
+function generateFileAliases(workspaceFolder, options = {}) {
+    if (!workspaceFolder) {
+        const folders = getWorkspaceFolders();
+        if (folders.length === 0) {
+            print('No workspace folder found. Skipping alias generation.');
+            return;
+        }
+        folders.forEach(folder => generateFileAliases(folder, options));
         return;
     }
-    
-    const workspaceRoot = vscode.workspace.workspaceFolders[0].uri.fsPath;
 
-    const directoriesToScan = config.get('directoriesToScan') || [];
-    const ignoreDirectories = config.get('ignoreDirectories') || [];
-    const manualAliases = config.get('manualAliases') || {};
-    const ignoreList = ['.server', '.client'];
+    if (!options.incremental) {
+        invalidateAliasIndex(workspaceFolder);
+    }
+
+    const workspaceRoot = workspaceFolder.uri.fsPath;
+    const { directoriesToScan, ignoreDirectories, manualAliases } = getCommonConfig(workspaceFolder);
+    const config = getExtensionConfig(workspaceFolder);
+    const ambiguousAliasStrategy = config.get('ambiguousAliasStrategy', 'Omit');
+    const preferredAliasRoots = config.get('preferredAliasRoots', []);
+    const generateNestedLuaurc = config.get('generateNestedLuaurc', false);
     const rootDirs = directoriesToScan
         .map(dir => getDirPath(workspaceRoot, dir))
         .filter(dir => fs.existsSync(dir) && fs.statSync(dir).isDirectory());
     const luaurcPath = getDirPath(workspaceRoot, '.luaurc');
 
-    // Read and update the .luaurc file with generated aliases
+    // Read the .luaurc file (JSONC, like luau-lsp) so only its aliases block gets rewritten
+    let luaurcContent = '';
     let luaurc = {};
     if (fs.existsSync(luaurcPath)) {
-        const rawData = fs.readFileSync(luaurcPath, 'utf8');
-        try {
-            luaurc = rawData ? JSON.parse(rawData) : {};
-        } catch (e) {
-            error("Failed to parse .luaurc as JSON:", e);
-            vscode.window.showErrorMessage("RequireOnRails: Failed to parse .luaurc as JSON. Please fix or delete the file.");
+        luaurcContent = fs.readFileSync(luaurcPath, 'utf8');
+        luaurc = parseLuaurc(luaurcContent, luaurcPath);
+        if (!luaurc) {
+            error(`Failed to parse ${luaurcPath} as JSON`);
+            vscode.window.showErrorMessage(`RequireOnRails: Failed to parse .luaurc in ${getWorkspaceFolderName(workspaceFolder)} as JSON. Please fix or delete the file.`);
             return
         }
     }
 
-    // Map of basename -> array of { path }
-    const basenameMap = {};
-    rootDirs.forEach(rootDir => {
-        print(`Scanning directory: ${rootDir}`);
-        scanDir(rootDir, rootDir, supportedExtensions, ignoreDirectories, ignoreList, basenameMap, workspaceRoot);
-    });
+    // Map of basename -> array of { path, root }, from the index kept up to date by the file watchers
+    const aliasIndex = getAliasIndex(workspaceFolder, rootDirs, ignoreDirectories);
+    const basenameMap = getBasenameMap(aliasIndex);
+    const ignoredFiles = getIgnoredFiles(aliasIndex);
 
     // console.log("Finished scanning directories. Found basenames:", Object.keys(basenameMap));
 
-    // Merge manual and auto-generated aliases, manual takes precedence
-    let compiledAliases = {};
+    // Aliases added to .luaurc by hand are preserved. The manifest tells them apart from the aliases
+    // written by the extension; without one, anything the scan or the settings could have produced counts as ours.
+    const rootNames = rootDirs.map(rootDir => toWorkspaceRelative(workspaceRoot, rootDir));
+    const manifest = readAliasManifest(workspaceRoot);
+    const handWrittenAliases = getHandWrittenAliases(luaurc.aliases, manifest, (alias, aliasPath) =>
+        alias in manualAliases || alias in basenameMap || rootNames.some(root => aliasPath.startsWith(root + '/'))
+    );
 
-    // Add manual aliases from VS Code settings (these take precedence)
-    for (const [k, v] of Object.entries(manualAliases)) {
-        compiledAliases[k] = v;
+    // Luau alias names are case-insensitive, so a hand-written alias claims its name in any casing
+    const handWrittenNames = new Map(Object.keys(handWrittenAliases).map(alias => [alias.toLowerCase(), alias]));
+    const settingsAliases = {};
+    for (const [alias, aliasPath] of Object.entries(manualAliases)) {
+        if (!handWrittenNames.has(alias.toLowerCase())) settingsAliases[alias] = aliasPath;
+    }
+    const userAliases = { ...handWrittenAliases, ...settingsAliases };
+
+    // Returns the user alias (hand-written or from manualAliases) that takes a generated name, if any
+    function getShadowingAlias(name) {
+        if (handWrittenNames.has(name.toLowerCase())) {
+            const alias = handWrittenNames.get(name.toLowerCase());
+            return { aliasPath: handWrittenAliases[alias], source: '.luaurc' };
+        }
+        if (settingsAliases[name]) {
+            return { aliasPath: settingsAliases[name], source: 'manualAliases' };
+        }
+        return null;
     }
 
     // Track which aliases are ambiguous (multiple files with same basename)
-    const ambiguousAliases = new Set();
+    const ambiguousEntries = {};
     // Track which aliases are unique (only one file with that basename)
     const uniqueAliases = {};
     for (const [basename, arr] of Object.entries(basenameMap)) {
@@ -242,32 +265,116 @@ function generateFileAliases() {
             uniqueAliases[basename] = arr[0].path;
             // console.log(`Unique alias: "${basename}" -> "${arr[0].path}"`);
         } else {
-            ambiguousAliases.add(basename);
+            ambiguousEntries[basename] = arr;
             print(`Ambiguous alias: "${basename}" found in:`, arr.map(x => x.path));
         }
     }
 
-    // Add or update unique aliases (auto-generated)
+    // A user alias pointing at the very module it takes the name of (e.g. one pinned from a quick fix) does not shadow it
+    const isPinnedTo = (shadowing, modulePath) => normalizeAliasPath(shadowing.aliasPath) === modulePath;
+
+    // Add unique aliases (auto-generated), user aliases take precedence
+    const generatedAliases = {};
+    const shadowedAliases = {};
     for (const [key, value] of Object.entries(uniqueAliases)) {
-        if (!manualAliases[key]) { // don't overwrite manual
-            compiledAliases[key] = value;
+        const shadowing = getShadowingAlias(key);
+        if (!shadowing) { // don't overwrite user aliases
+            generatedAliases[key] = value;
+        } else if (!isPinnedTo(shadowing, value)) {
+            shadowedAliases[key] = { paths: [value], ...shadowing };
         }
     }
 
-    // console.log("Current aliases after processing:", JSON.stringify(compiledAliases, null, 2));
-    luaurc.aliases = compiledAliases;
+    // Give the bare alias of an ambiguous basename to the module in the first preferred root
+    const pinnedAliases = {};
+    for (const [basename, entries] of Object.entries(ambiguousEntries)) {
+        const shadowing = getShadowingAlias(basename);
+        const pinned = shadowing && entries.find(entry => isPinnedTo(shadowing, entry.path));
+        if (pinned) {
+            pinnedAliases[basename] = { path: pinned.path, source: shadowing.source };
+            continue;
+        }
+        if (shadowing) {
+            shadowedAliases[basename] = { paths: entries.map(entry => entry.path), ...shadowing };
+            continue;
+        }
+        const preferred = pickPreferredEntry(entries, preferredAliasRoots);
+        if (preferred) {
+            generatedAliases[basename] = preferred.path;
+            print(`Ambiguous alias "${basename}" resolved to preferred root: ${preferred.path}`);
+        }
+    }
 
-    // Create a proper JSON structure ensuring aliases is always an object
-    const finalLuaurc = {
-        aliases: compiledAliases || {},
-        ...Object.fromEntries(Object.entries(luaurc).filter(([key]) => key !== 'aliases'))
-    };
+    let qualifiedAliases = {};
+    let qualifierAliases = {};
+    if (ambiguousAliasStrategy === 'PathQualified' && Object.keys(ambiguousEntries).length > 0) {
+        // Names that qualifiers must not take over: every alias already in use, and the ambiguous
+        // basenames that are left without a bare alias
+        const reservedAliases = { ...userAliases, ...generatedAliases };
+        for (const basename of Object.keys(ambiguousEntries)) {
+            if (!(basename in reservedAliases)) reservedAliases[basename] = null;
+        }
+
+        const result = buildPathQualifiedAliases(ambiguousEntries, userAliases, reservedAliases);
+        qualifiedAliases = result.qualifiedAliases;
+        qualifierAliases = result.qualifierAliases;
+        for (const [qualified, filePath] of Object.entries(qualifiedAliases)) {
+            print(`Path-qualified alias: "@${qualified}" -> "${filePath}"`);
+        }
+        if (result.unresolved.length > 0) {
+            warn('Could not build a unique path-qualified alias for:', result.unresolved);
+        }
+    }
 
-    // Write with proper JSON formatting
-    const luaurcString = JSON.stringify(finalLuaurc, null, 4);
-    fs.writeFileSync(luaurcPath, luaurcString);
+    // Merge user and auto-generated aliases, user aliases take precedence
+    const compiledAliases = { ...userAliases, ...generatedAliases, ...qualifierAliases };
+
+    // console.log("Current aliases after processing:", JSON.stringify(compiledAliases, null, 2));
+    const aliasGroups = groupLuaurcAliases(userAliases, generatedAliases, rootNames, qualifierAliases);
+    const luaurcString = updateLuaurcAliases(luaurcContent, aliasGroups);
+    if (luaurcString !== luaurcContent) {
+        fs.writeFileSync(luaurcPath, luaurcString);
+    }
+
+    // Nested .luaurc files for the ambiguous names left to the runtime's contextual resolution
+    let nestedLuaurcFiles = {};
+    if (generateNestedLuaurc) {
+        const instanceMap = getRojoInstanceMap(workspaceRoot, workspaceFolder);
+        const resolver = createRuntimeResolver(rootDirs, getModulePaths(aliasIndex), { ignoreDirectories, instanceMap });
+        const names = Object.keys(ambiguousEntries).filter(name => !shadowedAliases[name] && !pinnedAliases[name]);
+        const rootAliasTargets = {};
+        for (const name of names) {
+            if (generatedAliases[name]) rootAliasTargets[name] = path.join(workspaceRoot, generatedAliases[name]);
+        }
+        nestedLuaurcFiles = planNestedLuaurcFiles(resolver, names, rootAliasTargets, workspaceRoot);
+    }
+    const ownedNestedFiles = syncNestedLuaurcFiles(workspaceRoot, nestedLuaurcFiles, (manifest && manifest.nestedLuaurcFiles) || {});
+    writeAliasManifest(workspaceRoot, { ...settingsAliases, ...generatedAliases, ...qualifierAliases }, ownedNestedFiles);
 
     // console.log('Updated .luaurc aliases:', JSON.stringify(luaurc.aliases, null, 2));
+    const ambiguousAliases = {};
+    for (const [basename, entries] of Object.entries(ambiguousEntries)) {
+        ambiguousAliases[basename] = entries.map(entry => entry.path);
+    }
+    const result = {
+        workspaceFolder,
+        rootDirs,
+        rootNames,
+        ignoreDirectories,
+        aliases: compiledAliases,
+        userAliases,
+        generatedAliases,
+        ambiguousAliases,
+        qualifiedAliases,
+        qualifierAliases,
+        shadowedAliases,
+        pinnedAliases,
+        ignoredFiles,
+        nestedLuaurcFiles
+    };
+    setAliasResult(result);
+    updateAliasDiagnostics(result);
+    return result;
 }
 
-module.exports = { generateFileAliases };
\ No newline at end of file
+module.exports = { generateFileAliases };
@@ -2,10 +2,15 @@ const fs = require('fs');
 const path = require('path');
 const vscode = require('vscode');
 const { print, warn } = require('../core/logger');
+const { getExtensionConfig, getCommonConfig, getWorkspaceFolderForPath, readSourceFile } = require('../utils/workspaceUtils');
+const { getLineAndCharacter } = require('../utils/instancePathUtils');
 
 const requirePrefix = '@';
 const supportedExtensions = ['.lua', '.luau'];
 
+// "_Duplicate" renames being applied, whose requires were already updated along with the rename that caused them
+const collisionRenames = new Set();
+
 /**
  * Helper function to check if directory should be ignored based on regex patterns.
  * 
@@ -25,57 +30,111 @@ function shouldIgnoreDirectory(dirName, ignorePatterns) {
 }
 
 /**
- * Main function to handle require statement updates when files are renamed or moved.
- * Coordinates various sub-operations based on configuration settings.
+ * Adds the require statement updates for a file that is about to be renamed or moved to a workspace edit.
+ * Called from onWillRenameFiles, so every file is still at its old path. The edit is applied together with
+ * the rename after the refactor preview, and undoing the rename undoes the updated requires as well.
  * 
+ * @param {vscode.WorkspaceEdit} edit - Edit collecting the updates of every file in the rename
  * @param {string} newFilePath - The new file path after rename/move operation
  * @param {string} oldFilePath - The original file path before rename/move operation
+ * @returns {number} Number of require statements updated
  */
-function updateRequireNames(newFilePath, oldFilePath) {
-    // Check if workspace folders exist
-    if (!vscode.workspace.workspaceFolders || vscode.workspace.workspaceFolders.length === 0) {
-        print('No workspace folder found. Skipping require name updates.');
-        return;
+function addRequireUpdateEdits(edit, newFilePath, oldFilePath) {
+    if (collisionRenames.has(`${oldFilePath}\n${newFilePath}`)) {
+        return 0;
+    }
+
+    // Requires are only updated within the workspace folder that owns the file
+    const workspaceFolder = getWorkspaceFolderForPath(newFilePath);
+    if (!workspaceFolder) {
+        print('File is not inside a workspace folder. Skipping require name updates.');
+        return 0;
     }
     
-    const workspaceRoot = vscode.workspace.workspaceFolders[0].uri.fsPath;
-    const config = vscode.workspace.getConfiguration('require-on-rails');
+    const workspaceRoot = workspaceFolder.uri.fsPath;
+    const config = getExtensionConfig(workspaceFolder);
 
     // Determine operation type and file info
     const operationInfo = analyzeFileOperation(newFilePath, oldFilePath);
-    if (!operationInfo) return;
+    if (!operationInfo) return 0;
 
-    let { operationType, isMove, isRename, oldFileBasename, newFileBasename } = operationInfo;
+    const { operationType, isMove, oldFileBasename } = operationInfo;
+    let { newFileBasename } = operationInfo;
+    let updatedCount = 0;
 
-    // Handle cases where basename didn't change
     if (oldFileBasename === newFileBasename) {
-        print(`File was ${operationType} but basename unchanged, no require updates needed`);
-        
-        if (isMove && config.get('enableAbsolutePathUpdates', true)) {
-            handleAbsolutePathUpdates(newFilePath, oldFilePath, workspaceRoot);
+        print(`File was ${operationType} but basename unchanged, no basename require updates needed`);
+    } else {
+        // A colliding file gets the "_Duplicate" suffix once it is renamed, so its requires use that name
+        if (config.get('enableFileNameCollisionResolution', true) &&
+            hasFilenameCollision(newFilePath, newFileBasename, workspaceRoot, oldFilePath)) {
+            newFileBasename = `${newFileBasename}_Duplicate`;
+            newFilePath = path.join(path.dirname(newFilePath), newFileBasename + path.extname(newFilePath));
+        }
+
+        if (config.get('enableBasenameUpdates', true)) {
+            updatedCount += addRequireReplacements(
+                edit,
+                workspaceRoot,
+                `${requirePrefix}${oldFileBasename}`,
+                `${requirePrefix}${newFileBasename}`,
+                `Update require statements from ${requirePrefix}${oldFileBasename} to ${requirePrefix}${newFileBasename}`
+            );
         }
-        return;
     }
 
-    // Handle filename collision detection and resolution
-    if (config.get('enableFileNameCollisionResolution', true)) {
-        const collisionResult = handleFilenameCollision(newFilePath, newFileBasename, workspaceRoot);
-        if (collisionResult.renamed) {
-            newFilePath = collisionResult.newFilePath;
-            newFileBasename = collisionResult.newFileBasename;
+    if (isMove && config.get('enableAbsolutePathUpdates', true)) {
+        const { oldAbsolutePath, newAbsolutePath } = getAbsoluteRequirePaths(newFilePath, oldFilePath, workspaceRoot);
+        if (oldAbsolutePath && newAbsolutePath && oldAbsolutePath !== newAbsolutePath) {
+            updatedCount += addRequireReplacements(
+                edit,
+                workspaceRoot,
+                oldAbsolutePath,
+                newAbsolutePath,
+                `Update absolute require paths from "${oldAbsolutePath}" to "${newAbsolutePath}"`
+            );
         }
     }
 
-    // Handle basename require updates
-    if (config.get('enableBasenameUpdates', true)) {
-        handleBasenameRequireUpdates(operationType, oldFileBasename, newFileBasename, workspaceRoot, () => {
-            // Callback after basename updates
-            if (isMove && config.get('enableAbsolutePathUpdates', true)) {
-                handleAbsolutePathUpdates(newFilePath, oldFilePath, workspaceRoot);
+    return updatedCount;
+}
+
+/**
+ * Resolves a filename collision after a file was renamed or moved, by renaming it
+ * with a "_Duplicate" suffix through a workspace edit, so it can be undone like the rename itself.
+ * The requires of the file were already updated to that name by addRequireUpdateEdits before the rename.
+ * 
+ * @param {string} newFilePath - The new file path after rename/move operation
+ * @param {string} oldFilePath - The original file path before rename/move operation
+ * @returns {Promise<void>}
+ */
+async function resolveFilenameCollision(newFilePath, oldFilePath) {
+    const workspaceFolder = getWorkspaceFolderForPath(newFilePath);
+    if (!workspaceFolder) return;
+
+    const workspaceRoot = workspaceFolder.uri.fsPath;
+    const operationInfo = analyzeFileOperation(newFilePath, oldFilePath);
+    if (!operationInfo || operationInfo.oldFileBasename === operationInfo.newFileBasename) return;
+
+    const { newFileBasename } = operationInfo;
+    if (getExtensionConfig(workspaceFolder).get('enableFileNameCollisionResolution', true) &&
+        hasFilenameCollision(newFilePath, newFileBasename, workspaceRoot)) {
+        const renamedFileBasename = `${newFileBasename}_Duplicate`;
+        const renamedFilePath = path.join(path.dirname(newFilePath), renamedFileBasename + path.extname(newFilePath));
+        const edit = new vscode.WorkspaceEdit();
+        edit.renameFile(vscode.Uri.file(newFilePath), vscode.Uri.file(renamedFilePath));
+
+        const key = `${newFilePath}\n${renamedFilePath}`;
+        collisionRenames.add(key);
+        try {
+            if (!await vscode.workspace.applyEdit(edit)) {
+                warn(`Could not rename ${newFilePath} to ${renamedFileBasename}`);
+                return;
             }
-        });
-    } else if (isMove && config.get('enableAbsolutePathUpdates', true)) {
-        handleAbsolutePathUpdates(newFilePath, oldFilePath, workspaceRoot);
+        } finally {
+            collisionRenames.delete(key);
+        }
+        vscode.window.showWarningMessage(`Filename collision detected. Renaming to ${renamedFileBasename}`);
     }
 }
 
@@ -119,22 +178,16 @@ function analyzeFileOperation(newFilePath, oldFilePath) {
 }
 
 /**
- * Handles filename collision detection and resolution.
- * Checks if the new filename conflicts with existing files or directories
- * and automatically renames with "_Duplicate" suffix if collision detected.
+ * Checks if a new filename conflicts with an existing module file or init folder in the scan roots.
  * 
  * @param {string} newFilePath - The new file path to check for collisions
  * @param {string} newFileBasename - The basename of the new file
  * @param {string} workspaceRoot - Root directory of the workspace
- * @returns {Object} Result object with properties:
- *   - renamed: boolean indicating if file was renamed due to collision
- *   - newFilePath: updated file path (may be changed if collision)
- *   - newFileBasename: updated basename (may be changed if collision)
+ * @param {string} [oldFilePath] - Path the file is still at, while it is being renamed
+ * @returns {boolean} True if another module already uses the basename
  */
-function handleFilenameCollision(newFilePath, newFileBasename, workspaceRoot) {
-    const config = vscode.workspace.getConfiguration('require-on-rails');
-    const directoriesToScan = config.get('directoriesToScan');
-    const ignoreDirectories = config.get('ignoreDirectories');
+function hasFilenameCollision(newFilePath, newFileBasename, workspaceRoot, oldFilePath) {
+    const { directoriesToScan, ignoreDirectories } = getCommonConfig(workspaceRoot);
     
     const scanRoots = directoriesToScan.map(dir => path.join(workspaceRoot, dir));
 
@@ -143,7 +196,7 @@ function handleFilenameCollision(newFilePath, newFileBasename, workspaceRoot) {
         const files = fs.readdirSync(dir);
         for (const file of files) {
             const fullPath = path.join(dir, file);
-            if (fullPath === newFilePath) continue;
+            if (fullPath === newFilePath || fullPath === oldFilePath) continue;
             if (fs.statSync(fullPath).isDirectory()) {
                 if (path.basename(fullPath) === newFileBasename) {
                     for (const ext of supportedExtensions) {
@@ -165,87 +218,49 @@ function handleFilenameCollision(newFilePath, newFileBasename, workspaceRoot) {
     }
 
     // Check all scan roots for collision
-    let collisionDetected = false;
-    for (const root of scanRoots) {
-        if (fs.existsSync(root) && fs.statSync(root).isDirectory()) {
-            if (checkForCollision(root)) {
-                collisionDetected = true;
-                break;
-            }
-        }
-    }
-
-    if (collisionDetected) {
-        const renamedFileBasename = `${newFileBasename}_Duplicate`;
-        const renamedFilePath = newFilePath.replace(newFileBasename, renamedFileBasename);
-        fs.renameSync(newFilePath, renamedFilePath);
-        vscode.window.showWarningMessage(`Filename collision detected. Renaming to ${renamedFileBasename}`);
-        return { renamed: true, newFilePath: renamedFilePath, newFileBasename: renamedFileBasename };
-    }
-
-    return { renamed: false, newFilePath, newFileBasename };
+    return scanRoots.some(root => fs.existsSync(root) && fs.statSync(root).isDirectory() && checkForCollision(root));
 }
 
 /**
- * Handles the user prompt and coordination for updating basename require statements.
- * Prompts user for confirmation before proceeding with require updates.
+ * Adds the replacements of a require path in every file of the scan roots to a workspace edit.
+ * Open documents are read from their editor buffer, so unsaved changes are kept.
  * 
- * @param {string} operationType - Type of operation ('renamed', 'moved', etc.)
- * @param {string} oldFileBasename - Original file basename
- * @param {string} newFileBasename - New file basename
+ * @param {vscode.WorkspaceEdit} edit - Edit to add the replacements to
  * @param {string} workspaceRoot - Root directory of the workspace
- * @param {Function} onComplete - Callback function to execute after completion
+ * @param {string} oldRequirePath - Require path to find (e.g., "@myFile" or "@Server/Systems/myFile")
+ * @param {string} newRequirePath - Require path to replace it with
+ * @param {string} label - Label of the change in the refactor preview
+ * @returns {number} Number of require statements replaced
  */
-function handleBasenameRequireUpdates(operationType, oldFileBasename, newFileBasename, workspaceRoot, onComplete) {
-    vscode.window.showInformationMessage(
-        `File was ${operationType}. Update require statements from ${requirePrefix}${oldFileBasename} to ${requirePrefix}${newFileBasename}?`,
-        'Yes', 'No'
-    ).then(selection => {
-        if (selection !== 'Yes') {
-            vscode.window.showInformationMessage('Require update cancelled.');
-            if (onComplete) onComplete();
-            return;
-        }
-
-        updateBasenameRequiresInFiles(oldFileBasename, newFileBasename, workspaceRoot);
-        if (onComplete) onComplete();
-    });
-}
-
-/**
- * Performs the actual updating of basename require statements across all files.
- * Scans all configured directories and updates require statements from old to new basename.
- * 
- * @param {string} oldFileBasename - Original file basename to find in require statements
- * @param {string} newFileBasename - New file basename to replace with
- * @param {string} workspaceRoot - Root directory of the workspace
- */
-function updateBasenameRequiresInFiles(oldFileBasename, newFileBasename, workspaceRoot) {
-    const config = vscode.workspace.getConfiguration('require-on-rails');
-    const directoriesToScan = config.get('directoriesToScan');
-    const ignoreDirectories = config.get('ignoreDirectories');
-    
-    const scanRoots = directoriesToScan.map(dir => path.join(workspaceRoot, dir));
+function addRequireReplacements(edit, workspaceRoot, oldRequirePath, newRequirePath, label) {
+    const { directoriesToScan, ignoreDirectories } = getCommonConfig(workspaceRoot);
+    const escapedOldPath = oldRequirePath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`require\\((["'])${escapedOldPath}\\1\\)`, 'g');
+    // Every change needs confirmation so the whole update opens in the refactor preview
+    const metadata = { label, needsConfirmation: true };
+    let replacedCount = 0;
 
     /**
-     * Updates require statements in a single file.
+     * Adds the replacements of a single file.
      * 
      * @param {string} filePath - Path to file to update
      */
     function updateRequiresInFile(filePath) {
-        const fileContent = fs.readFileSync(filePath, 'utf-8');
-        const updatedContent = fileContent
-            .replace(
-                new RegExp(`require\\("${requirePrefix}${oldFileBasename}"\\)`, 'g'),
-                `require('${requirePrefix}${newFileBasename}')`
-            )
-            .replace(
-                new RegExp(`require\\('${requirePrefix}${oldFileBasename}'\\)`, 'g'),
-                `require('${requirePrefix}${newFileBasename}')`
-            );
-        if (updatedContent === fileContent) return;
-        fs.writeFileSync(filePath, updatedContent, 'utf-8');
-        vscode.window.showInformationMessage(`Updated require statements in: ${filePath.replace(workspaceRoot + '/', '')}`);
+        const fileContent = readSourceFile(filePath);
+        const uri = vscode.Uri.file(filePath);
+        let fileCount = 0;
+        for (const match of fileContent.matchAll(pattern)) {
+            // Only the path inside the quotes is replaced, keeping the quote style
+            const start = match.index + 'require('.length + 1;
+            const { line: startLine, character: startCharacter } = getLineAndCharacter(fileContent, start);
+            const { line: endLine, character: endCharacter } = getLineAndCharacter(fileContent, start + oldRequirePath.length);
+            edit.replace(uri, new vscode.Range(startLine, startCharacter, endLine, endCharacter), newRequirePath, metadata);
+            fileCount++;
+        }
+        if (fileCount > 0) {
+            replacedCount += fileCount;
+            print(`Updating ${fileCount} require statement(s) in: ${path.relative(workspaceRoot, filePath).replace(/\\/g, '/')}`);
+        }
     }
 
     /**
@@ -266,27 +281,28 @@ function updateBasenameRequiresInFiles(oldFileBasename, newFileBasename, workspa
         }
     }
 
+    const scanRoots = directoriesToScan.map(dir => path.join(workspaceRoot, dir));
     for (const root of scanRoots) {
         if (fs.existsSync(root) && fs.statSync(root).isDirectory()) {
             processDirectory(root);
         }
     }
+    return replacedCount;
 }
 
 /**
- * Handles absolute path require updates when files are moved between different alias paths.
- * Analyzes old and new file paths to determine if they map to different absolute aliases
- * and prompts user to update absolute require paths accordingly.
+ * Works out the absolute require paths of a file before and after it is moved, from the
+ * manual aliases whose directory contains the old and the new path.
  * 
  * @param {string} newFilePath - New file path after move
  * @param {string} oldFilePath - Original file path before move
  * @param {string} workspaceRoot - Root directory of the workspace
+ * @returns {{oldAbsolutePath: string|null, newAbsolutePath: string|null}} Absolute require paths
+ *   (e.g., "@Server/Systems/myFile" and "@Shared/myFile"), null where no alias contains the path
  */
-function handleAbsolutePathUpdates(newFilePath, oldFilePath, workspaceRoot) {
-    const config = vscode.workspace.getConfiguration('require-on-rails');
-    
-    // Read manual aliases from VS Code settings
-    const manualAliases = config.get('manualAliases', {});
+function getAbsoluteRequirePaths(newFilePath, oldFilePath, workspaceRoot) {
+    // Read manual aliases from VS Code settings (or the Rojo project in Rojo mode)
+    const { manualAliases } = getCommonConfig(workspaceRoot);
 
     // Extract relative paths from workspace root
     const oldRelative = path.relative(workspaceRoot, oldFilePath).replace(/\\/g, '/');
@@ -318,79 +334,7 @@ function handleAbsolutePathUpdates(newFilePath, oldFilePath, workspaceRoot) {
         }
     }
 
-    // If we found both old and new absolute paths and they're different, prompt for update
-    if (oldAbsolutePath && newAbsolutePath && oldAbsolutePath !== newAbsolutePath) {
-        vscode.window.showInformationMessage(
-            `Update absolute require paths from "${oldAbsolutePath}" to "${newAbsolutePath}"?`,
-            'Yes', 'No'
-        ).then(selection => {
-            if (selection === 'Yes') {
-                updateAbsoluteRequireInFiles(oldAbsolutePath, newAbsolutePath, workspaceRoot);
-            }
-        });
-    }
-}
-
-/**
- * Performs the actual updating of absolute require paths across all files.
- * Scans all configured directories and replaces absolute require paths.
- * 
- * @param {string} oldAbsolutePath - Old absolute path to find (e.g., "@Server/Systems/myFile")
- * @param {string} newAbsolutePath - New absolute path to replace with (e.g., "@Shared/myFile")
- * @param {string} workspaceRoot - Root directory of the workspace
- */
-function updateAbsoluteRequireInFiles(oldAbsolutePath, newAbsolutePath, workspaceRoot) {
-    const config = vscode.workspace.getConfiguration('require-on-rails');
-    const directoriesToScan = config.get('directoriesToScan');
-    const ignoreDirectories = config.get('ignoreDirectories');
-    
-    /**
-     * Updates absolute require statements in a single file.
-     * 
-     * @param {string} filePath - Path to file to update
-     */
-    function updateAbsoluteRequiresInFile(filePath) {
-        const fileContent = fs.readFileSync(filePath, 'utf-8');
-        const escapedOldPath = oldAbsolutePath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        const updatedContent = fileContent
-            .replace(
-                new RegExp(`require\\("${escapedOldPath}"\\)`, 'g'),
-                `require("${newAbsolutePath}")`
-            )
-            .replace(
-                new RegExp(`require\\('${escapedOldPath}'\\)`, 'g'),
-                `require('${newAbsolutePath}')`
-            );
-        if (updatedContent === fileContent) return;
-        fs.writeFileSync(filePath, updatedContent, 'utf-8');
-        vscode.window.showInformationMessage(`Updated absolute require paths in: ${filePath.replace(workspaceRoot + '/', '')}`);
-    }
-
-    /**
-     * Recursively processes a directory and all its subdirectories for absolute path updates.
-     * 
-     * @param {string} directory - Directory path to process
-     */
-    function processDirectory(directory) {
-        const files = fs.readdirSync(directory);
-        for (const file of files) {
-            const fullPath = path.join(directory, file);
-            if (fs.statSync(fullPath).isDirectory()) {
-                if (shouldIgnoreDirectory(path.basename(fullPath), ignoreDirectories)) return;
-                processDirectory(fullPath);
-            } else if (supportedExtensions.includes(path.extname(file))) {
-                updateAbsoluteRequiresInFile(fullPath);
-            }
-        }
-    }
-
-    // Scan all roots
-    const scanRoots = directoriesToScan.map(dir => path.join(workspaceRoot, dir));
-    for (const root of scanRoots) {
-        if (fs.existsSync(root) && fs.statSync(root).isDirectory()) {
-            processDirectory(root);
-        }
-    }
+    return { oldAbsolutePath, newAbsolutePath };
 }
 
-module.exports = { updateRequireNames, analyzeFileOperation };
\ No newline at end of file
+module.exports = { addRequireUpdateEdits, resolveFilenameCollision, analyzeFileOperation };
@@ -0,0 +1,196 @@
+/**
+ * Utilities for Roblox instance-path requires such as require(script.Parent.Foo) or
+ * require(ReplicatedStorage:WaitForChild("Shared").Bar), which address modules by their
+ * place in the DataModel rather than by an alias string
+ */
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*/;
+const STRING_LITERAL = /^(["'])((?:\\.|(?!\1)[^\\\r\n])*)\1/;
+
+// Methods that step to a child by name; anything after the name (e.g. a WaitForChild timeout) is ignored
+const CHILD_METHODS = ['WaitForChild', 'FindFirstChild', 'GetService'];
+
+// Finds the offset of the parenthesis closing the one at openIndex, skipping over string literals
+function findClosingParen(content, openIndex) {
+    let depth = 0;
+    for (let i = openIndex; i < content.length; i++) {
+        const char = content[i];
+        if (char === '"' || char === "'") {
+            const match = content.slice(i).match(STRING_LITERAL);
+            if (!match) return -1;
+            i += match[0].length - 1;
+        } else if (char === '(') {
+            depth++;
+        } else if (char === ')') {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Converts an offset in text to its zero-based line and character
+ * @param {string} content - Text
+ * @param {number} offset - Offset into the text
+ * @returns {{line: number, character: number}} - Line and character of the offset
+ */
+function getLineAndCharacter(content, offset) {
+    const before = content.slice(0, offset);
+    const lineStart = before.lastIndexOf('\n') + 1;
+    return { line: before.split('\n').length - 1, character: offset - lineStart };
+}
+
+/**
+ * Finds the require calls in Luau source. Calls in line comments are skipped.
+ * @param {string} content - Luau source
+ * @returns {{start: number, end: number, argStart: number, argEnd: number, argument: string, isImportDefinition: boolean}[]} - Offsets
+ * of each call and of its trimmed argument; isImportDefinition marks the `require(...)(script)` import line
+ */
+function findRequireCalls(content) {
+    const calls = [];
+    const pattern = /\brequire\s*\(/g;
+    let match;
+    while ((match = pattern.exec(content)) !== null) {
+        const lineStart = content.lastIndexOf('\n', match.index) + 1;
+        if (content.slice(lineStart, match.index).includes('--')) continue;
+
+        const openIndex = match.index + match[0].length - 1;
+        const closeIndex = findClosingParen(content, openIndex);
+        if (closeIndex === -1) continue;
+
+        const rawArgument = content.slice(openIndex + 1, closeIndex);
+        const argStart = openIndex + 1 + (rawArgument.length - rawArgument.trimStart().length);
+        const argument = rawArgument.trim();
+        calls.push({
+            start: match.index,
+            end: closeIndex + 1,
+            argStart,
+            argEnd: argStart + argument.length,
+            argument,
+            isImportDefinition: /^\s*\(/.test(content.slice(closeIndex + 1))
+        });
+        pattern.lastIndex = closeIndex + 1;
+    }
+    return calls;
+}
+
+/**
+ * Finds locals holding a Roblox service, e.g. `local ReplicatedStorage = game:GetService("ReplicatedStorage")`
+ * @param {string} content - Luau source
+ * @returns {object} - Map of variable name -> service name
+ */
+function findServiceVariables(content) {
+    const services = {};
+    const pattern = /\blocal\s+([A-Za-z_][A-Za-z0-9_]*)\s*(?::\s*[A-Za-z_][A-Za-z0-9_.]*\s*)?=\s*game\s*:\s*GetService\s*\(\s*(["'])([^"'\r\n]+)\2\s*\)/g;
+    let match;
+    while ((match = pattern.exec(content)) !== null) {
+        services[match[1]] = match[3];
+    }
+    return services;
+}
+
+/**
+ * Parses an instance path expression into its base and steps
+ * @param {string} expression - Expression such as `script.Parent:WaitForChild("Foo")["Bar"]`
+ * @param {object} [serviceVariables] - Service locals of the file, see findServiceVariables
+ * @returns {{base: string, baseSegments: string[]|null, steps: Array<{parent: true}|{name: string}>}|null} - The base identifier
+ * ('script' has no fixed segments), or null if the expression is not a plain instance path
+ */
+function parseInstancePath(expression, serviceVariables = {}) {
+    let rest = expression.trim();
+    const baseMatch = rest.match(IDENTIFIER);
+    if (!baseMatch) {
+        return null;
+    }
+    const base = baseMatch[0];
+    let baseSegments;
+    if (base === 'script') {
+        baseSegments = null;
+    } else if (base === 'game') {
+        baseSegments = [];
+    } else if (base === 'workspace') {
+        baseSegments = ['Workspace'];
+    } else if (serviceVariables[base]) {
+        baseSegments = [serviceVariables[base]];
+    } else {
+        return null;
+    }
+    rest = rest.slice(base.length);
+
+    const steps = [];
+    while ((rest = rest.trimStart()).length > 0) {
+        let match;
+        if ((match = rest.match(/^\.\s*([A-Za-z_][A-Za-z0-9_]*)/))) {
+            steps.push(match[1] === 'Parent' ? { parent: true } : { name: match[1] });
+        } else if ((match = rest.match(/^\[\s*(["'])((?:\\.|(?!\1)[^\\\r\n])*)\1\s*\]/))) {
+            steps.push({ name: match[2] });
+        } else if ((match = rest.match(/^:\s*([A-Za-z_][A-Za-z0-9_]*)\s*\(\s*(["'])((?:\\.|(?!\2)[^\\\r\n])*)\2\s*(?:,[^()]*)?\)/)) && CHILD_METHODS.includes(match[1])) {
+            steps.push({ name: match[3] });
+        } else {
+            return null;
+        }
+        rest = rest.slice(match[0].length);
+    }
+    return { base, baseSegments, steps };
+}
+
+/**
+ * Resolves a parsed instance path to the instance names below game
+ * @param {{baseSegments: string[]|null, steps: Array}} instancePath - Result of parseInstancePath
+ * @param {string[]|null} scriptSegments - Instance names of the requiring script, needed for `script` paths
+ * @returns {string[]|null} - Instance names, or null if the path leaves the DataModel
+ */
+function resolveInstanceSegments(instancePath, scriptSegments) {
+    const base = instancePath.baseSegments || scriptSegments;
+    if (!base) {
+        return null;
+    }
+    const segments = [...base];
+    for (const step of instancePath.steps) {
+        if (step.parent) {
+            if (segments.length === 0) return null;
+            segments.pop();
+        } else {
+            segments.push(step.name);
+        }
+    }
+    return segments;
+}
+
+// Formats one step to a child, falling back to an indexed string for names that are not identifiers
+function formatChildStep(name) {
+    return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) && name !== 'Parent' ? `.${name}` : `[${JSON.stringify(name)}]`;
+}
+
+/**
+ * Formats the expression a script uses to reach an instance. Instances in the script's own service
+ * are reached relative to `script`, others through `game:GetService`.
+ * @param {string[]} targetSegments - Instance names of the target below game
+ * @param {string[]|null} scriptSegments - Instance names of the requiring script
+ * @returns {string|null} - Expression such as `script.Parent.Foo`, or null for an empty target
+ */
+function formatInstancePath(targetSegments, scriptSegments) {
+    if (targetSegments.length === 0) {
+        return null;
+    }
+    if (scriptSegments && scriptSegments.length > 0 && scriptSegments[0] === targetSegments[0]) {
+        let common = 0;
+        while (common < scriptSegments.length && common < targetSegments.length && scriptSegments[common] === targetSegments[common]) {
+            common++;
+        }
+        return 'script' +
+            '.Parent'.repeat(scriptSegments.length - common) +
+            targetSegments.slice(common).map(formatChildStep).join('');
+    }
+    return `game:GetService(${JSON.stringify(targetSegments[0])})` + targetSegments.slice(1).map(formatChildStep).join('');
+}
+
+module.exports = {
+    getLineAndCharacter,
+    findRequireCalls,
+    findServiceVariables,
+    parseInstancePath,
+    resolveInstanceSegments,
+    formatInstancePath
+};
@@ -0,0 +1,169 @@
+const { print, warn } = require('../core/logger');
+
+/**
+ * JSON utilities with JSONC support (comments and trailing commas), as used by
+ * .luaurc, VS Code settings and template files
+ */
+
+/**
+ * Blanks out comments and trailing commas in JSONC content. Removed characters are replaced
+ * with spaces (line breaks are kept), so offsets in the result match the original content.
+ * String literals are left untouched, so values like URLs containing // survive.
+ * @param {string} content - JSON content that may contain comments
+ * @returns {string} - JSON content with comments removed
+ */
+function stripJsonComments(content) {
+    const chars = content.split('');
+    const blank = (from, to) => {
+        for (let i = from; i < to; i++) {
+            if (chars[i] !== '\n' && chars[i] !== '\r') chars[i] = ' ';
+        }
+    };
+
+    let lastCommaIndex = -1;
+    let i = 0;
+    while (i < content.length) {
+        const char = content[i];
+        if (char === '"') {
+            // Skip over the string literal, honouring escapes
+            i++;
+            while (i < content.length && content[i] !== '"') {
+                i += content[i] === '\\' ? 2 : 1;
+            }
+            i++;
+            lastCommaIndex = -1;
+        } else if (char === '/' && content[i + 1] === '/') {
+            const end = content.indexOf('\n', i);
+            const commentEnd = end === -1 ? content.length : end;
+            blank(i, commentEnd);
+            i = commentEnd;
+        } else if (char === '/' && content[i + 1] === '*') {
+            const end = content.indexOf('*/', i + 2);
+            const commentEnd = end === -1 ? content.length : end + 2;
+            blank(i, commentEnd);
+            i = commentEnd;
+        } else if (char === ',') {
+            lastCommaIndex = i;
+            i++;
+        } else if (char === '}' || char === ']') {
+            // A comma followed only by whitespace/comments before a closing bracket is a trailing comma
+            if (lastCommaIndex !== -1) blank(lastCommaIndex, lastCommaIndex + 1);
+            lastCommaIndex = -1;
+            i++;
+        } else {
+            if (!/\s/.test(char)) lastCommaIndex = -1;
+            i++;
+        }
+    }
+    return chars.join('');
+}
+
+/**
+ * Attempts to parse JSON content with JSONC support (JSON with comments)
+ *
+ * @param {string} content - JSON/JSONC content to parse
+ * @param {string} filePath - File path for error reporting
+ * @returns {object|null} - Parsed JSON object or null if parsing failed
+ */
+function parseJsonWithComments(content, filePath) {
+    try {
+        // First try parsing as regular JSON
+        return JSON.parse(content);
+    } catch (error) {
+        print(`[DEBUG] Regular JSON parse failed for ${filePath}, trying JSONC parsing`);
+
+        try {
+            // Strip comments and try parsing again
+            const strippedContent = stripJsonComments(content);
+            return JSON.parse(strippedContent);
+        } catch (jsoncError) {
+            warn(`[DEBUG] JSONC parse also failed for ${filePath}:`, jsoncError.message);
+            return null;
+        }
+    }
+}
+
+/**
+ * Finds the end offset of the JSON value starting at an offset
+ * @param {string} content - Content with comments already stripped
+ * @param {number} start - Offset of the first character of the value
+ * @returns {number} - Offset just after the value
+ */
+function findValueEnd(content, start) {
+    let depth = 0;
+    let i = start;
+    while (i < content.length) {
+        const char = content[i];
+        if (char === '"') {
+            i++;
+            while (i < content.length && content[i] !== '"') {
+                i += content[i] === '\\' ? 2 : 1;
+            }
+            if (depth === 0) return i + 1;
+        } else if (char === '{' || char === '[') {
+            depth++;
+        } else if (char === '}' || char === ']') {
+            depth--;
+            if (depth === 0) return i + 1;
+            if (depth < 0) return i;
+        } else if (depth === 0 && (char === ',' || /\s/.test(char))) {
+            return i;
+        }
+        i++;
+    }
+    return i;
+}
+
+/**
+ * Locates a property of the top-level object in JSON/JSONC content
+ * @param {string} content - JSON/JSONC content
+ * @param {string} key - Property name
+ * @returns {{keyStart: number, valueStart: number, valueEnd: number}|null} - Offsets of the property, or null if it is not present
+ */
+function findTopLevelProperty(content, key) {
+    const stripped = stripJsonComments(content);
+    let depth = 0;
+    let i = 0;
+    while (i < stripped.length) {
+        const char = stripped[i];
+        if (char === '"') {
+            const keyStart = i;
+            i++;
+            while (i < stripped.length && stripped[i] !== '"') {
+                i += stripped[i] === '\\' ? 2 : 1;
+            }
+            i++;
+            if (depth !== 1) continue;
+
+            // Only a string followed by ':' is a property name
+            let j = i;
+            while (j < stripped.length && /\s/.test(stripped[j])) j++;
+            if (stripped[j] !== ':') continue;
+
+            let valueStart = j + 1;
+            while (valueStart < stripped.length && /\s/.test(stripped[valueStart])) valueStart++;
+            const valueEnd = findValueEnd(stripped, valueStart);
+            let name;
+            try {
+                name = JSON.parse(stripped.slice(keyStart, i));
+            } catch (e) {
+                name = null;
+            }
+            if (name === key) {
+                return { keyStart, valueStart, valueEnd };
+            }
+            i = valueEnd;
+        } else {
+            if (char === '{' || char === '[') depth++;
+            if (char === '}' || char === ']') depth--;
+            i++;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    stripJsonComments,
+    parseJsonWithComments,
+    findTopLevelProperty
+};
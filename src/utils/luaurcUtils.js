@@ -0,0 +1,232 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const { print, warn, error } = require('../core/logger');
+const { stripJsonComments, parseJsonWithComments, findTopLevelProperty } = require('./jsonUtils');
+
+/**
+ * Utilities for the .luaurc file and the sidecar manifest that records which
+ * of its aliases were written by RequireOnRails
+ */
+
+const LUAURC_FILE_NAME = '.luaurc';
+const MANIFEST_FILE_NAME = '.requireonrails.json';
+const MANIFEST_VERSION = 1;
+
+// Alias names must be usable as the first segment of a require path ("@Name/...")
+const VALID_ALIAS_NAME = /^[A-Za-z0-9_.-]+$/;
+
+// Normalizes an alias path so values written by different tools compare equal ("./src/Server/" -> "src/Server")
+function normalizeAliasPath(aliasPath) {
+    return String(aliasPath).replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '');
+}
+
+/**
+ * Read the alias manifest of a workspace folder
+ * @param {string} workspaceRoot - Root directory of the workspace folder
+ * @returns {{generatedAliases: object}|null} - Aliases last written by the extension, or null if there is no usable manifest
+ */
+function readAliasManifest(workspaceRoot) {
+    const manifestPath = path.join(workspaceRoot, MANIFEST_FILE_NAME);
+    if (!fs.existsSync(manifestPath)) {
+        return null;
+    }
+    try {
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        if (!manifest || typeof manifest.generatedAliases !== 'object') {
+            warn(`Ignoring malformed alias manifest: ${manifestPath}`);
+            return null;
+        }
+        return manifest;
+    } catch (err) {
+        warn(`Failed to parse alias manifest ${manifestPath}:`, err.message);
+        return null;
+    }
+}
+
+// Copies an object with its keys sorted, so the manifest is written in a stable order
+function sortKeys(object) {
+    const sorted = {};
+    for (const key of Object.keys(object).sort((a, b) => a.localeCompare(b))) {
+        sorted[key] = object[key];
+    }
+    return sorted;
+}
+
+/**
+ * Write the alias manifest of a workspace folder
+ * @param {string} workspaceRoot - Root directory of the workspace folder
+ * @param {object} generatedAliases - Aliases written to .luaurc by the extension
+ * @param {object} [nestedLuaurcFiles] - Nested .luaurc files written by the extension, workspace-relative path -> content hash
+ * @returns {boolean} - Success status
+ */
+function writeAliasManifest(workspaceRoot, generatedAliases, nestedLuaurcFiles = {}) {
+    const manifestPath = path.join(workspaceRoot, MANIFEST_FILE_NAME);
+    const manifest = {
+        version: MANIFEST_VERSION,
+        description: 'Aliases in .luaurc and nested .luaurc files generated by RequireOnRails. Any other alias or file is left untouched.',
+        generatedAliases: sortKeys(generatedAliases)
+    };
+    if (Object.keys(nestedLuaurcFiles).length > 0) {
+        manifest.nestedLuaurcFiles = sortKeys(nestedLuaurcFiles);
+    }
+    const manifestString = JSON.stringify(manifest, null, 4) + '\n';
+    try {
+        // Leave the file alone when nothing changed to avoid needless file events and diffs
+        if (fs.existsSync(manifestPath) && fs.readFileSync(manifestPath, 'utf8') === manifestString) {
+            return true;
+        }
+        fs.writeFileSync(manifestPath, manifestString, 'utf8');
+        return true;
+    } catch (err) {
+        error(`Failed to write alias manifest ${manifestPath}:`, err.message);
+        return false;
+    }
+}
+
+/**
+ * Picks the aliases of an existing .luaurc that were not written by the extension.
+ * With a manifest an alias belongs to the extension only if the manifest recorded it with the same value,
+ * so aliases edited by hand afterwards are kept. Without a manifest (first run) isLikelyGenerated decides.
+ * @param {object} existingAliases - Aliases currently in .luaurc
+ * @param {{generatedAliases: object}|null} manifest - Alias manifest
+ * @param {function(string, string): boolean} isLikelyGenerated - Fallback ownership check by alias and path
+ * @returns {object} - Hand-written aliases to preserve
+ */
+function getHandWrittenAliases(existingAliases, manifest, isLikelyGenerated) {
+    const handWrittenAliases = {};
+    for (const [alias, aliasPath] of Object.entries(existingAliases || {})) {
+        const isGenerated = manifest
+            ? alias in manifest.generatedAliases && normalizeAliasPath(manifest.generatedAliases[alias]) === normalizeAliasPath(aliasPath)
+            : isLikelyGenerated(alias, normalizeAliasPath(aliasPath));
+        if (!isGenerated) {
+            handWrittenAliases[alias] = aliasPath;
+        }
+    }
+    return handWrittenAliases;
+}
+
+/**
+ * Parse .luaurc content. Comments and trailing commas are accepted, as luau-lsp accepts them.
+ * @param {string} content - .luaurc content
+ * @param {string} filePath - File path for error reporting
+ * @returns {object|null} - Parsed configuration ({} for an empty file), or null if it is not valid JSON(C)
+ */
+function parseLuaurc(content, filePath) {
+    if (!content.trim()) {
+        return {};
+    }
+    const luaurc = parseJsonWithComments(content, filePath);
+    if (!luaurc || typeof luaurc !== 'object' || Array.isArray(luaurc)) {
+        return null;
+    }
+    return luaurc;
+}
+
+/**
+ * Orders aliases into the groups written to .luaurc: user aliases first, then the generated aliases
+ * of each scan root (in scan order) and of anything outside them, then the directory aliases that
+ * disambiguate clashing basenames. Every group is sorted so regeneration produces stable output.
+ * @param {object} userAliases - Hand-written and manualAliases entries
+ * @param {object} extensionAliases - Generated module aliases
+ * @param {string[]} rootNames - Workspace-relative scan roots
+ * @param {object} [disambiguationAliases] - Generated qualifier directory aliases
+ * @returns {Array<Array<[string, string]>>} - Non-empty groups of [alias, path] entries
+ */
+function groupLuaurcAliases(userAliases, extensionAliases, rootNames, disambiguationAliases = {}) {
+    const sortEntries = (entries) => entries.sort(([a], [b]) => a.localeCompare(b));
+
+    // Group auto-generated aliases by the scan root containing them
+    function getRoot(aliasPath) {
+        for (const root of rootNames) {
+            if (aliasPath.startsWith(root + "/") || aliasPath === root) {
+                return root;
+            }
+        }
+        return "Other";
+    }
+    const grouped = new Map(rootNames.concat("Other").map(root => [root, []]));
+    for (const entry of Object.entries(extensionAliases)) {
+        grouped.get(getRoot(entry[1])).push(entry);
+    }
+
+    return [
+        sortEntries(Object.entries(userAliases)),
+        ...Array.from(grouped.values()).map(sortEntries),
+        sortEntries(Object.entries(disambiguationAliases))
+    ].filter(group => group.length > 0);
+}
+
+// Formats alias groups as a JSON object with a blank line between groups
+function formatAliasesBlock(aliasGroups, indent, indentUnit) {
+    if (aliasGroups.length === 0) {
+        return '{}';
+    }
+    const groupLines = aliasGroups.map(group =>
+        group.map(([alias, aliasPath]) => `${indent}${indentUnit}${JSON.stringify(alias)}: ${JSON.stringify(aliasPath)}`).join(',\n')
+    );
+    return `{\n${groupLines.join(',\n\n')}\n${indent}}`;
+}
+
+/**
+ * Rewrites only the "aliases" block of .luaurc content. Comments, formatting and every other
+ * property are kept as they are; a missing aliases block is added as the first property.
+ * @param {string} content - Current .luaurc content (may be empty)
+ * @param {Array<Array<[string, string]>>} aliasGroups - Alias groups, see groupLuaurcAliases
+ * @returns {string} - Updated .luaurc content
+ */
+function updateLuaurcAliases(content, aliasGroups) {
+    const defaultIndent = '    ';
+
+    const property = content.trim() ? findTopLevelProperty(content, 'aliases') : null;
+    if (property) {
+        // Reuse the indentation of the existing "aliases" key
+        const lineStart = content.lastIndexOf('\n', property.keyStart - 1) + 1;
+        const leading = content.slice(lineStart, property.keyStart);
+        const indent = /^[ \t]+$/.test(leading) ? leading : defaultIndent;
+        const block = formatAliasesBlock(aliasGroups, indent, indent);
+        return content.slice(0, property.valueStart) + block + content.slice(property.valueEnd);
+    }
+
+    const block = formatAliasesBlock(aliasGroups, defaultIndent, defaultIndent);
+    const objectStart = content.trim() ? stripJsonComments(content).indexOf('{') : -1;
+    if (objectStart === -1) {
+        return `{\n${defaultIndent}"aliases": ${block}\n}\n`;
+    }
+
+    // Insert as the first property, followed by a comma when other properties exist
+    const afterBrace = stripJsonComments(content).slice(objectStart + 1);
+    const hasOtherProperties = afterBrace.trim()[0] !== '}';
+    let rest = content.slice(objectStart + 1);
+    if (!hasOtherProperties) {
+        rest = '\n' + rest.replace(/^[ \t]*/, '');
+    } else if (!/^[ \t]*\r?\n/.test(rest)) {
+        // Keep the following property on its own line
+        rest = `\n${defaultIndent}` + rest.replace(/^\s*/, '');
+    }
+    print('Adding aliases block to .luaurc');
+    return content.slice(0, objectStart + 1) + `\n${defaultIndent}"aliases": ${block}${hasOtherProperties ? ',' : ''}` + rest;
+}
+
+/**
+ * Hashes file content so the manifest can tell whether a generated file was edited since
+ * @param {string} content - File content
+ * @returns {string} - Hex digest
+ */
+function hashContent(content) {
+    return crypto.createHash('sha1').update(content.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+module.exports = {
+    LUAURC_FILE_NAME,
+    MANIFEST_FILE_NAME,
+    VALID_ALIAS_NAME,
+    normalizeAliasPath,
+    readAliasManifest,
+    writeAliasManifest,
+    getHandWrittenAliases,
+    parseLuaurc,
+    groupLuaurcAliases,
+    updateLuaurcAliases,
+    hashContent
+};
@@ -0,0 +1,270 @@
+const vscode = require('vscode');
+const fs = require('fs');
+const path = require('path');
+const { print, warn } = require('../core/logger');
+const { parseJsonWithComments } = require('./jsonUtils');
+const { VALID_ALIAS_NAME } = require('./luaurcUtils');
+
+/**
+ * Utilities for reading Rojo project files (default.project.json) and mapping
+ * their `$path` entries onto workspace directories
+ */
+
+const DEFAULT_ROJO_PROJECT_FILE = 'default.project.json';
+
+/**
+ * Gets the Rojo project file used by luau-lsp for a workspace folder
+ * @param {string} workspaceRoot - Root directory of the workspace folder
+ * @param {vscode.WorkspaceFolder|vscode.Uri} [scope] - Scope to resolve the luau-lsp setting for
+ * @returns {string} - Absolute path of the project file (which may not exist)
+ */
+function getRojoProjectFilePath(workspaceRoot, scope) {
+    const projectFile = vscode.workspace.getConfiguration('luau-lsp', scope).get('sourcemap.rojoProjectFile') || DEFAULT_ROJO_PROJECT_FILE;
+    return path.resolve(workspaceRoot, projectFile);
+}
+
+/**
+ * Read and parse a Rojo project file
+ * @param {string} projectFilePath - Path to the project file
+ * @returns {object|null} - Parsed project, or null if the file is missing or invalid
+ */
+function readRojoProject(projectFilePath) {
+    if (!fs.existsSync(projectFilePath)) {
+        return null;
+    }
+    const project = parseJsonWithComments(fs.readFileSync(projectFilePath, 'utf8'), projectFilePath);
+    if (!project || typeof project.tree !== 'object') {
+        warn(`Rojo project file is invalid or has no tree: ${projectFilePath}`);
+        return null;
+    }
+    return project;
+}
+
+/**
+ * Collects every `$path` entry of a Rojo project tree
+ * @param {object} project - Parsed Rojo project
+ * @param {string} projectDir - Directory containing the project file, `$path` values are relative to it
+ * @returns {{instancePath: string[], fsPath: string}[]} - DataModel path (e.g. ['ReplicatedStorage', 'Shared']) and absolute file system path of each entry
+ */
+function collectRojoPathMappings(project, projectDir) {
+    const mappings = [];
+
+    function visit(node, instancePath) {
+        const nodePath = node.$path && typeof node.$path === 'object' ? node.$path.optional : node.$path;
+        if (typeof nodePath === 'string') {
+            mappings.push({ instancePath, fsPath: path.resolve(projectDir, nodePath) });
+        }
+        for (const [childName, child] of Object.entries(node)) {
+            if (!childName.startsWith('$') && child && typeof child === 'object') {
+                visit(child, instancePath.concat(childName));
+            }
+        }
+    }
+
+    visit(project.tree, []);
+    return mappings;
+}
+
+// Derived configurations by workspace root, kept until the project file changes
+const derivedConfigs = new Map();
+
+// Instance maps by workspace root, kept until the project file changes
+const instanceMaps = new Map();
+
+// Workspace roots already warned about a missing project file, until the project file changes
+const missingProjectWarnings = new Set();
+
+// Maps the `$path` entries of a project onto scan roots and root aliases
+function deriveRojoConfig(workspaceRoot, projectFilePath) {
+    const project = readRojoProject(projectFilePath);
+    if (!project) {
+        return null;
+    }
+
+    const directories = [];
+    const manualAliases = {};
+    for (const { instancePath, fsPath } of collectRojoPathMappings(project, path.dirname(projectFilePath))) {
+        const relativePath = path.relative(workspaceRoot, fsPath).replace(/\\/g, '/');
+        if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+            warn(`Skipping Rojo $path outside of the workspace folder: ${fsPath}`);
+            continue;
+        }
+        if (!fs.existsSync(fsPath) || !fs.statSync(fsPath).isDirectory()) {
+            continue;
+        }
+
+        directories.push(relativePath);
+
+        const aliasName = instancePath[instancePath.length - 1];
+        if (!aliasName || !VALID_ALIAS_NAME.test(aliasName)) {
+            continue;
+        }
+        if (manualAliases[aliasName] && manualAliases[aliasName] !== relativePath) {
+            warn(`Rojo instance name "${aliasName}" is used by several $path entries, keeping ${manualAliases[aliasName]}`);
+            continue;
+        }
+        manualAliases[aliasName] = relativePath;
+    }
+
+    const isNested = (dir) => directories.some(other => other !== dir && (other === '' || dir.startsWith(other + '/')));
+    const directoriesToScan = directories.filter((dir, index) => directories.indexOf(dir) === index && !isNested(dir));
+    return { projectFilePath, directoriesToScan, manualAliases };
+}
+
+/**
+ * Derives the directories to scan and the root aliases from the `$path` entries of a Rojo project.
+ * Each directory mapped into the DataModel becomes a scan root aliased by its instance name.
+ * Directories nested inside another mapped directory are not scanned twice.
+ * The result is cached per workspace root until invalidateRojoProject is called for it, and a missing
+ * project file is only warned about once in that time.
+ * @param {string} workspaceRoot - Root directory of the workspace folder
+ * @param {vscode.WorkspaceFolder|vscode.Uri} [scope] - Scope to resolve settings for
+ * @returns {{projectFilePath: string, directoriesToScan: string[], manualAliases: object}|null} - Derived configuration, or null without a usable project file
+ */
+function getRojoDerivedConfig(workspaceRoot, scope) {
+    const projectFilePath = getRojoProjectFilePath(workspaceRoot, scope);
+    const cached = derivedConfigs.get(workspaceRoot);
+    if (cached && !cached.isStale && cached.projectFilePath === projectFilePath) {
+        return cached.config;
+    }
+
+    const config = deriveRojoConfig(workspaceRoot, projectFilePath);
+    const previous = cached && cached.config;
+    const hasChanged = config && (!previous || previous.projectFilePath !== projectFilePath ||
+        previous.directoriesToScan.join('\n') !== config.directoriesToScan.join('\n'));
+    if (hasChanged) {
+        print(`Derived scan directories from ${path.basename(projectFilePath)}:`, config.directoriesToScan);
+    }
+    if (!config && !missingProjectWarnings.has(workspaceRoot)) {
+        missingProjectWarnings.add(workspaceRoot);
+        const folderName = (scope && scope.name) || path.basename(workspaceRoot);
+        warn(`useRojoProject is enabled but no Rojo project file was found in ${folderName}, using directoriesToScan instead`);
+    }
+    derivedConfigs.set(workspaceRoot, { projectFilePath, config, isStale: false });
+    return config;
+}
+
+/**
+ * Marks what was read from the Rojo project file of a workspace folder as outdated, so it is read
+ * again the next time it is needed. Called when the project file changes.
+ * @param {string} workspaceRoot - Root directory of the workspace folder
+ */
+function invalidateRojoProject(workspaceRoot) {
+    const cached = derivedConfigs.get(workspaceRoot);
+    if (cached) {
+        cached.isStale = true;
+    }
+    instanceMaps.delete(workspaceRoot);
+    missingProjectWarnings.delete(workspaceRoot);
+}
+
+// Strips the extension and script suffix from a file name, the way Rojo names the instance it creates
+function toInstanceName(fileName) {
+    return fileName.replace(/(\.server|\.client)?\.(luau|lua)$/, '');
+}
+
+/**
+ * Loads the DataModel mapping of the Rojo project used by luau-lsp for a workspace folder
+ * @param {string} workspaceRoot - Root directory of the workspace folder
+ * @param {vscode.WorkspaceFolder|vscode.Uri} [scope] - Scope to resolve settings for
+ * @returns {object|null} - Mapping exposing getInstanceSegments(filePath) and getFileSystemPath(segments), or null without a usable project file
+ */
+function createRojoInstanceMap(workspaceRoot, scope) {
+    const projectFilePath = getRojoProjectFilePath(workspaceRoot, scope);
+    const project = readRojoProject(projectFilePath);
+    if (!project) {
+        return null;
+    }
+    const mappings = collectRojoPathMappings(project, path.dirname(projectFilePath));
+
+    /**
+     * Gets the DataModel path Rojo syncs a file to
+     * @param {string} filePath - Absolute path of a module or script file
+     * @returns {string[]|null} - Instance names below game, e.g. ['ReplicatedStorage', 'Shared', 'Config'], or null if the file is not part of the project
+     */
+    function getInstanceSegments(filePath) {
+        // The most specific $path containing the file decides where it ends up
+        let best = null;
+        for (const mapping of mappings) {
+            const relative = path.relative(mapping.fsPath, filePath);
+            if (relative.startsWith('..') || path.isAbsolute(relative)) continue;
+            if (!best || mapping.fsPath.length > best.mapping.fsPath.length) {
+                best = { mapping, relative };
+            }
+        }
+        if (!best) {
+            return null;
+        }
+
+        const segments = best.relative ? best.relative.split(path.sep) : [];
+        if (segments.length > 0) {
+            // Files lose their extension and init files become their folder
+            const moduleName = toInstanceName(segments.pop());
+            if (moduleName !== 'init') segments.push(moduleName);
+        }
+        return [...best.mapping.instancePath, ...segments];
+    }
+
+    /**
+     * Gets the file system path an instance would be synced from
+     * @param {string[]} segments - Instance names below game
+     * @returns {string|null} - Absolute path without a module extension (it may not exist), or null if no $path covers the instance
+     */
+    function getFileSystemPath(segments) {
+        // The most specific instance mapping decides where its descendants live
+        let best = null;
+        for (const mapping of mappings) {
+            const depth = mapping.instancePath.length;
+            if (depth > segments.length || mapping.instancePath.some((name, i) => name !== segments[i])) continue;
+            if (!best || depth > best.instancePath.length) {
+                best = mapping;
+            }
+        }
+        return best ? path.join(best.fsPath, ...segments.slice(best.instancePath.length)) : null;
+    }
+
+    return { projectFilePath, getInstanceSegments, getFileSystemPath };
+}
+
+/**
+ * Gets the DataModel mapping of the Rojo project of a workspace folder, loading it only once per
+ * project file change (see invalidateRojoProject)
+ * @param {string} workspaceRoot - Root directory of the workspace folder
+ * @param {vscode.WorkspaceFolder|vscode.Uri} [scope] - Scope to resolve settings for
+ * @returns {object|null} - Mapping, see createRojoInstanceMap
+ */
+function getRojoInstanceMap(workspaceRoot, scope) {
+    const projectFilePath = getRojoProjectFilePath(workspaceRoot, scope);
+    const cached = instanceMaps.get(workspaceRoot);
+    if (cached && cached.projectFilePath === projectFilePath) {
+        return cached.instanceMap;
+    }
+    const instanceMap = createRojoInstanceMap(workspaceRoot, scope);
+    instanceMaps.set(workspaceRoot, { projectFilePath, instanceMap });
+    return instanceMap;
+}
+
+/**
+ * Gets the DataModel path Rojo syncs a module file to
+ * @param {string} workspaceRoot - Root directory of the workspace folder
+ * @param {vscode.WorkspaceFolder|vscode.Uri} scope - Scope to resolve settings for
+ * @param {string} filePath - Absolute path of the module file
+ * @returns {string|null} - Instance path such as "game.ReplicatedStorage.Shared.Config", or null if the file is not part of the project
+ */
+function getInstancePathForFile(workspaceRoot, scope, filePath) {
+    const instanceMap = getRojoInstanceMap(workspaceRoot, scope);
+    const segments = instanceMap && instanceMap.getInstanceSegments(filePath);
+    return segments ? ['game', ...segments].join('.') : null;
+}
+
+module.exports = {
+    DEFAULT_ROJO_PROJECT_FILE,
+    getRojoProjectFilePath,
+    readRojoProject,
+    collectRojoPathMappings,
+    getRojoDerivedConfig,
+    invalidateRojoProject,
+    createRojoInstanceMap,
+    getRojoInstanceMap,
+    getInstancePathForFile
+};
@@ -2,6 +2,7 @@ const vscode = require('vscode');
 const fs = require('fs');
 const path = require('path');
 const { warn } = require('../core/logger');
+const { getRojoDerivedConfig } = require('./rojoUtils');
 
 /**
  * Checks if workspace folders are available
@@ -11,6 +12,63 @@ function hasWorkspaceFolders() {
     return vscode.workspace.workspaceFolders && vscode.workspace.workspaceFolders.length > 0;
 }
 
+/**
+ * Gets all open workspace folders
+ * @returns {readonly vscode.WorkspaceFolder[]} - Workspace folders (empty when none are open)
+ */
+function getWorkspaceFolders() {
+    return hasWorkspaceFolders() ? vscode.workspace.workspaceFolders : [];
+}
+
+/**
+ * Finds the workspace folder containing a path. When folders are nested the innermost one wins.
+ * @param {string} filePath - Absolute path of a file or directory
+ * @returns {vscode.WorkspaceFolder|null} - Containing workspace folder or null if outside every folder
+ */
+function getWorkspaceFolderForPath(filePath) {
+    let bestMatch = null;
+    for (const folder of getWorkspaceFolders()) {
+        const folderPath = folder.uri.fsPath;
+        const relative = path.relative(folderPath, filePath);
+        const isInside = relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+        if (isInside && (!bestMatch || folderPath.length > bestMatch.uri.fsPath.length)) {
+            bestMatch = folder;
+        }
+    }
+    return bestMatch;
+}
+
+/**
+ * Gets a display name for a workspace folder
+ * @param {vscode.WorkspaceFolder} workspaceFolder - Workspace folder
+ * @returns {string} - Folder name
+ */
+function getWorkspaceFolderName(workspaceFolder) {
+    return workspaceFolder.name || path.basename(workspaceFolder.uri.fsPath);
+}
+
+/**
+ * Resolves the workspace folder a command should act on. Uses the only open folder,
+ * otherwise asks the user to pick one.
+ * @param {string} operationName - Name of operation for prompts and error messages
+ * @returns {Promise<vscode.WorkspaceFolder|null>} - Chosen workspace folder or null if none/cancelled
+ */
+async function pickWorkspaceFolder(operationName = 'operation') {
+    const folders = getWorkspaceFolders();
+    if (folders.length === 0) {
+        vscode.window.showErrorMessage(`RequireOnRails: Please open a workspace folder first to perform ${operationName}.`);
+        return null;
+    }
+    if (folders.length === 1) {
+        return folders[0];
+    }
+    const picked = await vscode.window.showWorkspaceFolderPick({
+        placeHolder: `Select the workspace folder for ${operationName}`,
+        ignoreFocusOut: true
+    });
+    return picked || null;
+}
+
 /**
  * Gets the root path of the first workspace folder
  * @returns {string|null} - Workspace root path or null if not available
@@ -81,39 +139,112 @@ function scanDirectory(dir, supportedExtensions, ignoreDirectories, callback) {
     }
 }
 
+/**
+ * Reads a source file from its editor buffer when it is open, so unsaved changes are taken into account
+ * @param {string} filePath - Absolute path of the file
+ * @returns {string} - Content of the open document, or of the file on disk
+ */
+function readSourceFile(filePath) {
+    const openDocument = (vscode.workspace.textDocuments || []).find(document => document.uri.fsPath === filePath);
+    return openDocument ? openDocument.getText() : fs.readFileSync(filePath, 'utf8');
+}
+
 /**
  * Gets the configuration for the extension
+ * @param {vscode.WorkspaceFolder|vscode.Uri|string} [scope] - Folder, resource or absolute path to resolve settings for
  * @returns {vscode.WorkspaceConfiguration} - Extension configuration
  */
-function getExtensionConfig() {
-    return vscode.workspace.getConfiguration('require-on-rails');
+function getExtensionConfig(scope) {
+    if (typeof scope === 'string') {
+        scope = vscode.Uri.file(scope);
+    }
+    return vscode.workspace.getConfiguration('require-on-rails', scope);
+}
+
+/**
+ * Resolves the workspace folder a configuration scope belongs to
+ * @param {vscode.WorkspaceFolder|vscode.Uri|string} [scope] - Folder, resource or absolute path
+ * @returns {vscode.WorkspaceFolder|null} - Owning workspace folder, or the first folder without a scope
+ */
+function getWorkspaceFolderForScope(scope) {
+    if (!scope) {
+        return getWorkspaceFolders()[0] || null;
+    }
+    if (typeof scope === 'string') {
+        return getWorkspaceFolderForPath(scope);
+    }
+    if (scope.uri) {
+        return scope;
+    }
+    return getWorkspaceFolderForPath(scope.fsPath);
+}
+
+/**
+ * Gets the value of a setting only when the user set it, ignoring the contributed default
+ * @param {vscode.WorkspaceConfiguration} config - Extension configuration
+ * @param {string} key - Setting key
+ * @returns {*} - Most specific user value, or undefined if the default is in effect
+ */
+function getExplicitSetting(config, key) {
+    const info = config.inspect(key);
+    if (!info) {
+        return config.get(key);
+    }
+    if (info.workspaceFolderValue !== undefined) return info.workspaceFolderValue;
+    if (info.workspaceValue !== undefined) return info.workspaceValue;
+    return info.globalValue;
 }
 
 /**
  * Gets common configuration values used across multiple modules
+ * @param {vscode.WorkspaceFolder|vscode.Uri|string} [scope] - Folder, resource or absolute path to resolve settings for
  * @returns {object} - Common configuration object
  */
-function getCommonConfig() {
-    const config = getExtensionConfig();
+function getCommonConfig(scope) {
+    const config = getExtensionConfig(scope);
+    let directoriesToScan = config.get('directoriesToScan') || [];
+    let manualAliases = config.get('manualAliases') || {};
+
+    // In Rojo mode the scan roots and their aliases come from the project file. Manual aliases
+    // the user set explicitly still win over the derived ones.
+    const useRojoProject = config.get('useRojoProject', false);
+    const workspaceFolder = useRojoProject ? getWorkspaceFolderForScope(scope) : null;
+    if (workspaceFolder) {
+        const rojoConfig = getRojoDerivedConfig(workspaceFolder.uri.fsPath, workspaceFolder);
+        if (rojoConfig) {
+            directoriesToScan = rojoConfig.directoriesToScan;
+            manualAliases = { ...rojoConfig.manualAliases, ...getExplicitSetting(config, 'manualAliases') };
+        }
+    }
     
     return {
-        directoriesToScan: config.get('directoriesToScan') || [],
+        directoriesToScan,
         ignoreDirectories: config.get('ignoreDirectories') || [],
+        manualAliases,
+        useRojoProject,
         supportedExtensions: ['.lua', '.luau'],
         importModulePaths: config.get('importModulePaths') || [],
         tryToAddImportRequire: config.get('tryToAddImportRequire', true),
         preferredImportPlacement: config.get('preferredImportPlacement', 'TopOfFile'),
         addSeleneCommentToImport: config.get('addSeleneCommentToImport', false),
-        importOpacity: config.get('importOpacity', 0.45)
+        importOpacity: config.get('importOpacity', 0.45),
+        requireRules: config.get('requireRules') || {}
     };
 }
 
 module.exports = {
     hasWorkspaceFolders,
+    getWorkspaceFolders,
+    getWorkspaceFolderForPath,
+    getWorkspaceFolderName,
+    pickWorkspaceFolder,
     getWorkspaceRoot,
     requireWorkspaceRoot,
     shouldIgnoreDirectory,
     scanDirectory,
+    readSourceFile,
+    getWorkspaceFolderForScope,
+    getExplicitSetting,
     getExtensionConfig,
     getCommonConfig
 };
@@ -0,0 +1,108 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const path = require('path');
+const fs = require('fs');
+
+// Import extension modules for testing
+const { generateFileAliases } = require('../../src/features/updateLuaFileAliases');
+const { isDeclared, completionProvider, codeActionProvider } = require('../../src/features/autoImport');
+
+// Import shared test utilities
+const {
+    mockWorkspaceConfig,
+    createMockDocument,
+    setupTestWorkspace
+} = require('../utils/testUtils');
+
+suite('Auto Import Tests', () => {
+    vscode.window.showInformationMessage('Starting Auto Import tests...');
+
+    let testWorkspaceUri;
+    let testWorkspacePath;
+    let restore;
+
+    suiteSetup(async () => {
+        testWorkspaceUri = vscode.Uri.file(path.join(__dirname, 'auto-import-test-workspace'));
+        testWorkspacePath = testWorkspaceUri.fsPath;
+
+        if (!fs.existsSync(testWorkspacePath)) {
+            fs.mkdirSync(testWorkspacePath, { recursive: true });
+        }
+
+        await setupTestWorkspace(testWorkspacePath);
+        restore = mockWorkspaceConfig(testWorkspaceUri, {
+            directoriesToScan: ['src/Server', 'src/Client', 'src/Shared']
+        });
+        generateFileAliases(vscode.workspace.workspaceFolders[0]);
+    });
+
+    suiteTeardown(async () => {
+        restore();
+        if (fs.existsSync(testWorkspacePath)) {
+            fs.rmSync(testWorkspacePath, { recursive: true, force: true });
+        }
+    });
+
+    function complete(content) {
+        const lines = content.split('\n');
+        const document = createMockDocument(path.join(testWorkspacePath, 'src/Client/ClientMain.luau'), content);
+        return completionProvider.provideCompletionItems(document, new vscode.Position(lines.length - 1, lines[lines.length - 1].length));
+    }
+
+    test('Should suggest undeclared modules and add their require and the import line', () => {
+        const items = complete([
+            'local Players = game:GetService("Players")',
+            'local StringUtils = require("@StringUtils")',
+            '',
+            'local manager = Play'
+        ].join('\n'));
+
+        const item = items.find(entry => entry.label.label === 'PlayerManager');
+        assert.ok(item, 'Modules named like the identifier should be suggested');
+        assert.ok(items.every(entry => entry.label.label[0].toLowerCase() === 'p'), 'Only modules starting like the identifier should be suggested');
+        assert.strictEqual(item.additionalTextEdits, undefined, 'The require edits should only be worked out when the item is resolved');
+
+        completionProvider.resolveCompletionItem(item);
+        assert.deepStrictEqual(item.additionalTextEdits.map(edit => [edit.range.start.line, edit.newText]), [
+            [0, 'require = require(ReplicatedStorage.src._Import)(script)\n'],
+            [2, 'local PlayerManager = require("@PlayerManager")\n']
+        ], 'The import line should be added and the require appended to the require block');
+
+        assert.ok(!complete('local StringUtils = require("@StringUtils")\nlocal x = S').some(entry => entry.label.label === 'StringUtils'),
+            'Declared modules should not be suggested');
+    });
+
+    test('Should not suggest modules for members, declarations, comments and strings', () => {
+        assert.deepStrictEqual(complete('local x = player.Play'), []);
+        assert.deepStrictEqual(complete('local Play'), []);
+        assert.deepStrictEqual(complete('-- Play'), []);
+        assert.deepStrictEqual(complete('print("Play'), []);
+    });
+
+    test('Should offer a quick fix below the import line for an undeclared module name', () => {
+        const content = [
+            'require = require(ReplicatedStorage.src._Import)(script)',
+            '',
+            'print(Config.Value)'
+        ].join('\n');
+        const document = createMockDocument(path.join(testWorkspacePath, 'src/Server/ServerMain.luau'), content);
+
+        const [action] = codeActionProvider.provideCodeActions(document, new vscode.Range(2, 8, 2, 8));
+        assert.strictEqual(action.title, 'Add require("@Config")');
+        assert.deepStrictEqual(action.edit.get(document.uri).map(edit => [edit.range.start.line, edit.newText]), [[1, 'local Config = require("@Config")\n']]);
+
+        const declared = createMockDocument(document.uri.fsPath, 'local Config = {}\nprint(Config.Value)');
+        assert.deepStrictEqual(codeActionProvider.provideCodeActions(declared, new vscode.Range(1, 8, 1, 8)), []);
+    });
+
+    test('Should recognize declarations', () => {
+        assert.ok(isDeclared('local a, Config = 1, 2', 'Config'));
+        assert.ok(isDeclared('local function Config() end', 'Config'));
+        assert.ok(isDeclared('for _, Config in pairs(t) do end', 'Config'));
+        assert.ok(isDeclared('local function f(x, Config) end', 'Config'));
+        assert.ok(isDeclared('Config = {}', 'Config'));
+        assert.ok(!isDeclared('local Configuration = {}', 'Config'));
+        assert.ok(!isDeclared('local x: Config = nil', 'Config'));
+        assert.ok(!isDeclared('print(Config)\nif Config == nil then end', 'Config'));
+    });
+});
@@ -0,0 +1,100 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const path = require('path');
+const fs = require('fs');
+
+// Import extension modules for testing
+const { generateFileAliases } = require('../../src/features/updateLuaFileAliases');
+const { getAliasResult } = require('../../src/core/aliasResolver');
+const { buildGraphModel, filterGraphModel, layoutGraphModel, toDot, toMermaid } = require('../../src/features/dependencyGraph');
+
+// Import shared test utilities
+const {
+    mockWorkspaceConfig,
+    createTestFiles,
+    setupTestWorkspace
+} = require('../utils/testUtils');
+
+suite('Dependency Graph Tests', () => {
+    vscode.window.showInformationMessage('Starting Dependency Graph tests...');
+
+    let testWorkspaceUri;
+    let testWorkspacePath;
+    let restore;
+    let model;
+
+    suiteSetup(async () => {
+        testWorkspaceUri = vscode.Uri.file(path.join(__dirname, 'graph-test-workspace'));
+        testWorkspacePath = testWorkspaceUri.fsPath;
+
+        if (!fs.existsSync(testWorkspacePath)) {
+            fs.mkdirSync(testWorkspacePath, { recursive: true });
+        }
+
+        await setupTestWorkspace(testWorkspacePath);
+        createTestFiles(testWorkspacePath, {
+            'src/Server/ServerMain.luau': 'local PlayerManager = require("@PlayerManager")\nlocal Config = require("@Config")',
+            'src/Server/Systems/PlayerManager.luau': 'local StringUtils = require("@StringUtils")\nlocal Again = require("@Shared/Utils/StringUtils")',
+            'src/Client/ClientMain.luau': 'local Utils = require("@Utils")',
+            'src/Shared/Utils/init.luau': 'local StringUtils = require("@StringUtils")\nreturn {}'
+        });
+        restore = mockWorkspaceConfig(testWorkspaceUri, {
+            directoriesToScan: ['src/Server', 'src/Client', 'src/Shared']
+        });
+        generateFileAliases(vscode.workspace.workspaceFolders[0]);
+        model = buildGraphModel(getAliasResult(vscode.workspace.workspaceFolders[0]));
+    });
+
+    suiteTeardown(async () => {
+        restore();
+        if (fs.existsSync(testWorkspacePath)) {
+            fs.rmSync(testWorkspacePath, { recursive: true, force: true });
+        }
+    });
+
+    test('Should build one edge per requiring and required module, with modules grouped by root', () => {
+        assert.deepStrictEqual(model.roots.map(root => root.label), ['Server', 'Client', 'Shared']);
+        assert.deepStrictEqual(model.edges.map(edge => `${edge.from} -> ${edge.to}`).sort(), [
+            'src/Client/ClientMain.luau -> src/Shared/Utils/init.luau',
+            'src/Server/ServerMain.luau -> src/Server/Systems/PlayerManager.luau',
+            'src/Server/ServerMain.luau -> src/Shared/Config.luau',
+            'src/Server/Systems/PlayerManager.luau -> src/Shared/Utils/StringUtils.luau',
+            'src/Shared/Utils/init.luau -> src/Shared/Utils/StringUtils.luau'
+        ], 'Requiring a module twice should give one edge');
+
+        const utils = model.nodes.find(node => node.id === 'src/Shared/Utils/init.luau');
+        assert.strictEqual(utils.label, 'Utils', 'Init modules should be named after their folder');
+        assert.strictEqual(utils.root, 'src/Shared');
+    });
+
+    test('Should place requiring modules left of the modules they require', () => {
+        const positions = layoutGraphModel(model);
+        const x = id => positions[id].x;
+
+        assert.ok(x('src/Server/ServerMain.luau') < x('src/Server/Systems/PlayerManager.luau'));
+        assert.ok(x('src/Server/Systems/PlayerManager.luau') < x('src/Shared/Utils/StringUtils.luau'));
+        assert.ok(model.nodes.every(node => positions[node.id]), 'Every module should be placed');
+    });
+
+    test('Should filter by path and root', () => {
+        const shared = filterGraphModel(model, { roots: ['src/Shared'] });
+        assert.ok(shared.nodes.every(node => node.root === 'src/Shared'));
+        assert.deepStrictEqual(shared.edges, [{ from: 'src/Shared/Utils/init.luau', to: 'src/Shared/Utils/StringUtils.luau' }]);
+
+        const byText = filterGraphModel(model, { text: 'utils' });
+        assert.deepStrictEqual(byText.nodes.map(node => node.id).sort(), ['src/Shared/Utils/StringUtils.luau', 'src/Shared/Utils/init.luau']);
+    });
+
+    test('Should export DOT and Mermaid', () => {
+        const dot = toDot(model);
+        assert.ok(dot.startsWith('digraph Requires {'));
+        assert.ok(dot.includes('subgraph cluster_0 {') && dot.includes('label="Server";'), 'Roots should become clusters');
+        assert.ok(dot.includes('"src/Server/ServerMain.luau" -> "src/Shared/Config.luau";'));
+
+        const mermaid = toMermaid(model);
+        assert.ok(mermaid.startsWith('flowchart LR'));
+        assert.ok(mermaid.includes('subgraph root2["Shared"]'));
+        assert.strictEqual((mermaid.match(/-->/g) || []).length, model.edges.length);
+        assert.ok(/classDef rootStyle0 fill:#[0-9a-f]{6}/.test(mermaid), 'Modules should be colored by root');
+    });
+});
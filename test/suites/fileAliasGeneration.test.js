@@ -5,6 +5,11 @@ const fs = require('fs');
 
 // Import extension modules for testing
 const { generateFileAliases } = require('../../src/features/updateLuaFileAliases');
+const { getDiagnosticCollection, DIAGNOSTIC_CODES } = require('../../src/features/aliasDiagnostics');
+const { applyFileEvent } = require('../../src/core/aliasIndex');
+const { getCommonConfig } = require('../../src/utils/workspaceUtils');
+const { invalidateRojoProject } = require('../../src/utils/rojoUtils');
+const { setOutputChannel } = require('../../src/core/logger');
 
 // Import shared test utilities
 const {
@@ -178,6 +183,300 @@ suite('File Alias Generation Tests', () => {
         }
     });
 
+    test('Should generate path-qualified aliases for ambiguous basenames when enabled', () => {
+        const conflictFiles = {
+            'src/Server/Config.luau': 'return {}',
+            'src/Shared/Inventory/Config.luau': 'return {}'
+        };
+        createTestFiles(testWorkspacePath, conflictFiles);
+
+        const restore = mockWorkspaceConfig(testWorkspaceUri, {
+            directoriesToScan: ['src/Server', 'src/Client', 'src/Shared'],
+            manualAliases: { Server: 'src/Server', Shared: 'src/Shared' },
+            ambiguousAliasStrategy: 'PathQualified'
+        });
+
+        try {
+            const result = generateFileAliases(vscode.workspace.workspaceFolders[0]);
+
+            const luaurcContent = JSON.parse(fs.readFileSync(path.join(testWorkspacePath, '.luaurc'), 'utf8'));
+            assert.ok(!luaurcContent.aliases.Config, 'Bare alias should stay unaliased without a preferred root');
+            assert.strictEqual(luaurcContent.aliases.Inventory, 'src/Shared/Inventory', 'Qualifier directory alias should be generated');
+            assert.strictEqual(luaurcContent.languageMode, 'strict', 'Other .luaurc settings should be preserved');
+
+            assert.deepStrictEqual(result.qualifiedAliases, {
+                'Server/Config': 'src/Server/Config.luau',
+                'Shared/Config': 'src/Shared/Config.luau',
+                'Inventory/Config': 'src/Shared/Inventory/Config.luau'
+            }, 'Shortest unique qualified aliases should be used');
+            assert.deepStrictEqual(result.ambiguousAliases.Config.sort(), ['src/Server/Config.luau', 'src/Shared/Config.luau', 'src/Shared/Inventory/Config.luau'].sort());
+        } finally {
+            restore();
+            fs.unlinkSync(path.join(testWorkspacePath, 'src/Server/Config.luau'));
+            fs.rmSync(path.join(testWorkspacePath, 'src/Shared/Inventory'), { recursive: true, force: true });
+        }
+    });
+
+    test('Should give the bare alias of an ambiguous basename to the preferred root', () => {
+        const duplicateFile = path.join(testWorkspacePath, 'src/Client/Config.luau');
+        fs.writeFileSync(duplicateFile, 'return {}');
+
+        const restore = mockWorkspaceConfig(testWorkspaceUri, {
+            directoriesToScan: ['src/Server', 'src/Client', 'src/Shared'],
+            manualAliases: {},
+            preferredAliasRoots: ['./src/Shared/']
+        });
+
+        try {
+            generateFileAliases();
+
+            const luaurcContent = JSON.parse(fs.readFileSync(path.join(testWorkspacePath, '.luaurc'), 'utf8'));
+            assert.strictEqual(luaurcContent.aliases.Config, 'src/Shared/Config.luau', 'Preferred root should keep the bare alias');
+        } finally {
+            restore();
+            fs.unlinkSync(duplicateFile);
+        }
+    });
+
+    test('Should report ambiguous, shadowed and ignored modules as diagnostics', () => {
+        const extraFiles = {
+            'src/Client/Config.luau': 'return {}',
+            'src/Shared/_Internal/Hidden.luau': 'return {}'
+        };
+        createTestFiles(testWorkspacePath, extraFiles);
+
+        const restore = mockWorkspaceConfig(testWorkspaceUri, {
+            directoriesToScan: ['src/Server', 'src/Client', 'src/Shared'],
+            manualAliases: { ServerMain: 'src/Client/ClientMain.luau' }
+        });
+
+        const getDiagnostics = (relativePath) =>
+            getDiagnosticCollection().get(vscode.Uri.file(path.join(testWorkspacePath, relativePath))) || [];
+
+        try {
+            generateFileAliases();
+
+            const ambiguous = getDiagnostics('src/Client/Config.luau');
+            assert.strictEqual(ambiguous.length, 1, 'Clashing file should get one diagnostic');
+            assert.strictEqual(ambiguous[0].code, DIAGNOSTIC_CODES.ambiguousAlias);
+            assert.ok(ambiguous[0].message.includes('src/Shared/Config.luau'), 'Diagnostic should list the competing path');
+            assert.strictEqual(getDiagnostics('src/Shared/Config.luau')[0].code, DIAGNOSTIC_CODES.ambiguousAlias);
+
+            const shadowed = getDiagnostics('src/Server/ServerMain.luau');
+            assert.strictEqual(shadowed[0].code, DIAGNOSTIC_CODES.shadowedAlias);
+            assert.ok(shadowed[0].message.includes('src/Client/ClientMain.luau'), 'Diagnostic should name the manual alias target');
+
+            const ignored = getDiagnostics('src/Shared/_Internal/Hidden.luau');
+            assert.strictEqual(ignored[0].code, DIAGNOSTIC_CODES.ignoredFile);
+
+            // Diagnostics refresh once the clash is resolved
+            fs.unlinkSync(path.join(testWorkspacePath, 'src/Client/Config.luau'));
+            generateFileAliases();
+            assert.strictEqual(getDiagnostics('src/Shared/Config.luau').length, 0, 'Resolved clash should clear its diagnostics');
+        } finally {
+            restore();
+            const duplicateFile = path.join(testWorkspacePath, 'src/Client/Config.luau');
+            if (fs.existsSync(duplicateFile)) fs.unlinkSync(duplicateFile);
+            fs.rmSync(path.join(testWorkspacePath, 'src/Shared/_Internal'), { recursive: true, force: true });
+        }
+    });
+
+    test('Should derive scan directories and root aliases from the Rojo project file', () => {
+        const projectFilePath = path.join(testWorkspacePath, 'default.project.json');
+        fs.writeFileSync(projectFilePath, JSON.stringify({
+            name: 'alias-test',
+            tree: {
+                $className: 'DataModel',
+                ReplicatedStorage: {
+                    Shared: { $path: 'src/Shared' },
+                    Packages: { $path: 'Packages' }
+                },
+                ServerScriptService: {
+                    Server: { $path: 'src/Server' }
+                }
+            }
+        }, null, 4));
+
+        const restore = mockWorkspaceConfig(testWorkspaceUri, {
+            directoriesToScan: ['src/Client'],
+            manualAliases: {},
+            useRojoProject: true
+        });
+
+        try {
+            generateFileAliases();
+
+            const aliases = JSON.parse(fs.readFileSync(path.join(testWorkspacePath, '.luaurc'), 'utf8')).aliases;
+            assert.strictEqual(aliases.Shared, 'src/Shared', 'Root alias should come from the Rojo instance name');
+            assert.strictEqual(aliases.Server, 'src/Server', 'Root alias should come from the Rojo instance name');
+            assert.strictEqual(aliases.Packages, 'Packages', 'Root alias should come from the Rojo instance name');
+            assert.ok(aliases.TestPackage, 'Modules under Rojo $path directories should be aliased');
+            assert.ok(aliases.ServerMain, 'Modules under Rojo $path directories should be aliased');
+            assert.ok(!aliases.ClientMain, 'directoriesToScan should be replaced by the Rojo project');
+
+            // The derived configuration is kept until the project file watcher reports a change
+            const project = JSON.parse(fs.readFileSync(projectFilePath, 'utf8'));
+            delete project.tree.ReplicatedStorage.Packages;
+            fs.writeFileSync(projectFilePath, JSON.stringify(project, null, 4));
+            const folder = vscode.workspace.workspaceFolders[0];
+            assert.deepStrictEqual(getCommonConfig(folder).directoriesToScan, ['src/Shared', 'Packages', 'src/Server']);
+            invalidateRojoProject(testWorkspacePath);
+            assert.deepStrictEqual(getCommonConfig(folder).directoriesToScan, ['src/Shared', 'src/Server'], 'An invalidated project file should be read again');
+        } finally {
+            restore();
+            fs.unlinkSync(projectFilePath);
+            invalidateRojoProject(testWorkspacePath);
+        }
+    });
+
+    test('Should warn once about a missing Rojo project file until it changes', () => {
+        const restore = mockWorkspaceConfig(testWorkspaceUri, { useRojoProject: true });
+        const lines = [];
+        setOutputChannel({ appendLine: line => lines.push(line) });
+
+        try {
+            const folder = vscode.workspace.workspaceFolders[0];
+            invalidateRojoProject(testWorkspacePath);
+            getCommonConfig(folder);
+            getCommonConfig(folder);
+            const warnings = () => lines.filter(line => line.includes('no Rojo project file was found')).length;
+            assert.strictEqual(warnings(), 1, 'The missing project file should be reported once');
+
+            invalidateRojoProject(testWorkspacePath);
+            getCommonConfig(folder);
+            assert.strictEqual(warnings(), 2, 'A project file change should report it again');
+        } finally {
+            setOutputChannel(null);
+            restore();
+            invalidateRojoProject(testWorkspacePath);
+        }
+    });
+
+    test('Should preserve aliases added to .luaurc by hand', () => {
+        const luaurcPath = path.join(testWorkspacePath, '.luaurc');
+        const restore = mockWorkspaceConfig(testWorkspaceUri, {
+            directoriesToScan: ['src/Server', 'src/Client', 'src/Shared'],
+            manualAliases: {}
+        });
+        const tempFile = path.join(testWorkspacePath, 'src/Shared/TempModule.luau');
+
+        try {
+            fs.writeFileSync(tempFile, 'return {}');
+            generateFileAliases();
+
+            const manifest = JSON.parse(fs.readFileSync(path.join(testWorkspacePath, '.requireonrails.json'), 'utf8'));
+            assert.strictEqual(manifest.generatedAliases.TempModule, 'src/Shared/TempModule.luau', 'Manifest should track generated aliases');
+
+            // A teammate adds an alias and retargets a generated one by hand
+            const luaurc = JSON.parse(fs.readFileSync(luaurcPath, 'utf8'));
+            luaurc.aliases.Packages = 'Packages';
+            luaurc.aliases.ServerMain = 'src/Server/Systems/PlayerManager.luau';
+            fs.writeFileSync(luaurcPath, JSON.stringify(luaurc, null, 4));
+            fs.unlinkSync(tempFile);
+            generateFileAliases();
+
+            const aliases = JSON.parse(fs.readFileSync(luaurcPath, 'utf8')).aliases;
+            assert.strictEqual(aliases.Packages, 'Packages', 'Hand-written alias should be preserved');
+            assert.strictEqual(aliases.ServerMain, 'src/Server/Systems/PlayerManager.luau', 'Hand-edited alias should be preserved');
+            assert.ok(!aliases.TempModule, 'Stale generated alias should be removed');
+            assert.ok(aliases.ClientMain, 'Generated aliases should still be written');
+        } finally {
+            restore();
+            if (fs.existsSync(tempFile)) fs.unlinkSync(tempFile);
+            const luaurc = JSON.parse(fs.readFileSync(luaurcPath, 'utf8'));
+            delete luaurc.aliases.Packages;
+            delete luaurc.aliases.ServerMain;
+            fs.writeFileSync(luaurcPath, JSON.stringify(luaurc, null, 4));
+        }
+    });
+
+    test('Should only rewrite the aliases block of a .luaurc with comments', () => {
+        const luaurcPath = path.join(testWorkspacePath, '.luaurc');
+        const originalContent = fs.readFileSync(luaurcPath, 'utf8');
+        fs.writeFileSync(luaurcPath, [
+            '{',
+            '    // Strict mode for the whole project',
+            '    "languageMode": "strict",',
+            '    "aliases": {',
+            '        "Packages": "Packages", // added by hand',
+            '    },',
+            '    "lint": { "*": true, },',
+            '}',
+            ''
+        ].join('\n'));
+
+        const restore = mockWorkspaceConfig(testWorkspaceUri, {
+            directoriesToScan: ['src/Server', 'src/Shared'],
+            manualAliases: {}
+        });
+
+        try {
+            generateFileAliases();
+
+            const content = fs.readFileSync(luaurcPath, 'utf8');
+            assert.ok(content.startsWith('{\n    // Strict mode for the whole project\n    "languageMode": "strict",\n    "aliases": {'), 'Content before the aliases block should be untouched');
+            assert.ok(content.endsWith('    },\n    "lint": { "*": true, },\n}\n'), 'Content after the aliases block should be untouched');
+            assert.ok(content.indexOf('"Packages"') < content.indexOf('"ServerMain"'), 'User aliases should come first');
+            assert.ok(content.indexOf('"ServerMain"') < content.indexOf('"Config"'), 'Generated aliases should be grouped by scan root');
+
+            generateFileAliases();
+            assert.strictEqual(fs.readFileSync(luaurcPath, 'utf8'), content, 'Regenerating should produce identical output');
+        } finally {
+            restore();
+            fs.writeFileSync(luaurcPath, originalContent);
+        }
+    });
+
+    test('Should write nested .luaurc files that mirror runtime resolution', () => {
+        createTestFiles(testWorkspacePath, {
+            'src/Server/Config.luau': 'return {}',
+            'src/Shared/Inventory/Config.luau': 'return {}',
+            'src/Shared/Inventory/Items/Item.luau': 'return {}'
+        });
+        const nestedServer = path.join(testWorkspacePath, 'src/Server/.luaurc');
+        const nestedShared = path.join(testWorkspacePath, 'src/Shared/.luaurc');
+        const nestedInventory = path.join(testWorkspacePath, 'src/Shared/Inventory/.luaurc');
+        const userLuaurc = path.join(testWorkspacePath, 'src/Client/.luaurc');
+        fs.writeFileSync(userLuaurc, '{ "languageMode": "nonstrict" }');
+
+        let restore = mockWorkspaceConfig(testWorkspaceUri, {
+            directoriesToScan: ['src/Server', 'src/Client', 'src/Shared'],
+            manualAliases: {},
+            generateNestedLuaurc: true
+        });
+
+        try {
+            const result = generateFileAliases(vscode.workspace.workspaceFolders[0]);
+
+            const aliasesOf = (filePath) => JSON.parse(fs.readFileSync(filePath, 'utf8')).aliases;
+            assert.strictEqual(aliasesOf(nestedServer).Config, 'Config.luau', 'Server modules should resolve their own Config');
+            assert.strictEqual(aliasesOf(nestedShared).Config, 'Config.luau', 'Shared modules should resolve the Shared Config');
+            assert.strictEqual(aliasesOf(nestedInventory).Config, 'Config.luau', 'Inventory modules should resolve the nearest Config');
+            assert.ok(!fs.existsSync(path.join(testWorkspacePath, 'src/Shared/Inventory/Items/.luaurc')), 'Inherited resolution should not need another file');
+            assert.strictEqual(result.nestedLuaurcFiles['src/Client/.luaurc'].Config, '../Server/Config.luau', 'Client modules should fall back to the first other root');
+            assert.strictEqual(fs.readFileSync(userLuaurc, 'utf8'), '{ "languageMode": "nonstrict" }', 'A .luaurc written by hand should not be overwritten');
+
+            restore();
+            restore = mockWorkspaceConfig(testWorkspaceUri, {
+                directoriesToScan: ['src/Server', 'src/Client', 'src/Shared'],
+                manualAliases: {}
+            });
+            fs.writeFileSync(nestedShared, '{ "aliases": { "Config": "Config.luau" } }');
+            generateFileAliases();
+
+            assert.ok(!fs.existsSync(nestedServer), 'Generated nested .luaurc should be removed when disabled');
+            assert.ok(!fs.existsSync(nestedInventory), 'Generated nested .luaurc should be removed when disabled');
+            assert.ok(fs.existsSync(nestedShared), 'Nested .luaurc edited by hand should be left in place');
+            assert.strictEqual(fs.readFileSync(userLuaurc, 'utf8'), '{ "languageMode": "nonstrict" }', 'User .luaurc should never be touched');
+        } finally {
+            restore();
+            [nestedServer, nestedShared, nestedInventory, userLuaurc, path.join(testWorkspacePath, 'src/Server/Config.luau')]
+                .filter(filePath => fs.existsSync(filePath))
+                .forEach(filePath => fs.unlinkSync(filePath));
+            fs.rmSync(path.join(testWorkspacePath, 'src/Shared/Inventory'), { recursive: true, force: true });
+        }
+    });
+
     test('Should handle files with special characters', () => {
         const specialFiles = {
             'src/Server/File-With-Dashes.luau': 'return {}',
@@ -245,4 +544,79 @@ suite('File Alias Generation Tests', () => {
             }
         }
     });
+
+    test('Should generate a separate .luaurc for each workspace folder', () => {
+        const secondWorkspacePath = path.join(__dirname, 'alias-test-workspace-2');
+        createTestFiles(secondWorkspacePath, {
+            'src/Shared/LibraryModule.luau': 'return {}'
+        });
+
+        const restore = mockWorkspaceConfig(testWorkspaceUri, {
+            directoriesToScan: ['src/Server', 'src/Client', 'src/Shared'],
+            manualAliases: {}
+        });
+        Object.defineProperty(vscode.workspace, 'workspaceFolders', {
+            value: [{ uri: testWorkspaceUri }, { uri: vscode.Uri.file(secondWorkspacePath) }],
+            writable: true,
+            configurable: true
+        });
+
+        try {
+            generateFileAliases();
+
+            const firstAliases = JSON.parse(fs.readFileSync(path.join(testWorkspacePath, '.luaurc'), 'utf8')).aliases;
+            const secondAliases = JSON.parse(fs.readFileSync(path.join(secondWorkspacePath, '.luaurc'), 'utf8')).aliases;
+
+            assert.ok(firstAliases.ServerMain, 'First folder should get its own aliases');
+            assert.ok(!firstAliases.LibraryModule, 'First folder should not get aliases from the second folder');
+            assert.ok(secondAliases.LibraryModule, 'Second folder should get its own aliases');
+            assert.ok(!secondAliases.ServerMain, 'Second folder should not get aliases from the first folder');
+        } finally {
+            restore();
+            fs.rmSync(secondWorkspacePath, { recursive: true, force: true });
+        }
+    });
+
+    test('Should update aliases incrementally from file events within the scan roots', () => {
+        const workspaceFolder = { uri: testWorkspaceUri };
+        const addedPath = path.join(testWorkspacePath, 'src/Shared/AddedModule.luau');
+        const unseenPath = path.join(testWorkspacePath, 'src/Shared/UnseenModule.luau');
+        const packagePath = path.join(testWorkspacePath, 'Packages/_Index/PackageModule.luau');
+
+        const restore = mockWorkspaceConfig(testWorkspaceUri, {
+            directoriesToScan: ['src/Server', 'src/Client', 'src/Shared'],
+            manualAliases: {}
+        });
+
+        try {
+            generateFileAliases(workspaceFolder);
+            const aliasesOf = () => JSON.parse(fs.readFileSync(path.join(testWorkspacePath, '.luaurc'), 'utf8')).aliases;
+
+            createTestFiles(testWorkspacePath, {
+                'src/Shared/AddedModule.luau': 'return {}',
+                'src/Shared/UnseenModule.luau': 'return {}',
+                'Packages/_Index/PackageModule.luau': 'return {}'
+            });
+            assert.strictEqual(applyFileEvent(workspaceFolder, addedPath, 'create'), true, 'A new module in a scan root should change the index');
+            assert.strictEqual(applyFileEvent(workspaceFolder, packagePath, 'create'), false, 'Files outside the scan roots should be ignored');
+
+            const luaurcStat = fs.statSync(path.join(testWorkspacePath, '.luaurc'));
+            generateFileAliases(workspaceFolder, { incremental: true });
+            assert.strictEqual(aliasesOf().AddedModule, 'src/Shared/AddedModule.luau', 'Indexed module should get an alias');
+            assert.ok(!aliasesOf().UnseenModule, 'Incremental generation should not rescan the file system');
+
+            fs.unlinkSync(addedPath);
+            assert.strictEqual(applyFileEvent(workspaceFolder, addedPath, 'delete'), true, 'Deleting an indexed module should change the index');
+            generateFileAliases(workspaceFolder, { incremental: true });
+            assert.ok(!aliasesOf().AddedModule, 'Alias of a deleted module should be removed');
+
+            fs.utimesSync(path.join(testWorkspacePath, '.luaurc'), luaurcStat.atime, new Date(0));
+            generateFileAliases(workspaceFolder, { incremental: true });
+            assert.strictEqual(fs.statSync(path.join(testWorkspacePath, '.luaurc')).mtimeMs, 0, '.luaurc should not be rewritten when the aliases are unchanged');
+        } finally {
+            restore();
+            [addedPath, unseenPath].forEach(filePath => fs.existsSync(filePath) && fs.unlinkSync(filePath));
+            fs.rmSync(path.join(testWorkspacePath, 'Packages/_Index'), { recursive: true, force: true });
+        }
+    });
 });
@@ -0,0 +1,142 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const path = require('path');
+const fs = require('fs');
+
+// Import extension modules for testing
+const { generateFileAliases } = require('../../src/features/updateLuaFileAliases');
+const { getAliasResult } = require('../../src/core/aliasResolver');
+const { organizeRequireBlock, getOrganizeRequireEdits } = require('../../src/features/organizeRequires');
+
+// Import shared test utilities
+const {
+    mockWorkspaceConfig,
+    createMockDocument,
+    setupTestWorkspace
+} = require('../utils/testUtils');
+
+suite('Organize Requires Tests', () => {
+    vscode.window.showInformationMessage('Starting Organize Requires tests...');
+
+    let testWorkspaceUri;
+    let testWorkspacePath;
+    let restore;
+    let filePath;
+
+    suiteSetup(async () => {
+        testWorkspaceUri = vscode.Uri.file(path.join(__dirname, 'organize-requires-test-workspace'));
+        testWorkspacePath = testWorkspaceUri.fsPath;
+        filePath = path.join(testWorkspacePath, 'src/Server/ServerMain.luau');
+
+        if (!fs.existsSync(testWorkspacePath)) {
+            fs.mkdirSync(testWorkspacePath, { recursive: true });
+        }
+
+        await setupTestWorkspace(testWorkspacePath);
+        restore = mockWorkspaceConfig(testWorkspaceUri, {
+            preferredImportPlacement: 'BeforeFirstRequire'
+        });
+        generateFileAliases(vscode.workspace.workspaceFolders[0]);
+    });
+
+    suiteTeardown(async () => {
+        restore();
+        if (fs.existsSync(testWorkspacePath)) {
+            fs.rmSync(testWorkspacePath, { recursive: true, force: true });
+        }
+    });
+
+    const messyBlock = [
+        '--!strict',
+        'local StringUtils = require("@StringUtils")',
+        'local Players = game:GetService("Players")',
+        'local Config = require("@Config")',
+        'require = require(ReplicatedStorage.src._Import)(script)',
+        '',
+        'local TestPackage = require("@TestPackage")',
+        'local ReplicatedStorage = game:GetService("ReplicatedStorage")',
+        'local PlayerManager = require("@PlayerManager")',
+        'local Config = require("@Config")',
+        '',
+        'print(Config)'
+    ].join('\n');
+
+    test('Should group, sort and deduplicate the require block', () => {
+        const result = getAliasResult(vscode.workspace.workspaceFolders[0]);
+        const organized = organizeRequireBlock(messyBlock, filePath, result);
+
+        assert.strictEqual(organized.startLine, 1, 'Leading comments should stay above the block');
+        assert.strictEqual(organized.endLine, 9, 'The block should end at its last require');
+        assert.strictEqual(organized.text, [
+            'local Players = game:GetService("Players")',
+            'local ReplicatedStorage = game:GetService("ReplicatedStorage")',
+            '',
+            'require = require(ReplicatedStorage.src._Import)(script)',
+            '',
+            'local TestPackage = require("@TestPackage")',
+            '',
+            'local Config = require("@Config")',
+            'local StringUtils = require("@StringUtils")',
+            '',
+            'local PlayerManager = require("@PlayerManager")'
+        ].join('\n'), 'Modules under src/Shared should be grouped as Shared requires');
+
+        const reorganized = messyBlock.split('\n');
+        reorganized.splice(1, 9, ...organized.text.split('\n'));
+        assert.strictEqual(organizeRequireBlock(reorganized.join('\n'), filePath, result), null,
+            'An organized block should be left alone');
+    });
+
+    test('Should keep requires of locals after the locals they use', () => {
+        const result = getAliasResult(vscode.workspace.workspaceFolders[0]);
+        const organized = organizeRequireBlock([
+            'local ReplicatedStorage = game:GetService("ReplicatedStorage")',
+            'local Knit = require(ReplicatedStorage.Packages.Knit)',
+            'local Component = require(Knit.Util.Component)',
+            'local Config = require("@Config")',
+            'local Players = game:GetService("Players")',
+            '',
+            'print(Component, Config, Players)'
+        ].join('\n'), filePath, result);
+
+        assert.deepStrictEqual(organized.text.split('\n'), [
+            'local Players = game:GetService("Players")',
+            'local ReplicatedStorage = game:GetService("ReplicatedStorage")',
+            '',
+            'local Config = require("@Config")',
+            '',
+            'local Knit = require(ReplicatedStorage.Packages.Knit)',
+            'local Component = require(Knit.Util.Component)'
+        ], 'Only string literal requires should be sorted, the others keep their order below the locals they use');
+    });
+
+    test('Should keep the import line first with TopOfFile placement', () => {
+        const restoreTop = mockWorkspaceConfig(testWorkspaceUri, { preferredImportPlacement: 'TopOfFile' });
+        try {
+            const organized = organizeRequireBlock([
+                'local Players = game:GetService("Players")',
+                'require = require(ReplicatedStorage.src._Import)(script)',
+                'local Config = require("@Config")'
+            ].join('\n'), filePath, null);
+
+            assert.deepStrictEqual(organized.text.split('\n'), [
+                'require = require(ReplicatedStorage.src._Import)(script)',
+                '',
+                'local Players = game:GetService("Players")',
+                '',
+                'local Config = require("@Config")'
+            ]);
+        } finally {
+            restoreTop();
+        }
+    });
+
+    test('Should replace only the require block of a document', () => {
+        const document = createMockDocument(filePath, messyBlock);
+        const [edit] = getOrganizeRequireEdits(document);
+
+        assert.deepStrictEqual([edit.range.start.line, edit.range.start.character], [1, 0]);
+        assert.deepStrictEqual([edit.range.end.line, edit.range.end.character], [9, 'local Config = require("@Config")'.length]);
+        assert.deepStrictEqual(getOrganizeRequireEdits(createMockDocument(filePath, 'print("no requires")')), []);
+    });
+});
@@ -0,0 +1,168 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const path = require('path');
+const fs = require('fs');
+
+// Import extension modules for testing
+const { generateFileAliases } = require('../../src/features/updateLuaFileAliases');
+const { codeActionProvider, pinManualAlias, PIN_ALIAS_COMMAND } = require('../../src/features/requireCodeActions');
+const { getDiagnosticCollection, DIAGNOSTIC_CODES } = require('../../src/features/aliasDiagnostics');
+
+// Import shared test utilities
+const {
+    mockWorkspaceConfig,
+    createMockDocument,
+    createTestFiles,
+    mockVSCodeMessages,
+    setupTestWorkspace
+} = require('../utils/testUtils');
+
+suite('Require Code Action Tests', () => {
+    vscode.window.showInformationMessage('Starting Require Code Action tests...');
+
+    let testWorkspaceUri;
+    let testWorkspacePath;
+
+    suiteSetup(async () => {
+        testWorkspaceUri = vscode.Uri.file(path.join(__dirname, 'code-action-test-workspace'));
+        testWorkspacePath = testWorkspaceUri.fsPath;
+
+        if (!fs.existsSync(testWorkspacePath)) {
+            fs.mkdirSync(testWorkspacePath, { recursive: true });
+        }
+
+        await setupTestWorkspace(testWorkspacePath);
+        createTestFiles(testWorkspacePath, {
+            'src/Server/Systems/Config/init.luau': 'return {}'
+        });
+    });
+
+    suiteTeardown(async () => {
+        if (fs.existsSync(testWorkspacePath)) {
+            fs.rmSync(testWorkspacePath, { recursive: true, force: true });
+        }
+    });
+
+    test('Should offer one rewrite and one pin per candidate of an ambiguous require', () => {
+        const restore = mockWorkspaceConfig(testWorkspaceUri, {
+            directoriesToScan: ['src/Server', 'src/Client', 'src/Shared']
+        });
+
+        try {
+            generateFileAliases(vscode.workspace.workspaceFolders[0]);
+            const lineText = 'local Config = require("@Config")';
+            const document = createMockDocument(path.join(testWorkspacePath, 'src/Client/ClientMain.luau'), lineText);
+            const range = new vscode.Range(0, 27, 0, 27);
+
+            const actions = codeActionProvider.provideCodeActions(document, range, { diagnostics: [] });
+            const rewrites = actions.filter(action => action.edit);
+            const pins = actions.filter(action => action.command);
+
+            const rewriteEdits = rewrites.map(action => action.edit.get(document.uri));
+            assert.deepStrictEqual(rewriteEdits.map(edits => edits.map(edit => edit.newText)), [['@Server/Systems/Config'], ['@Shared/Config']],
+                'Each candidate should be rewritten relative to its root alias, folder modules without init');
+            const { start, end } = rewriteEdits[0][0].range;
+            assert.deepStrictEqual([start.line, start.character, end.line, end.character], [0, 24, 0, 31], 'Only the require string should be replaced');
+            assert.deepStrictEqual(pins.map(action => action.command.arguments.slice(1)), [
+                ['Config', 'src/Server/Systems/Config/init.luau'],
+                ['Config', 'src/Shared/Config.luau']
+            ]);
+            assert.strictEqual(pins[0].command.command, PIN_ALIAS_COMMAND);
+        } finally {
+            restore();
+        }
+    });
+
+    test('Should prefer qualified aliases and skip unambiguous requires', () => {
+        const restore = mockWorkspaceConfig(testWorkspaceUri, {
+            directoriesToScan: ['src/Server', 'src/Client', 'src/Shared'],
+            manualAliases: { Server: 'src/Server', Shared: 'src/Shared' },
+            ambiguousAliasStrategy: 'PathQualified'
+        });
+
+        try {
+            generateFileAliases(vscode.workspace.workspaceFolders[0]);
+            const document = createMockDocument(path.join(testWorkspacePath, 'src/Client/ClientMain.luau'), [
+                'local Config = require("@Config")',
+                'local StringUtils = require("@StringUtils")'
+            ].join('\n'));
+
+            const actions = codeActionProvider.provideCodeActions(document, new vscode.Range(0, 27, 0, 27), { diagnostics: [] });
+            const rewrites = actions.filter(action => action.edit).map(action => action.edit.get(document.uri).map(edit => edit.newText));
+            assert.deepStrictEqual(rewrites, [['@Systems/Config'], ['@Shared/Config']]);
+
+            const unambiguous = codeActionProvider.provideCodeActions(document, new vscode.Range(1, 32, 1, 32), { diagnostics: [] });
+            assert.deepStrictEqual(unambiguous, [], 'Unambiguous requires should get no fixes');
+        } finally {
+            restore();
+        }
+    });
+
+    test('Should pin a candidate as a manual alias in the folder settings', async () => {
+        const restore = mockWorkspaceConfig(testWorkspaceUri, {});
+        const messages = mockVSCodeMessages();
+        const originalGetConfiguration = vscode.workspace.getConfiguration;
+        const updates = [];
+        vscode.workspace.getConfiguration = (section, scope) => {
+            const config = originalGetConfiguration(section, scope);
+            return { ...config, update: (key, value, target) => { updates.push({ key, value, target }); return Promise.resolve(); } };
+        };
+
+        try {
+            await pinManualAlias(testWorkspaceUri, 'Config', 'src/Shared/Config.luau');
+
+            assert.strictEqual(updates.length, 1);
+            assert.strictEqual(updates[0].key, 'manualAliases');
+            assert.strictEqual(updates[0].target, vscode.ConfigurationTarget.WorkspaceFolder);
+            assert.deepStrictEqual(updates[0].value, {
+                '@Server': 'src/Server',
+                '@Client': 'src/Client',
+                '@Shared': 'src/Shared',
+                Config: 'src/Shared/Config.luau'
+            }, 'Existing manual aliases should be kept');
+        } finally {
+            vscode.workspace.getConfiguration = originalGetConfiguration;
+            messages.restore();
+            restore();
+        }
+    });
+
+    test('Should treat a pinned alias as the resolution of its ambiguous name after regenerating', async () => {
+        const restoreBefore = mockWorkspaceConfig(testWorkspaceUri, { manualAliases: {} });
+        const messages = mockVSCodeMessages();
+        const originalGetConfiguration = vscode.workspace.getConfiguration;
+        let pinnedAliases;
+        vscode.workspace.getConfiguration = (section, scope) => {
+            const config = originalGetConfiguration(section, scope);
+            return { ...config, update: (key, value) => { pinnedAliases = value; return Promise.resolve(); } };
+        };
+        try {
+            await pinManualAlias(testWorkspaceUri, 'Config', 'src/Shared/Config.luau');
+        } finally {
+            vscode.workspace.getConfiguration = originalGetConfiguration;
+            messages.restore();
+            restoreBefore();
+        }
+
+        const restore = mockWorkspaceConfig(testWorkspaceUri, {
+            directoriesToScan: ['src/Server', 'src/Client', 'src/Shared'],
+            manualAliases: pinnedAliases
+        });
+        const getDiagnostics = (relativePath) =>
+            getDiagnosticCollection().get(vscode.Uri.file(path.join(testWorkspacePath, relativePath))) || [];
+
+        try {
+            const result = generateFileAliases(vscode.workspace.workspaceFolders[0]);
+
+            assert.ok(!result.shadowedAliases.Config, 'The pin should not count as shadowing the module it points to');
+            const pinned = getDiagnostics('src/Shared/Config.luau');
+            assert.deepStrictEqual(pinned.map(diagnostic => diagnostic.code), [DIAGNOSTIC_CODES.ambiguousAlias]);
+            assert.ok(pinned[0].message.endsWith('"@Config" points to this module because it is pinned in manualAliases.'), pinned[0].message);
+            const other = getDiagnostics('src/Server/Systems/Config/init.luau');
+            assert.deepStrictEqual(other.map(diagnostic => diagnostic.code), [DIAGNOSTIC_CODES.ambiguousAlias]);
+            assert.ok(other[0].message.endsWith('"@Config" is pinned to src/Shared/Config.luau in manualAliases.'), other[0].message);
+        } finally {
+            restore();
+        }
+    });
+});
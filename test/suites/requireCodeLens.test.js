@@ -0,0 +1,111 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const path = require('path');
+const fs = require('fs');
+
+// Import extension modules for testing
+const { generateFileAliases } = require('../../src/features/updateLuaFileAliases');
+const { codeLensProvider } = require('../../src/features/requireCodeLens');
+const { applyRequireGraphEvent } = require('../../src/core/requireGraph');
+
+// Import shared test utilities
+const {
+    mockWorkspaceConfig,
+    createMockDocument,
+    createTestFiles,
+    setupTestWorkspace
+} = require('../utils/testUtils');
+
+suite('Require CodeLens Tests', () => {
+    vscode.window.showInformationMessage('Starting Require CodeLens tests...');
+
+    let testWorkspaceUri;
+    let testWorkspacePath;
+    let restore;
+
+    suiteSetup(async () => {
+        testWorkspaceUri = vscode.Uri.file(path.join(__dirname, 'codelens-test-workspace'));
+        testWorkspacePath = testWorkspaceUri.fsPath;
+
+        if (!fs.existsSync(testWorkspacePath)) {
+            fs.mkdirSync(testWorkspacePath, { recursive: true });
+        }
+
+        await setupTestWorkspace(testWorkspacePath);
+        createTestFiles(testWorkspacePath, {
+            'src/Server/ServerMain.luau': 'local PlayerManager = require("@PlayerManager")\nlocal Config = require("@Server/Config")\nreturn nil',
+            'src/Server/Boot.server.luau': 'local PlayerManager = require("@PlayerManager")\nPlayerManager.start(require("@PlayerManager"))',
+            'src/Server/Config.luau': 'return {}',
+            'src/Shared/_Internal/Secret.luau': 'return {}'
+        });
+        restore = mockWorkspaceConfig(testWorkspaceUri, {
+            directoriesToScan: ['src/Server', 'src/Client', 'src/Shared']
+        });
+        generateFileAliases(vscode.workspace.workspaceFolders[0]);
+    });
+
+    suiteTeardown(async () => {
+        restore();
+        if (fs.existsSync(testWorkspacePath)) {
+            fs.rmSync(testWorkspacePath, { recursive: true, force: true });
+        }
+    });
+
+    function getLens(relativePath) {
+        const filePath = path.join(testWorkspacePath, relativePath);
+        return codeLensProvider.provideCodeLenses(createMockDocument(filePath, fs.readFileSync(filePath, 'utf8')));
+    }
+
+    test('Should count the requiring modules and peek their requires', () => {
+        const [lens] = getLens('src/Server/Systems/PlayerManager.luau');
+
+        assert.strictEqual(lens.command.title, 'Required by 2 modules · alias @PlayerManager');
+        assert.strictEqual(lens.command.command, 'editor.action.showReferences');
+        const [uri, position, locations] = lens.command.arguments;
+        assert.strictEqual(uri.fsPath, path.join(testWorkspacePath, 'src/Server/Systems/PlayerManager.luau'));
+        assert.deepStrictEqual([position.line, position.character], [0, 0]);
+        assert.strictEqual(locations.length, 3, 'Every require should be peekable, even several from one file');
+    });
+
+    test('Should say why a module has no alias', () => {
+        const [ambiguous] = getLens('src/Server/Config.luau');
+        assert.strictEqual(ambiguous.command.title,
+            'Required by 1 module · no alias: "Config" is shared with src/Shared/Config.luau · require as @Server/Config');
+
+        const [ignored] = getLens('src/Shared/_Internal/Secret.luau');
+        assert.strictEqual(ignored.command.title, 'Required by 0 modules · no alias: src/Shared/_Internal is excluded by ignoreDirectories');
+    });
+
+    test('Should count from the cached require graph until a file event changes it', () => {
+        const filePath = path.join(testWorkspacePath, 'src/Server/Systems/PlayerManager.luau');
+        const document = createMockDocument(filePath, fs.readFileSync(filePath, 'utf8'));
+        const configPath = path.join(testWorkspacePath, 'src/Server/Config.luau');
+        const originalConfig = fs.readFileSync(configPath, 'utf8');
+        codeLensProvider.provideCodeLenses(document);
+
+        const originalReadFileSync = fs.readFileSync;
+        const reads = [];
+        fs.readFileSync = (file, ...args) => { reads.push(file); return originalReadFileSync(file, ...args); };
+        try {
+            const [lens] = codeLensProvider.provideCodeLenses(document);
+            codeLensProvider.provideCodeLenses(document);
+            assert.strictEqual(lens.command.title, 'Required by 2 modules · alias @PlayerManager');
+            assert.deepStrictEqual(reads, [], 'Lenses should not read the scan roots again');
+
+            fs.writeFileSync(configPath, 'local PlayerManager = require("@PlayerManager")\nreturn {}');
+            assert.ok(applyRequireGraphEvent(vscode.workspace.workspaceFolders[0], configPath, 'change'));
+            const [updated] = codeLensProvider.provideCodeLenses(document);
+            assert.strictEqual(updated.command.title, 'Required by 3 modules · alias @PlayerManager');
+            assert.deepStrictEqual(reads, [configPath], 'Only the changed file should be read');
+        } finally {
+            fs.readFileSync = originalReadFileSync;
+            fs.writeFileSync(configPath, originalConfig);
+            applyRequireGraphEvent(vscode.workspace.workspaceFolders[0], configPath, 'change');
+        }
+    });
+
+    test('Should not show a lens on scripts or files outside the scan roots', () => {
+        assert.deepStrictEqual(getLens('src/Server/Boot.server.luau'), []);
+        assert.deepStrictEqual(getLens('Packages/TestPackage.luau'), []);
+    });
+});
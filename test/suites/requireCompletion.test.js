@@ -0,0 +1,75 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const path = require('path');
+const fs = require('fs');
+
+// Import extension modules for testing
+const { generateFileAliases } = require('../../src/features/updateLuaFileAliases');
+const { completionProvider } = require('../../src/features/requireCompletion');
+
+// Import shared test utilities
+const {
+    mockWorkspaceConfig,
+    createMockDocument,
+    setupTestWorkspace
+} = require('../utils/testUtils');
+
+suite('Require Completion Tests', () => {
+    vscode.window.showInformationMessage('Starting Require Completion tests...');
+
+    let testWorkspaceUri;
+    let testWorkspacePath;
+    let restore;
+
+    suiteSetup(async () => {
+        testWorkspaceUri = vscode.Uri.file(path.join(__dirname, 'completion-test-workspace'));
+        testWorkspacePath = testWorkspaceUri.fsPath;
+
+        if (!fs.existsSync(testWorkspacePath)) {
+            fs.mkdirSync(testWorkspacePath, { recursive: true });
+        }
+
+        await setupTestWorkspace(testWorkspacePath);
+        restore = mockWorkspaceConfig(testWorkspaceUri, {
+            directoriesToScan: ['src/Server', 'src/Client', 'src/Shared']
+        });
+        generateFileAliases(vscode.workspace.workspaceFolders[0]);
+    });
+
+    suiteTeardown(async () => {
+        restore();
+        if (fs.existsSync(testWorkspacePath)) {
+            fs.rmSync(testWorkspacePath, { recursive: true, force: true });
+        }
+    });
+
+    function complete(lineText) {
+        const document = createMockDocument(path.join(testWorkspacePath, 'src/Server/ServerMain.luau'), lineText);
+        return completionProvider.provideCompletionItems(document, new vscode.Position(0, lineText.length));
+    }
+
+    test('Should suggest every alias with its path and scan root', () => {
+        const items = complete('local Config = require("@Co');
+        const labels = items.map(item => item.label.label);
+
+        assert.ok(labels.includes('Config'), 'Generated aliases should be suggested');
+        assert.ok(labels.includes('Shared'), 'Manual aliases should be suggested');
+
+        const config = items.find(item => item.label.label === 'Config');
+        assert.strictEqual(config.detail, 'src/Shared/Config.luau', 'Detail should show the relative path');
+        assert.strictEqual(config.label.description, 'Shared', 'Suggestion should be marked with its scan root');
+        assert.strictEqual(config.range.start.character, 25, 'Only the alias name after "@" should be replaced');
+    });
+
+    test('Should continue into sub paths after a root alias', () => {
+        const items = complete('local StringUtils = require("@Shared/Utils/');
+        const labels = items.map(item => item.label);
+
+        assert.deepStrictEqual(labels, ['StringUtils'], 'Modules inside the folder should be suggested, without init files');
+        assert.strictEqual(items[0].detail, 'src/Shared/Utils/StringUtils.luau');
+    });
+
+    test('Should not suggest anything outside of require strings', () => {
+        assert.strictEqual(complete('local text = "@Co'), undefined);
+    });
+});
@@ -0,0 +1,141 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const path = require('path');
+const fs = require('fs');
+
+// Import extension modules for testing
+const { generateFileAliases } = require('../../src/features/updateLuaFileAliases');
+const { updateCycleDiagnostics, listRequireCycles, getDiagnosticCollection } = require('../../src/features/requireCycles');
+const { DIAGNOSTIC_CODES } = require('../../src/features/aliasDiagnostics');
+const { getAliasResult } = require('../../src/core/aliasResolver');
+const { getRequireGraph, findRequireCycles, applyRequireGraphEvent } = require('../../src/core/requireGraph');
+
+// Import shared test utilities
+const {
+    mockWorkspaceConfig,
+    createTestFiles,
+    mockVSCodeMessages,
+    setupTestWorkspace
+} = require('../utils/testUtils');
+
+suite('Require Cycle Tests', () => {
+    vscode.window.showInformationMessage('Starting Require Cycle tests...');
+
+    let testWorkspaceUri;
+    let testWorkspacePath;
+    let restore;
+
+    const diagnosticsOf = relativePath => getDiagnosticCollection().get(vscode.Uri.file(path.join(testWorkspacePath, relativePath))) || [];
+
+    suiteSetup(async () => {
+        testWorkspaceUri = vscode.Uri.file(path.join(__dirname, 'cycles-test-workspace'));
+        testWorkspacePath = testWorkspaceUri.fsPath;
+
+        if (!fs.existsSync(testWorkspacePath)) {
+            fs.mkdirSync(testWorkspacePath, { recursive: true });
+        }
+
+        await setupTestWorkspace(testWorkspacePath);
+        createTestFiles(testWorkspacePath, {
+            'src/Server/Alpha.luau': 'local Beta = require("@Beta")\nreturn {}',
+            'src/Server/Beta.luau': 'local Gamma = require("@Gamma")\nreturn {}',
+            'src/Shared/Gamma.luau': 'local Alpha = require("@Alpha")\nlocal AlphaAgain = require("@Server/Alpha")\nreturn {}',
+            'src/Shared/Delta.luau': 'local Epsilon = require("@Epsilon")\nreturn {}',
+            'src/Shared/Epsilon.luau': 'local Delta = require("@Delta")\nreturn {}',
+            'src/Client/ClientMain.luau': 'local Alpha = require("@Alpha")'
+        });
+        restore = mockWorkspaceConfig(testWorkspaceUri, {
+            directoriesToScan: ['src/Server', 'src/Client', 'src/Shared']
+        });
+        generateFileAliases(vscode.workspace.workspaceFolders[0]);
+    });
+
+    suiteTeardown(async () => {
+        restore();
+        if (fs.existsSync(testWorkspacePath)) {
+            fs.rmSync(testWorkspacePath, { recursive: true, force: true });
+        }
+    });
+
+    test('Should report every require of a cycle with the full cycle path', () => {
+        const cycles = updateCycleDiagnostics(vscode.workspace.workspaceFolders[0]);
+        assert.strictEqual(cycles.length, 2, 'Cycles through the same modules should be reported once');
+
+        const [alpha] = diagnosticsOf('src/Server/Alpha.luau');
+        assert.strictEqual(alpha.code, DIAGNOSTIC_CODES.circularRequire);
+        assert.ok(alpha.message.includes('src/Server/Alpha.luau → src/Server/Beta.luau → src/Shared/Gamma.luau → src/Server/Alpha.luau'),
+            `Message should contain the cycle path: ${alpha.message}`);
+        assert.strictEqual(alpha.relatedInformation.length, 2, 'The other requires of the cycle should be related');
+
+        assert.strictEqual(diagnosticsOf('src/Shared/Gamma.luau').length, 2, 'Both requires closing the cycle should be reported');
+        assert.strictEqual(diagnosticsOf('src/Shared/Delta.luau').length, 1);
+        assert.strictEqual(diagnosticsOf('src/Client/ClientMain.luau').length, 0, 'Requires into a cycle are not part of it');
+    });
+
+    test('Should clear diagnostics once a cycle is broken', () => {
+        const epsilonPath = path.join(testWorkspacePath, 'src/Shared/Epsilon.luau');
+        const original = fs.readFileSync(epsilonPath, 'utf8');
+        fs.writeFileSync(epsilonPath, 'return {}');
+        assert.ok(applyRequireGraphEvent(vscode.workspace.workspaceFolders[0], epsilonPath, 'change'), 'The saved file should change the graph');
+
+        try {
+            const cycles = updateCycleDiagnostics(vscode.workspace.workspaceFolders[0]);
+            assert.strictEqual(cycles.length, 1);
+            assert.strictEqual(diagnosticsOf('src/Shared/Delta.luau').length, 0, 'Diagnostics of the broken cycle should be removed');
+            assert.strictEqual(diagnosticsOf('src/Server/Alpha.luau').length, 1);
+        } finally {
+            fs.writeFileSync(epsilonPath, original);
+            applyRequireGraphEvent(vscode.workspace.workspaceFolders[0], epsilonPath, 'change');
+        }
+    });
+
+    test('Should search again only what a change touches and match a full search', () => {
+        const workspaceFolder = vscode.workspace.workspaceFolders[0];
+        const epsilonPath = path.join(testWorkspacePath, 'src/Shared/Epsilon.luau');
+        const gammaPath = path.join(testWorkspacePath, 'src/Shared/Gamma.luau');
+        const originals = { [epsilonPath]: fs.readFileSync(epsilonPath, 'utf8'), [gammaPath]: fs.readFileSync(gammaPath, 'utf8') };
+        const describe = cycles => cycles.map(cycle => cycle.map(step => `${path.basename(step.filePath)}:${step.start}`).join(' → '));
+        const update = (filePath, content) => {
+            fs.writeFileSync(filePath, content);
+            applyRequireGraphEvent(workspaceFolder, filePath, 'change');
+            const cycles = updateCycleDiagnostics(workspaceFolder);
+            assert.deepStrictEqual(describe(cycles), describe(findRequireCycles(getRequireGraph(getAliasResult(workspaceFolder)))),
+                'The cycles should be the ones a full search finds');
+            return cycles;
+        };
+        const [alphaCycle] = updateCycleDiagnostics(workspaceFolder);
+
+        try {
+            // The Delta cycle now leads into the Alpha cycle, and Epsilon's require of Delta moves down a line
+            const cycles = update(epsilonPath, 'local Alpha = require("@Alpha")\n' + originals[epsilonPath]);
+            assert.strictEqual(cycles.length, 2);
+            assert.strictEqual(cycles[0], alphaCycle, 'The cycle of a component the change does not touch should be reused');
+            const [delta] = diagnosticsOf('src/Shared/Delta.luau');
+            assert.strictEqual(delta.relatedInformation[0].location.range.start.line, 1, 'Moved requires should be reported at their new line');
+
+            // Gamma requiring Delta joins both cycles into one component
+            assert.ok(update(gammaPath, 'local Delta = require("@Delta")\n' + originals[gammaPath]).length > 2,
+                'Cycles through both components should be found');
+        } finally {
+            update(gammaPath, originals[gammaPath]);
+            update(epsilonPath, originals[epsilonPath]);
+        }
+        assert.strictEqual(updateCycleDiagnostics(workspaceFolder).length, 2);
+    });
+
+    test('Should list every cycle of the workspace', async () => {
+        const messages = mockVSCodeMessages();
+        const originalShowQuickPick = vscode.window.showQuickPick;
+        let items;
+        vscode.window.showQuickPick = async (pickItems) => { items = pickItems; return undefined; };
+
+        try {
+            await listRequireCycles();
+
+            assert.deepStrictEqual(items.map(item => item.label).sort(), ['Alpha → Beta → Gamma', 'Delta → Epsilon']);
+        } finally {
+            vscode.window.showQuickPick = originalShowQuickPick;
+            messages.restore();
+        }
+    });
+});
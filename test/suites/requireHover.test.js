@@ -0,0 +1,125 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const path = require('path');
+const fs = require('fs');
+
+// Import extension modules for testing
+const { generateFileAliases } = require('../../src/features/updateLuaFileAliases');
+const { hoverProvider } = require('../../src/features/requireHover');
+const { invalidateRojoProject } = require('../../src/utils/rojoUtils');
+
+// Import shared test utilities
+const {
+    mockWorkspaceConfig,
+    createMockDocument,
+    createTestFiles,
+    setupTestWorkspace
+} = require('../utils/testUtils');
+
+suite('Require Hover Tests', () => {
+    vscode.window.showInformationMessage('Starting Require Hover tests...');
+
+    let testWorkspaceUri;
+    let testWorkspacePath;
+    let restore;
+
+    suiteSetup(async () => {
+        testWorkspaceUri = vscode.Uri.file(path.join(__dirname, 'hover-test-workspace'));
+        testWorkspacePath = testWorkspaceUri.fsPath;
+
+        if (!fs.existsSync(testWorkspacePath)) {
+            fs.mkdirSync(testWorkspacePath, { recursive: true });
+        }
+
+        await setupTestWorkspace(testWorkspacePath);
+        createTestFiles(testWorkspacePath, {
+            'src/Server/Config.luau': 'return {}',
+            'src/Server/Systems/Util.luau': 'return {}',
+            'src/Shared/Util.luau': 'return {}',
+            'default.project.json': JSON.stringify({
+                name: 'Game',
+                tree: {
+                    $className: 'DataModel',
+                    ServerScriptService: { Server: { $path: 'src/Server' } },
+                    ReplicatedStorage: { Shared: { $path: 'src/Shared' } }
+                }
+            })
+        });
+        restore = mockWorkspaceConfig(testWorkspaceUri, {
+            directoriesToScan: ['src/Server', 'src/Client', 'src/Shared'],
+            preferredAliasRoots: ['src/Shared']
+        });
+        generateFileAliases(vscode.workspace.workspaceFolders[0]);
+    });
+
+    suiteTeardown(async () => {
+        restore();
+        if (fs.existsSync(testWorkspacePath)) {
+            fs.rmSync(testWorkspacePath, { recursive: true, force: true });
+        }
+    });
+
+    function hover(fileName, lineText) {
+        const document = createMockDocument(path.join(testWorkspacePath, fileName), lineText);
+        return hoverProvider.provideHover(document, new vscode.Position(0, lineText.indexOf('@') + 1));
+    }
+
+    test('Should show the module a unique alias resolves to', () => {
+        const result = hover('src/Client/ClientMain.luau', 'local StringUtils = require("@StringUtils")');
+
+        assert.ok(result, 'Hover should be shown');
+        assert.ok(result.contents.value.includes('Editor: `src/Shared/Utils/StringUtils.luau` (`game.ReplicatedStorage.Shared.Utils.StringUtils`)'),
+            'Hover should show the resolved file and its DataModel path');
+        assert.ok(!result.contents.value.includes('Ambiguous'), 'Unique aliases should not be reported as ambiguous');
+    });
+
+    test('Should list the candidates of an ambiguous alias and the runtime pick', () => {
+        const result = hover('src/Server/ServerMain.luau', 'local Config = require("@Config")');
+        const value = result.contents.value;
+
+        assert.ok(value.includes('Editor: `src/Shared/Config.luau`'), 'Editor resolution should follow the preferred root');
+        assert.ok(value.includes('Ambiguous: 2 modules are named `Config`'), 'Every candidate should be listed');
+        assert.ok(value.includes('- `src/Server/Config.luau`'), 'Every candidate should be listed');
+        assert.ok(value.includes('Runtime (from this module): `src/Server/Config.luau` (`game.ServerScriptService.Server.Config`)'),
+            'Runtime pick should be the nearest module');
+        assert.ok(value.includes('different modules'), 'Divergence between editor and runtime should be called out');
+    });
+
+    test('Should not warn when the editor and the runtime agree', () => {
+        const result = hover('src/Shared/Utils/StringUtils.luau', 'local Util = require("@Util")');
+        const value = result.contents.value;
+
+        assert.ok(value.includes('Runtime (from this module): `src/Shared/Util.luau`'), 'Runtime should search up from the module');
+        assert.ok(!value.includes('different modules'), 'No warning when both agree');
+    });
+
+    test('Should search the DataModel tree when a $path is mapped below another instance', () => {
+        const projectFile = path.join(testWorkspacePath, 'default.project.json');
+        const projectContent = fs.readFileSync(projectFile, 'utf8');
+        const project = JSON.parse(projectContent);
+        project.tree.ServerScriptService.Server.Lib = { $path: 'src/Lib' };
+        createTestFiles(testWorkspacePath, {
+            'src/Lib/Util.luau': 'return {}',
+            'default.project.json': JSON.stringify(project)
+        });
+        invalidateRojoProject(testWorkspacePath);
+        const restoreConfig = mockWorkspaceConfig(testWorkspaceUri, {
+            directoriesToScan: ['src/Server', 'src/Client', 'src/Shared', 'src/Lib'],
+            preferredAliasRoots: ['src/Shared']
+        });
+
+        try {
+            generateFileAliases(vscode.workspace.workspaceFolders[0]);
+            const value = hover('src/Server/ServerMain.luau', 'local Util = require("@Util")').contents.value;
+
+            // On disk src/Lib is a sibling of src/Server, in the DataModel it is a child of Server searched before Systems
+            assert.ok(value.includes('Runtime (from this module): `src/Lib/Util.luau` (`game.ServerScriptService.Server.Lib.Util`)'), value);
+        } finally {
+            restoreConfig();
+            fs.writeFileSync(projectFile, projectContent);
+            invalidateRojoProject(testWorkspacePath);
+            fs.rmSync(path.join(testWorkspacePath, 'src/Lib'), { recursive: true, force: true });
+            generateFileAliases(vscode.workspace.workspaceFolders[0]);
+        }
+    });
+});
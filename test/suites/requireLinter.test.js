@@ -0,0 +1,161 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const path = require('path');
+const fs = require('fs');
+
+// Import extension modules for testing
+const { generateFileAliases } = require('../../src/features/updateLuaFileAliases');
+const { lintDocument } = require('../../src/features/requireLinter');
+const { DIAGNOSTIC_CODES } = require('../../src/features/aliasDiagnostics');
+
+// Import shared test utilities
+const {
+    mockWorkspaceConfig,
+    createMockDocument,
+    createTestFiles,
+    setupTestWorkspace
+} = require('../utils/testUtils');
+
+suite('Require Linter Tests', () => {
+    vscode.window.showInformationMessage('Starting Require Linter tests...');
+
+    let testWorkspaceUri;
+    let testWorkspacePath;
+    let restore;
+
+    suiteSetup(async () => {
+        testWorkspaceUri = vscode.Uri.file(path.join(__dirname, 'linter-test-workspace'));
+        testWorkspacePath = testWorkspaceUri.fsPath;
+
+        if (!fs.existsSync(testWorkspacePath)) {
+            fs.mkdirSync(testWorkspacePath, { recursive: true });
+        }
+
+        await setupTestWorkspace(testWorkspacePath);
+        createTestFiles(testWorkspacePath, {
+            'src/Server/Config.luau': 'return {}',
+            'src/Shared/_Internal/Secret.luau': 'return {}'
+        });
+        restore = mockWorkspaceConfig(testWorkspaceUri, {
+            directoriesToScan: ['src/Server', 'src/Client', 'src/Shared']
+        });
+        generateFileAliases(vscode.workspace.workspaceFolders[0]);
+    });
+
+    suiteTeardown(async () => {
+        restore();
+        if (fs.existsSync(testWorkspacePath)) {
+            fs.rmSync(testWorkspacePath, { recursive: true, force: true });
+        }
+    });
+
+    function lint(content) {
+        return lintDocument(createMockDocument(path.join(testWorkspacePath, 'src/Server/ServerMain.luau'), content));
+    }
+
+    test('Should not report requires that resolve', () => {
+        const diagnostics = lint([
+            'local StringUtils = require("@StringUtils")',
+            'local Utils = require("@Shared/Utils")',
+            'local Child = require("@self/Child")',
+            'return { StringUtils, Utils, Child }'
+        ].join('\n'));
+
+        assert.deepStrictEqual(diagnostics, []);
+    });
+
+    test('Should report unknown, ambiguous and ignored requires', () => {
+        const diagnostics = lint([
+            'local Missing = require("@Missing")',
+            'local Config = require("@Config")',
+            'local Secret = require("@Secret")',
+            'local Nothing = require("@Shared/Nothing")',
+            'return { Missing, Config, Secret, Nothing }'
+        ].join('\n'));
+
+        assert.deepStrictEqual(diagnostics.map(diagnostic => diagnostic.code), [
+            DIAGNOSTIC_CODES.unknownAliasRequire,
+            DIAGNOSTIC_CODES.ambiguousRequire,
+            DIAGNOSTIC_CODES.ignoredRequire,
+            DIAGNOSTIC_CODES.missingModuleRequire
+        ]);
+        assert.strictEqual(diagnostics[0].range.start.line, 0, 'Diagnostic should be on the require line');
+        assert.strictEqual(diagnostics[0].range.start.character, 25, 'Diagnostic should cover the require string');
+        assert.ok(diagnostics[1].message.includes('src/Server/Config.luau') && diagnostics[1].message.includes('src/Shared/Config.luau'),
+            'Ambiguous require should list the competing modules');
+        assert.ok(diagnostics[2].message.includes('src/Shared/_Internal'), 'Ignored require should name the ignored directory');
+    });
+
+    test('Should fade out requires whose local is never used', () => {
+        const diagnostics = lint([
+            'local StringUtils = require("@StringUtils")',
+            'local Utils = require("@Shared/Utils") -- helpers',
+            '  local PlayerManager: any = require("@PlayerManager")',
+            '',
+            '-- StringUtils is mentioned in a comment',
+            'print("Utils", other.Utils, PlayerManager.Get())'
+        ].join('\n'));
+
+        assert.deepStrictEqual(diagnostics.map(diagnostic => [diagnostic.code, diagnostic.range.start.line]), [
+            [DIAGNOSTIC_CODES.unusedRequire, 0],
+            [DIAGNOSTIC_CODES.unusedRequire, 1]
+        ], 'Names in comments, strings and member accesses should not count as uses');
+        assert.deepStrictEqual(diagnostics[0].tags, [vscode.DiagnosticTag.Unnecessary]);
+        assert.strictEqual(diagnostics[0].severity, vscode.DiagnosticSeverity.Hint);
+        assert.strictEqual(diagnostics[1].range.end.character, 'local Utils = require("@Shared/Utils") -- helpers'.length);
+    });
+
+    test('Should report requires across roots that requireRules forbid', () => {
+        const restoreRules = mockWorkspaceConfig(testWorkspaceUri, {
+            directoriesToScan: ['src/Server', 'src/Client', 'src/Shared'],
+            requireRules: { Client: ['Shared'] }
+        });
+
+        try {
+            const lintAs = (fileName, content) => lintDocument(createMockDocument(path.join(testWorkspacePath, fileName), content));
+            const content = [
+                'local PlayerManager = require("@PlayerManager")',
+                'local Systems = require("@Server/Systems/PlayerManager")',
+                'local StringUtils = require("@StringUtils")',
+                'return { PlayerManager, Systems, StringUtils }'
+            ].join('\n');
+
+            const clientDiagnostics = lintAs('src/Client/ClientMain.luau', content);
+            assert.deepStrictEqual(clientDiagnostics.map(diagnostic => diagnostic.range.start.line), [0, 1], 'Only requires into Server should be reported');
+            assert.ok(clientDiagnostics.every(diagnostic => diagnostic.code === DIAGNOSTIC_CODES.forbiddenRootRequire));
+            assert.ok(clientDiagnostics[0].message.includes('Client modules may not require Server modules'), clientDiagnostics[0].message);
+
+            assert.strictEqual(lintAs('src/Shared/Boot.client.luau', content).length, 2, 'Client scripts should follow the Client rules in any root');
+            assert.strictEqual(lintAs('src/Shared/Other.luau', content).length, 0, 'Roots without rules may require anything');
+            assert.strictEqual(lintAs('src/Client/Tool.server.luau', content).length, 0, 'Server scripts should not follow the Client rules');
+        } finally {
+            restoreRules();
+        }
+    });
+
+    test('Should report requires into manualAliases directories outside the scan roots', () => {
+        createTestFiles(testWorkspacePath, { 'ServerPackages/Datastore.luau': 'return {}' });
+        const restoreRules = mockWorkspaceConfig(testWorkspaceUri, {
+            directoriesToScan: ['src/Server', 'src/Client', 'src/Shared'],
+            manualAliases: {
+                '@Server': 'src/Server',
+                '@Client': 'src/Client',
+                '@Shared': 'src/Shared',
+                '@ServerPackages': 'ServerPackages'
+            },
+            requireRules: { Client: ['Shared', 'Packages'] }
+        });
+
+        try {
+            generateFileAliases(vscode.workspace.workspaceFolders[0]);
+            const content = 'local Datastore = require("@ServerPackages/Datastore")\nreturn Datastore';
+            const diagnostics = lintDocument(createMockDocument(path.join(testWorkspacePath, 'src/Client/ClientMain.luau'), content));
+            assert.strictEqual(diagnostics.length, 1);
+            assert.strictEqual(diagnostics[0].code, DIAGNOSTIC_CODES.forbiddenRootRequire);
+            assert.ok(diagnostics[0].message.includes('Client modules may not require ServerPackages modules'), diagnostics[0].message);
+        } finally {
+            restoreRules();
+            generateFileAliases(vscode.workspace.workspaceFolders[0]);
+        }
+    });
+});
@@ -0,0 +1,264 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const path = require('path');
+const fs = require('fs');
+
+// Import extension modules for testing
+const { generateFileAliases } = require('../../src/features/updateLuaFileAliases');
+const { migrateRequiresToAliases, ejectAliasRequires } = require('../../src/commands/migrateRequires');
+
+// Import shared test utilities
+const {
+    mockWorkspaceConfig,
+    createMockDocument,
+    createTestFiles,
+    mockVSCodeMessages,
+    setupTestWorkspace
+} = require('../utils/testUtils');
+
+suite('Require Migration Tests', () => {
+    vscode.window.showInformationMessage('Starting Require Migration tests...');
+
+    let testWorkspaceUri;
+    let testWorkspacePath;
+
+    suiteSetup(async () => {
+        testWorkspaceUri = vscode.Uri.file(path.join(__dirname, 'migration-test-workspace'));
+        testWorkspacePath = testWorkspaceUri.fsPath;
+
+        if (!fs.existsSync(testWorkspacePath)) {
+            fs.mkdirSync(testWorkspacePath, { recursive: true });
+        }
+
+        await setupTestWorkspace(testWorkspacePath);
+        createTestFiles(testWorkspacePath, {
+            'src/Server/ServerMain.luau': [
+                'local ReplicatedStorage = game:GetService("ReplicatedStorage")',
+                'local StringUtils = require(ReplicatedStorage.Shared.Utils.StringUtils)',
+                'local PlayerManager = require(script.Parent:WaitForChild("Systems").PlayerManager)',
+                'local Missing = require(script.Parent.Missing)',
+                'local Config = require("@Config")'
+            ].join('\n'),
+            'src/Shared/Config.luau': 'local Utils = require(script.Parent.Utils)\nreturn {}',
+            'src/Client/ClientMain.luau': [
+                '-- selene: allow(incorrect_standard_library_use)',
+                'require = require(ReplicatedStorage.src._Import)(script)',
+                'local StringUtils = require("@StringUtils")',
+                'local PlayerManager = require("@PlayerManager")'
+            ].join('\n'),
+            'src/Shared/Utils/init.luau': [
+                'require = require(ReplicatedStorage.src._Import)(script)',
+                'local Missing = require("@Missing")',
+                'return {}'
+            ].join('\n'),
+            'default.project.json': JSON.stringify({
+                name: 'Game',
+                tree: {
+                    $className: 'DataModel',
+                    ServerScriptService: { Server: { $path: 'src/Server' } },
+                    ReplicatedStorage: {
+                        Client: { $path: 'src/Client' },
+                        Shared: { $path: 'src/Shared' }
+                    }
+                }
+            })
+        });
+    });
+
+    suiteTeardown(async () => {
+        if (fs.existsSync(testWorkspacePath)) {
+            fs.rmSync(testWorkspacePath, { recursive: true, force: true });
+        }
+    });
+
+    // Captures the workspace edits a command applies and the metadata each text change was added with
+    function captureWorkspaceEdits() {
+        const applied = [];
+        const metadata = [];
+        const originalApplyEdit = vscode.workspace.applyEdit;
+        vscode.workspace.applyEdit = (edit, options) => { applied.push({ edit, options }); return Promise.resolve(true); };
+
+        const prototype = vscode.WorkspaceEdit.prototype;
+        const originals = { replace: prototype.replace, insert: prototype.insert, delete: prototype.delete };
+        for (const [method, original] of Object.entries(originals)) {
+            prototype[method] = function (...args) {
+                metadata.push(args[method === 'delete' ? 2 : 3]);
+                return original.apply(this, args);
+            };
+        }
+
+        return {
+            applied,
+            metadata,
+            restore() {
+                vscode.workspace.applyEdit = originalApplyEdit;
+                Object.assign(prototype, originals);
+            }
+        };
+    }
+
+    // Text edits of a workspace edit for one file of the test workspace
+    const getFileEdits = (edit, relativePath) => edit.get(vscode.Uri.file(path.join(testWorkspacePath, relativePath)));
+
+    // Opens files of the test workspace with unsaved content
+    function mockOpenDocuments(documents) {
+        const textDocuments = Object.getOwnPropertyDescriptor(vscode.workspace, 'textDocuments');
+        Object.defineProperty(vscode.workspace, 'textDocuments', {
+            value: Object.entries(documents).map(([relativePath, content]) => createMockDocument(path.join(testWorkspacePath, relativePath), content)),
+            configurable: true
+        });
+        return () => Object.defineProperty(vscode.workspace, 'textDocuments', textDocuments);
+    }
+
+    test('Should rewrite instance-path requires to aliases in a single refactor edit', async () => {
+        const restore = mockWorkspaceConfig(testWorkspaceUri, {
+            directoriesToScan: ['src/Server', 'src/Client', 'src/Shared']
+        });
+        const messages = mockVSCodeMessages();
+        const capture = captureWorkspaceEdits();
+
+        try {
+            generateFileAliases(vscode.workspace.workspaceFolders[0]);
+            await migrateRequiresToAliases();
+
+            assert.strictEqual(capture.applied.length, 1, 'All files should be migrated by one workspace edit');
+            const { edit, options } = capture.applied[0];
+            assert.deepStrictEqual(options, { isRefactoring: true });
+            assert.ok(capture.metadata.length > 0 && capture.metadata.every(metadata => metadata && metadata.needsConfirmation),
+                'Every change should open in the refactor preview');
+
+            const serverEdits = getFileEdits(edit, 'src/Server/ServerMain.luau');
+            const replacements = serverEdits.filter(textEdit => !textEdit.range.isEmpty);
+            assert.deepStrictEqual(replacements.map(textEdit => textEdit.newText), ['"@StringUtils"', '"@PlayerManager"']);
+            assert.deepStrictEqual([replacements[0].range.start.line, replacements[0].range.start.character], [1, 'local StringUtils = require('.length],
+                'Only the require argument should be replaced');
+
+            const inserts = serverEdits.filter(textEdit => textEdit.range.isEmpty);
+            assert.deepStrictEqual(inserts.map(textEdit => textEdit.newText), ['require = require(ReplicatedStorage.src._Import)(script)\n'],
+                'The import line should be added once');
+
+            const configReplacements = getFileEdits(edit, 'src/Shared/Config.luau').filter(textEdit => !textEdit.range.isEmpty);
+            assert.deepStrictEqual(configReplacements.map(textEdit => textEdit.newText), ['"@Utils"'],
+                'Folder modules should be required by their folder name');
+
+            assert.ok(messages.captured.info.some(message => message.includes('Migrated 3 require(s) in 2 file(s)') && message.includes('1 require(s) could not be mapped')),
+                'The summary should count migrated and unmapped requires');
+        } finally {
+            capture.restore();
+            messages.restore();
+            restore();
+        }
+    });
+
+    test('Should migrate the unsaved content of open documents', async () => {
+        const restore = mockWorkspaceConfig(testWorkspaceUri, {
+            directoriesToScan: ['src/Server', 'src/Client', 'src/Shared']
+        });
+        const messages = mockVSCodeMessages();
+        const capture = captureWorkspaceEdits();
+        const restoreDocuments = mockOpenDocuments({
+            'src/Shared/Config.luau': '-- unsaved\nlocal Utils = require(script.Parent.Utils)\nreturn {}'
+        });
+
+        try {
+            generateFileAliases(vscode.workspace.workspaceFolders[0]);
+            await migrateRequiresToAliases();
+
+            const [replacement] = getFileEdits(capture.applied[0].edit, 'src/Shared/Config.luau').filter(textEdit => !textEdit.range.isEmpty);
+            assert.deepStrictEqual([replacement.range.start.line, replacement.range.start.character], [1, 'local Utils = require('.length],
+                'The ranges should point into the editor buffer');
+        } finally {
+            restoreDocuments();
+            capture.restore();
+            messages.restore();
+            restore();
+        }
+    });
+
+    test('Should eject alias requires to instance paths and remove the import lines', async () => {
+        const restore = mockWorkspaceConfig(testWorkspaceUri, {
+            directoriesToScan: ['src/Server', 'src/Client', 'src/Shared']
+        });
+        const messages = mockVSCodeMessages();
+        const capture = captureWorkspaceEdits();
+
+        try {
+            generateFileAliases(vscode.workspace.workspaceFolders[0]);
+            await ejectAliasRequires();
+
+            assert.strictEqual(capture.applied.length, 1, 'All files should be ejected by one workspace edit');
+            const { edit, options } = capture.applied[0];
+            assert.deepStrictEqual(options, { isRefactoring: true });
+            assert.ok(capture.metadata.every(metadata => metadata && metadata.needsConfirmation), 'Every change should open in the refactor preview');
+
+            const clientEdits = getFileEdits(edit, 'src/Client/ClientMain.luau');
+            assert.deepStrictEqual(clientEdits.filter(textEdit => textEdit.newText !== '').map(textEdit => textEdit.newText), [
+                'script.Parent.Parent.Shared.Utils.StringUtils',
+                'game:GetService("ServerScriptService").Server.Systems.PlayerManager'
+            ], 'Modules in the same service should be reached from script, others through their service');
+            const deletions = clientEdits.filter(textEdit => textEdit.newText === '');
+            assert.deepStrictEqual(deletions.map(({ range }) => [range.start.line, range.end.line, range.end.character]), [[0, 1, 0], [1, 2, 0]],
+                'The import line and its selene comment should be removed');
+
+            assert.deepStrictEqual(getFileEdits(edit, 'src/Shared/Utils/init.luau'), [], 'Files with unmapped alias requires should keep their import line');
+            assert.ok(messages.captured.info.some(message => message.includes('1 require(s) could not be mapped')));
+        } finally {
+            capture.restore();
+            messages.restore();
+            restore();
+        }
+    });
+
+    test('Should eject the unsaved content of open documents', async () => {
+        const restore = mockWorkspaceConfig(testWorkspaceUri, {
+            directoriesToScan: ['src/Server', 'src/Client', 'src/Shared']
+        });
+        const messages = mockVSCodeMessages();
+        const capture = captureWorkspaceEdits();
+        const restoreDocuments = mockOpenDocuments({
+            'src/Client/ClientMain.luau': [
+                '--!strict',
+                '-- selene: allow(incorrect_standard_library_use)',
+                'require = require(ReplicatedStorage.src._Import)(script)',
+                'local StringUtils = require("@StringUtils")'
+            ].join('\n')
+        });
+
+        try {
+            generateFileAliases(vscode.workspace.workspaceFolders[0]);
+            await ejectAliasRequires();
+
+            const clientEdits = getFileEdits(capture.applied[0].edit, 'src/Client/ClientMain.luau');
+            assert.deepStrictEqual(clientEdits.filter(textEdit => textEdit.newText !== '').map(({ range }) => range.start.line), [3],
+                'Only the require of the editor buffer should be replaced');
+            assert.deepStrictEqual(clientEdits.filter(textEdit => textEdit.newText === '').map(({ range }) => [range.start.line, range.end.line]), [[1, 2], [2, 3]],
+                'The import line and its selene comment should be removed where they are in the editor buffer');
+        } finally {
+            restoreDocuments();
+            capture.restore();
+            messages.restore();
+            restore();
+        }
+    });
+
+    test('Should require a Rojo project file', async () => {
+        const restore = mockWorkspaceConfig(testWorkspaceUri, {
+            directoriesToScan: ['src/Server', 'src/Client', 'src/Shared']
+        });
+        const messages = mockVSCodeMessages();
+        const projectFile = path.join(testWorkspacePath, 'default.project.json');
+        const projectContent = fs.readFileSync(projectFile, 'utf8');
+        fs.rmSync(projectFile);
+
+        try {
+            generateFileAliases(vscode.workspace.workspaceFolders[0]);
+            await migrateRequiresToAliases();
+
+            assert.ok(messages.captured.error.some(message => message.includes('needs a Rojo project file')));
+        } finally {
+            fs.writeFileSync(projectFile, projectContent);
+            messages.restore();
+            restore();
+        }
+    });
+});
@@ -0,0 +1,80 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const path = require('path');
+const fs = require('fs');
+
+// Import extension modules for testing
+const { generateFileAliases } = require('../../src/features/updateLuaFileAliases');
+const { definitionProvider, documentLinkProvider } = require('../../src/features/requireNavigation');
+
+// Import shared test utilities
+const {
+    mockWorkspaceConfig,
+    createMockDocument,
+    setupTestWorkspace
+} = require('../utils/testUtils');
+
+suite('Require Navigation Tests', () => {
+    vscode.window.showInformationMessage('Starting Require Navigation tests...');
+
+    let testWorkspaceUri;
+    let testWorkspacePath;
+    let restore;
+
+    suiteSetup(async () => {
+        testWorkspaceUri = vscode.Uri.file(path.join(__dirname, 'navigation-test-workspace'));
+        testWorkspacePath = testWorkspaceUri.fsPath;
+
+        if (!fs.existsSync(testWorkspacePath)) {
+            fs.mkdirSync(testWorkspacePath, { recursive: true });
+        }
+
+        await setupTestWorkspace(testWorkspacePath);
+        restore = mockWorkspaceConfig(testWorkspaceUri, {
+            directoriesToScan: ['src/Server', 'src/Client', 'src/Shared']
+        });
+        generateFileAliases(vscode.workspace.workspaceFolders[0]);
+    });
+
+    suiteTeardown(async () => {
+        restore();
+        if (fs.existsSync(testWorkspacePath)) {
+            fs.rmSync(testWorkspacePath, { recursive: true, force: true });
+        }
+    });
+
+    function createDocument(content) {
+        return createMockDocument(path.join(testWorkspacePath, 'src/Server/ServerMain.luau'), content);
+    }
+
+    test('Should jump from an alias require to the module file', () => {
+        const document = createDocument('local Config = require("@Config")');
+
+        const location = definitionProvider.provideDefinition(document, new vscode.Position(0, 27));
+        assert.ok(location, 'Definition should be found');
+        assert.strictEqual(location.uri.fsPath, path.join(testWorkspacePath, 'src/Shared/Config.luau'));
+    });
+
+    test('Should resolve folder modules and sub paths to their files', () => {
+        const document = createDocument([
+            'local Utils = require("@Utils")',
+            'local StringUtils = require("@Shared/Utils/StringUtils")',
+            'local Missing = require("@Unknown")'
+        ].join('\n'));
+
+        const links = documentLinkProvider.provideDocumentLinks(document);
+        assert.deepStrictEqual(
+            links.map(link => path.relative(testWorkspacePath, link.target.fsPath).replace(/\\/g, '/')),
+            ['src/Shared/Utils/init.luau', 'src/Shared/Utils/StringUtils.luau'],
+            'Folder modules should link to their init file and unknown aliases should get no link'
+        );
+        assert.strictEqual(links[1].range.start.character, 29, 'Link should cover the require string');
+        assert.strictEqual(links[1].range.end.character, 54, 'Link should cover the require string');
+    });
+
+    test('Should ignore positions outside of require strings', () => {
+        const document = createDocument('local Config = require("@Config")');
+
+        assert.strictEqual(definitionProvider.provideDefinition(document, new vscode.Position(0, 3)), null);
+    });
+});
@@ -0,0 +1,164 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const path = require('path');
+const fs = require('fs');
+
+// Import extension modules for testing
+const { generateFileAliases } = require('../../src/features/updateLuaFileAliases');
+const { referenceProvider, showDependents } = require('../../src/features/requireReferences');
+const { getAliasResult } = require('../../src/core/aliasResolver');
+const { getDependents, applyRequireGraphEvent } = require('../../src/core/requireGraph');
+
+// Import shared test utilities
+const {
+    mockWorkspaceConfig,
+    createMockDocument,
+    createTestFiles,
+    mockVSCodeMessages,
+    setupTestWorkspace
+} = require('../utils/testUtils');
+
+suite('Require Reference Tests', () => {
+    vscode.window.showInformationMessage('Starting Require Reference tests...');
+
+    let testWorkspaceUri;
+    let testWorkspacePath;
+    let restore;
+
+    const stringUtilsPath = () => path.join(testWorkspacePath, 'src/Shared/Utils/StringUtils.luau');
+
+    suiteSetup(async () => {
+        testWorkspaceUri = vscode.Uri.file(path.join(__dirname, 'references-test-workspace'));
+        testWorkspacePath = testWorkspaceUri.fsPath;
+
+        if (!fs.existsSync(testWorkspacePath)) {
+            fs.mkdirSync(testWorkspacePath, { recursive: true });
+        }
+
+        await setupTestWorkspace(testWorkspacePath);
+        createTestFiles(testWorkspacePath, {
+            'src/Server/ServerMain.luau': [
+                'local StringUtils = require("@StringUtils")',
+                'local SameUtils = require("@Shared/Utils/StringUtils")',
+                'local Config = require("@Config")'
+            ].join('\n'),
+            'src/Client/ClientMain.luau': [
+                'local ReplicatedStorage = game:GetService("ReplicatedStorage")',
+                'local StringUtils = require(ReplicatedStorage.Shared.Utils.StringUtils)'
+            ].join('\n'),
+            'src/Shared/Config.luau': '-- local Old = require(script.Parent.Utils.StringUtils)\nlocal StringUtils = require(script.Parent.Utils.StringUtils)\nreturn {}',
+            'default.project.json': JSON.stringify({
+                name: 'Game',
+                tree: {
+                    $className: 'DataModel',
+                    ServerScriptService: { Server: { $path: 'src/Server' } },
+                    ReplicatedStorage: {
+                        Client: { $path: 'src/Client' },
+                        Shared: { $path: 'src/Shared' }
+                    }
+                }
+            })
+        });
+        restore = mockWorkspaceConfig(testWorkspaceUri, {
+            directoriesToScan: ['src/Server', 'src/Client', 'src/Shared']
+        });
+        generateFileAliases(vscode.workspace.workspaceFolders[0]);
+    });
+
+    suiteTeardown(async () => {
+        restore();
+        if (fs.existsSync(testWorkspacePath)) {
+            fs.rmSync(testWorkspacePath, { recursive: true, force: true });
+        }
+    });
+
+    function describeLocations(locations) {
+        return locations.map(location => `${path.relative(testWorkspacePath, location.uri.fsPath).replace(/\\/g, '/')}:${location.range.start.line}`);
+    }
+
+    test('Should find requires by alias, root-qualified path and instance path', () => {
+        const document = createMockDocument(stringUtilsPath(), 'return {}');
+        const locations = referenceProvider.provideReferences(document, new vscode.Position(0, 0), { includeDeclaration: false });
+
+        assert.deepStrictEqual(describeLocations(locations), [
+            'src/Server/ServerMain.luau:0',
+            'src/Server/ServerMain.luau:1',
+            'src/Client/ClientMain.luau:1',
+            'src/Shared/Config.luau:1'
+        ], 'Commented out requires should be skipped');
+        assert.strictEqual(locations[0].range.start.character, 'local StringUtils = require('.length, 'The require argument should be the reference');
+    });
+
+    test('Should find the requires of the module under the cursor and include its declaration', () => {
+        const lineText = 'local Config = require("@Config")';
+        const document = createMockDocument(path.join(testWorkspacePath, 'src/Server/ServerMain.luau'), lineText);
+        const locations = referenceProvider.provideReferences(document, new vscode.Position(0, 26), { includeDeclaration: true });
+
+        assert.deepStrictEqual(describeLocations(locations), ['src/Shared/Config.luau:0', 'src/Server/ServerMain.luau:2']);
+    });
+
+    test('Should only find the module\'s own requires from its first line or its return statement', () => {
+        const content = '--!strict\nlocal StringUtils = {}\nfunction StringUtils.trim() end\nreturn StringUtils';
+        const document = createMockDocument(stringUtilsPath(), content);
+        const findAt = line => referenceProvider.provideReferences(document, new vscode.Position(line, 2), { includeDeclaration: false });
+
+        assert.strictEqual(findAt(0).length, 4);
+        assert.strictEqual(findAt(3).length, 4);
+        assert.deepStrictEqual(findAt(1), [], 'Other lines of the module should not list its dependents');
+        assert.deepStrictEqual(findAt(2), []);
+    });
+
+    test('Should list the dependents of a module and open the chosen require', async () => {
+        const messages = mockVSCodeMessages();
+        const originalShowQuickPick = vscode.window.showQuickPick;
+        const originalShowTextDocument = vscode.window.showTextDocument;
+        let pickedItems;
+        let opened;
+        vscode.window.showQuickPick = async (items) => { pickedItems = items; return items[2]; };
+        vscode.window.showTextDocument = async (uri, options) => { opened = { uri, options }; };
+
+        try {
+            await showDependents(vscode.Uri.file(stringUtilsPath()));
+
+            assert.deepStrictEqual(pickedItems.map(item => item.detail), [
+                'require("@StringUtils")',
+                'require("@Shared/Utils/StringUtils")',
+                'require(ReplicatedStorage.Shared.Utils.StringUtils)',
+                'require(script.Parent.Utils.StringUtils)'
+            ]);
+            assert.ok(opened.uri.fsPath.endsWith('ClientMain.luau'));
+            assert.strictEqual(opened.options.selection.start.line, 1);
+
+            await showDependents(vscode.Uri.file(path.join(testWorkspacePath, 'src/Server/Systems/PlayerManager.luau')));
+            assert.ok(messages.captured.info.some(message => message.includes('No modules require')), 'Unused modules should be reported');
+        } finally {
+            vscode.window.showQuickPick = originalShowQuickPick;
+            vscode.window.showTextDocument = originalShowTextDocument;
+            messages.restore();
+        }
+    });
+
+    test('Should update the require graph from file events only', () => {
+        const workspaceFolder = vscode.workspace.workspaceFolders[0];
+        const result = getAliasResult(workspaceFolder);
+        const addedPath = path.join(testWorkspacePath, 'src/Client/Added.luau');
+        const dependentFiles = () => getDependents(result, stringUtilsPath()).map(entry => path.basename(entry.filePath));
+        const before = dependentFiles();
+
+        try {
+            createTestFiles(testWorkspacePath, { 'src/Client/Added.luau': 'local StringUtils = require("@StringUtils")' });
+            assert.deepStrictEqual(dependentFiles(), before, 'Files should not be read again without an event');
+
+            assert.strictEqual(applyRequireGraphEvent(workspaceFolder, addedPath, 'create'), true);
+            assert.deepStrictEqual(dependentFiles(), [...before, 'Added.luau']);
+            assert.strictEqual(applyRequireGraphEvent(workspaceFolder, addedPath, 'change'), false, 'An unchanged file should not change the graph');
+        } finally {
+            fs.rmSync(addedPath, { force: true });
+        }
+
+        assert.strictEqual(applyRequireGraphEvent(workspaceFolder, addedPath, 'delete'), true);
+        assert.deepStrictEqual(dependentFiles(), before);
+        assert.strictEqual(applyRequireGraphEvent(workspaceFolder, path.join(testWorkspacePath, 'Packages/Other.luau'), 'create'), false,
+            'Files outside the scan roots should be ignored');
+    });
+});
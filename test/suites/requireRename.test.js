@@ -0,0 +1,135 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const path = require('path');
+const fs = require('fs');
+
+// Import extension modules for testing
+const { generateFileAliases } = require('../../src/features/updateLuaFileAliases');
+const { renameProvider, consumeProviderRename, clearProviderRenames } = require('../../src/features/requireRename');
+
+// Import shared test utilities
+const {
+    mockWorkspaceConfig,
+    createMockDocument,
+    createTestFiles,
+    setupTestWorkspace
+} = require('../utils/testUtils');
+
+suite('Require Rename Tests', () => {
+    vscode.window.showInformationMessage('Starting Require Rename tests...');
+
+    let testWorkspaceUri;
+    let testWorkspacePath;
+    let restore;
+
+    suiteSetup(async () => {
+        testWorkspaceUri = vscode.Uri.file(path.join(__dirname, 'rename-test-workspace'));
+        testWorkspacePath = testWorkspaceUri.fsPath;
+
+        if (!fs.existsSync(testWorkspacePath)) {
+            fs.mkdirSync(testWorkspacePath, { recursive: true });
+        }
+
+        await setupTestWorkspace(testWorkspacePath);
+        createTestFiles(testWorkspacePath, {
+            'src/Server/ServerMain.luau': [
+                'local PlayerManager = require("@PlayerManager")',
+                'local Systems = require(\'@Server/Systems/PlayerManager\')',
+                'local Utils = require("@Utils")',
+                'local StringUtils = require("@Shared/Utils/StringUtils")'
+            ].join('\n'),
+            'src/Client/ClientMain.luau': 'local Config = require("@Config")\nlocal Pm = require("@playermanager")'
+        });
+        restore = mockWorkspaceConfig(testWorkspaceUri, {
+            directoriesToScan: ['src/Server', 'src/Client', 'src/Shared']
+        });
+        generateFileAliases(vscode.workspace.workspaceFolders[0]);
+    });
+
+    suiteTeardown(async () => {
+        restore();
+        if (fs.existsSync(testWorkspacePath)) {
+            fs.rmSync(testWorkspacePath, { recursive: true, force: true });
+        }
+    });
+
+    function openServerMain() {
+        const filePath = path.join(testWorkspacePath, 'src/Server/ServerMain.luau');
+        return createMockDocument(filePath, fs.readFileSync(filePath, 'utf8'));
+    }
+
+    const relative = uri => path.relative(testWorkspacePath, uri.fsPath).replace(/\\/g, '/');
+
+    // The text edits of a workspace edit as [file, line, new text]
+    const describeEdits = edit => edit.entries().flatMap(([uri, textEdits]) =>
+        textEdits.map(({ range, newText }) => [relative(uri), range.start.line, newText]));
+
+    // Applies a rename edit, checks the renamed path exists and moves it back for the other tests
+    async function applyRename(edit, oldRelativePath, newRelativePath) {
+        const oldPath = path.join(testWorkspacePath, oldRelativePath);
+        const newPath = path.join(testWorkspacePath, newRelativePath);
+        try {
+            assert.ok(await vscode.workspace.applyEdit(edit));
+            assert.ok(fs.existsSync(newPath), `${newRelativePath} should exist after the edit is applied`);
+            assert.ok(!fs.existsSync(oldPath), `${oldRelativePath} should be gone after the edit is applied`);
+        } finally {
+            if (fs.existsSync(newPath) && !fs.existsSync(oldPath)) fs.renameSync(newPath, oldPath);
+        }
+    }
+
+    test('Should rename a module file and every require of it', async () => {
+        const document = openServerMain();
+        const position = new vscode.Position(0, 35);
+
+        const prepared = renameProvider.prepareRename(document, position);
+        assert.strictEqual(prepared.placeholder, 'PlayerManager');
+        assert.deepStrictEqual([prepared.range.start.character, prepared.range.end.character], [32, 45], 'Only the module name should be renamed');
+
+        const edit = renameProvider.provideRenameEdits(document, position, 'PlayerService');
+        assert.deepStrictEqual(describeEdits(edit).sort(), [
+            ['src/Client/ClientMain.luau', 1, '"@PlayerService"'],
+            ['src/Server/ServerMain.luau', 0, '"@PlayerService"'],
+            ['src/Server/ServerMain.luau', 1, '\'@Server/Systems/PlayerService\'']
+        ]);
+        assert.strictEqual(edit.size, 2, 'Both requiring files should be edited');
+
+        const oldPath = path.join(testWorkspacePath, 'src/Server/Systems/PlayerManager.luau');
+        const newPath = path.join(testWorkspacePath, 'src/Server/Systems/PlayerService.luau');
+        assert.ok(consumeProviderRename(oldPath, newPath), 'The Explorer rename flow should skip the rename');
+        assert.ok(!consumeProviderRename(oldPath, newPath), 'The rename should only be skipped once');
+
+        await applyRename(edit, 'src/Server/Systems/PlayerManager.luau', 'src/Server/Systems/PlayerService.luau');
+    });
+
+    test('Should rename the folder of an init module and the requires below it', async () => {
+        const edit = renameProvider.provideRenameEdits(openServerMain(), new vscode.Position(2, 26), 'Helpers');
+
+        assert.deepStrictEqual(describeEdits(edit), [
+            ['src/Server/ServerMain.luau', 2, '"@Helpers"'],
+            ['src/Server/ServerMain.luau', 3, '"@Shared/Helpers/StringUtils"']
+        ]);
+        assert.ok(consumeProviderRename(path.join(testWorkspacePath, 'src/Shared/Utils'), path.join(testWorkspacePath, 'src/Shared/Helpers')));
+
+        await applyRename(edit, 'src/Shared/Utils', 'src/Shared/Helpers');
+    });
+
+    test('Should forget provider renames that were never applied', () => {
+        renameProvider.provideRenameEdits(openServerMain(), new vscode.Position(0, 35), 'PlayerService');
+
+        // The user cancelled the rename, then renamed other files
+        clearProviderRenames();
+        const oldPath = path.join(testWorkspacePath, 'src/Server/Systems/PlayerManager.luau');
+        const newPath = path.join(testWorkspacePath, 'src/Server/Systems/PlayerService.luau');
+        assert.ok(!consumeProviderRename(oldPath, newPath), 'A later Explorer rename of the same file should update its requires');
+    });
+
+    test('Should reject names that collide with existing aliases or are invalid', () => {
+        const document = openServerMain();
+        const position = new vscode.Position(0, 35);
+
+        assert.throws(() => renameProvider.provideRenameEdits(document, position, 'Config'), /@Config already exists/);
+        assert.throws(() => renameProvider.provideRenameEdits(document, position, 'StringUtils'), /@StringUtils already exists/);
+        assert.throws(() => renameProvider.provideRenameEdits(document, position, 'Player Service'), /not a valid module name/);
+        assert.throws(() => renameProvider.prepareRename(document, new vscode.Position(0, 2)), /require\("@\.\.\."\)/);
+    });
+});
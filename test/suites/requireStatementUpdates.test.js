@@ -4,7 +4,7 @@ const path = require('path');
 const fs = require('fs');
 
 // Import extension modules for testing
-const { updateRequireNames } = require('../../src/features/updateRequireNames');
+const { addRequireUpdateEdits, resolveFilenameCollision } = require('../../src/features/updateRequireNames');
 
 // Import shared test utilities
 const {
@@ -37,36 +37,65 @@ suite('Require Statement Update Tests', () => {
         }
     });
 
-    test('Should detect file rename operation', () => {
+    const relative = uri => path.relative(testWorkspacePath, uri.fsPath).replace(/\\/g, '/');
+
+    // Creates a workspace edit that also records the metadata each replacement is added with
+    function createSpiedEdit() {
+        const edit = new vscode.WorkspaceEdit();
+        const metadata = [];
+        const replace = edit.replace.bind(edit);
+        edit.replace = (uri, range, newText, entryMetadata) => {
+            metadata.push(entryMetadata);
+            return replace(uri, range, newText, entryMetadata);
+        };
+        return { edit, metadata };
+    }
+
+    // The text edits of a workspace edit as [file, line, start character, end character, new text]
+    const describeEdits = edit => edit.entries().flatMap(([uri, textEdits]) =>
+        textEdits.map(({ range, newText }) => [relative(uri), range.start.line, range.start.character, range.end.character, newText]));
+
+    test('Should update basename requires in one previewed edit before a rename', () => {
         const oldPath = path.join(testWorkspacePath, 'src/Server/OldName.luau');
         const newPath = path.join(testWorkspacePath, 'src/Server/NewName.luau');
+        const requiringPath = path.join(testWorkspacePath, 'src/Client/UsesOldName.luau');
+        const requiringContent = 'local A = require("@OldName")\nlocal B = require(\'@OldName\')\nlocal C = require("@OldNameTwo")';
         
         fs.writeFileSync(oldPath, 'return {}');
+        fs.writeFileSync(requiringPath, requiringContent);
         
         const messages = mockVSCodeMessages();
         const restore = mockWorkspaceConfig(testWorkspaceUri);
 
         try {
-            fs.renameSync(oldPath, newPath);
-            updateRequireNames(newPath, oldPath);
-            
-            assert.ok(messages.captured.info.some(msg => 
-                msg.includes('renamed') && msg.includes('OldName') && msg.includes('NewName')
-            ), 'Should detect rename operation and show appropriate message');
+            const { edit, metadata } = createSpiedEdit();
+            assert.strictEqual(addRequireUpdateEdits(edit, newPath, oldPath), 2);
+
+            assert.deepStrictEqual(describeEdits(edit), [
+                ['src/Client/UsesOldName.luau', 0, 19, 27, '@NewName'],
+                ['src/Client/UsesOldName.luau', 1, 19, 27, '@NewName']
+            ], 'Only the require paths should be replaced, keeping their quotes');
+            assert.deepStrictEqual(metadata, [
+                { label: 'Update require statements from @OldName to @NewName', needsConfirmation: true },
+                { label: 'Update require statements from @OldName to @NewName', needsConfirmation: true }
+            ], 'The edit should open in the refactor preview');
+            assert.strictEqual(fs.readFileSync(requiringPath, 'utf8'), requiringContent, 'Files should not be written directly');
+            assert.deepStrictEqual(messages.captured.info, [], 'No toast should be shown per file');
         } finally {
             messages.restore();
             restore();
-            cleanupTestFiles(testWorkspacePath, ['src/Server/OldName.luau', 'src/Server/NewName.luau']);
+            cleanupTestFiles(testWorkspacePath, ['src/Server/OldName.luau', 'src/Client/UsesOldName.luau']);
         }
     });
 
-    test('Should detect file move operation', () => {
+    test('Should update absolute requires before a move between alias directories', () => {
         const oldPath = path.join(testWorkspacePath, 'src/Server/TestFile.luau');
         const newPath = path.join(testWorkspacePath, 'src/Shared/TestFile.luau');
+        const requiringPath = path.join(testWorkspacePath, 'src/Client/UsesTestFile.luau');
         
         fs.writeFileSync(oldPath, 'return {}');
+        fs.writeFileSync(requiringPath, 'local TestFile = require("@Server/TestFile")');
         
-        const messages = mockVSCodeMessages();
         const restore = mockWorkspaceConfig(testWorkspaceUri, {
             manualAliases: {
                 '@Server': 'src/Server',
@@ -77,18 +106,57 @@ suite('Require Statement Update Tests', () => {
         });
 
         try {
+            const { edit, metadata } = createSpiedEdit();
+            addRequireUpdateEdits(edit, newPath, oldPath);
+
+            assert.deepStrictEqual(describeEdits(edit), [['src/Client/UsesTestFile.luau', 0, 26, 42, '@Shared/TestFile']]);
+            assert.deepStrictEqual(metadata, [
+                { label: 'Update absolute require paths from "@Server/TestFile" to "@Shared/TestFile"', needsConfirmation: true }
+            ]);
+        } finally {
+            restore();
+            cleanupTestFiles(testWorkspacePath, ['src/Server/TestFile.luau', 'src/Client/UsesTestFile.luau']);
+        }
+    });
+
+    test('Should update requires to the duplicate name of a colliding rename', async () => {
+        const oldPath = path.join(testWorkspacePath, 'src/Server/Settings.luau');
+        const newPath = path.join(testWorkspacePath, 'src/Server/Config.luau');
+        const requiringPath = path.join(testWorkspacePath, 'src/Client/UsesSettings.luau');
+        
+        fs.writeFileSync(oldPath, 'return {}');
+        fs.writeFileSync(requiringPath, 'local Settings = require("@Settings")');
+        
+        const messages = mockVSCodeMessages();
+        const restore = mockWorkspaceConfig(testWorkspaceUri, { enableFileNameCollisionResolution: true });
+
+        try {
+            const edit = new vscode.WorkspaceEdit();
+            addRequireUpdateEdits(edit, newPath, oldPath);
+            assert.deepStrictEqual(describeEdits(edit).map(entry => entry[4]), ['@Config_Duplicate'], 'src/Shared/Config.luau already uses the name');
+
             fs.renameSync(oldPath, newPath);
-            updateRequireNames(newPath, oldPath);
-            
-            assert.ok(messages.captured.info.some(msg => 
-                msg.includes('absolute require paths') && 
-                msg.includes('@Server/TestFile') && 
-                msg.includes('@Shared/TestFile')
-            ), 'Should prompt for absolute path updates');
+            const originalApplyEdit = vscode.workspace.applyEdit;
+            let appliedEdit;
+            vscode.workspace.applyEdit = edit => {
+                appliedEdit = edit;
+                // The "_Duplicate" rename should not update the requires of the file it collided with
+                const followUp = new vscode.WorkspaceEdit();
+                assert.strictEqual(addRequireUpdateEdits(followUp, path.join(testWorkspacePath, 'src/Server/Config_Duplicate.luau'), newPath), 0);
+                return originalApplyEdit(edit);
+            };
+            try {
+                await resolveFilenameCollision(newPath, oldPath);
+            } finally {
+                vscode.workspace.applyEdit = originalApplyEdit;
+            }
+            assert.ok(appliedEdit, 'The duplicate name should be applied through a workspace edit');
+            assert.ok(fs.existsSync(path.join(testWorkspacePath, 'src/Server/Config_Duplicate.luau')), 'The renamed file should get the duplicate name');
+            assert.ok(messages.captured.warning.some(msg => msg.includes('Config_Duplicate')));
         } finally {
             messages.restore();
             restore();
-            cleanupTestFiles(testWorkspacePath, ['src/Server/TestFile.luau', 'src/Shared/TestFile.luau']);
+            cleanupTestFiles(testWorkspacePath, ['src/Server/Settings.luau', 'src/Server/Config.luau', 'src/Server/Config_Duplicate.luau', 'src/Client/UsesSettings.luau']);
         }
     });
 
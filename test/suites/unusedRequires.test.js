@@ -0,0 +1,121 @@
+const assert = require('assert');
+const vscode = require('vscode');
+const path = require('path');
+const fs = require('fs');
+
+// Import extension modules for testing
+const { removeUnusedRequires, removeAllUnusedRequires } = require('../../src/features/unusedRequires');
+
+// Import shared test utilities
+const {
+    mockWorkspaceConfig,
+    mockVSCodeMessages,
+    createMockDocument,
+    createTestFiles,
+    setupTestWorkspace
+} = require('../utils/testUtils');
+
+suite('Unused Requires Tests', () => {
+    vscode.window.showInformationMessage('Starting Unused Requires tests...');
+
+    let testWorkspaceUri;
+    let testWorkspacePath;
+    let restore;
+
+    suiteSetup(async () => {
+        testWorkspaceUri = vscode.Uri.file(path.join(__dirname, 'unused-requires-test-workspace'));
+        testWorkspacePath = testWorkspaceUri.fsPath;
+
+        if (!fs.existsSync(testWorkspacePath)) {
+            fs.mkdirSync(testWorkspacePath, { recursive: true });
+        }
+
+        await setupTestWorkspace(testWorkspacePath);
+        restore = mockWorkspaceConfig(testWorkspaceUri);
+    });
+
+    suiteTeardown(async () => {
+        restore();
+        if (fs.existsSync(testWorkspacePath)) {
+            fs.rmSync(testWorkspacePath, { recursive: true, force: true });
+        }
+    });
+
+    test('Should remove only the requires whose local is never used', () => {
+        const { content, removed } = removeUnusedRequires([
+            'local Config = require("@Config")',
+            'local StringUtils = require("@StringUtils")',
+            'local Players = require("@Players")',
+            'local text = [[',
+            'Players',
+            ']]',
+            'return StringUtils.trim(text)'
+        ].join('\n'));
+
+        assert.deepStrictEqual(removed.map(entry => entry.name), ['Config', 'Players'], 'Names in long strings should not count as uses');
+        assert.strictEqual(content, [
+            'local StringUtils = require("@StringUtils")',
+            'local text = [[',
+            'Players',
+            ']]',
+            'return StringUtils.trim(text)'
+        ].join('\n'));
+    });
+
+    test('Should count uses inside string interpolations', () => {
+        const { removed } = removeUnusedRequires([
+            'local Logger = require("@Logger")',
+            'local Config = require("@Config")',
+            'local Players = require("@Players")',
+            'local Signal = require("@Signal")',
+            'print(`{Logger}: {Config.Name} \\{Signal}`)',
+            'print(`{ { "}" } } Players`)'
+        ].join('\n'));
+
+        assert.deepStrictEqual(removed.map(entry => entry.name), ['Players', 'Signal'], 'Only the text outside of interpolation braces should be ignored');
+    });
+
+    test('Should remove unused requires of the given folders in one refactor edit', async () => {
+        createTestFiles(testWorkspacePath, {
+            'src/Server/Unused.luau': 'local Config = require("@Config")\nlocal StringUtils = require("@StringUtils")\n\nreturn StringUtils',
+            'src/Client/Used.luau': 'local Config = require("@Config")\n\nreturn Config',
+            'src/Shared/Trailing.luau': 'return nil\nlocal Config = require("@Config")',
+            'Outside/Unused.luau': 'local Config = require("@Config")\n\nreturn nil'
+        });
+        const usedPath = path.join(testWorkspacePath, 'src/Client/Used.luau');
+
+        // Used.luau is open with an unsaved change that drops the use of Config
+        const textDocuments = Object.getOwnPropertyDescriptor(vscode.workspace, 'textDocuments');
+        Object.defineProperty(vscode.workspace, 'textDocuments', {
+            value: [createMockDocument(usedPath, 'local Config = require("@Config")\n\nreturn nil')],
+            configurable: true
+        });
+        const applied = [];
+        const originalApplyEdit = vscode.workspace.applyEdit;
+        vscode.workspace.applyEdit = (edit, options) => { applied.push({ edit, options }); return Promise.resolve(true); };
+        const messages = mockVSCodeMessages();
+        try {
+            assert.strictEqual(await removeAllUnusedRequires(vscode.workspace.workspaceFolders), 3);
+            assert.ok(messages.captured.info.some(message => message.includes('Removed 3 unused require(s) in 3 file(s)')), messages.captured.info.join('\n'));
+        } finally {
+            messages.restore();
+            vscode.workspace.applyEdit = originalApplyEdit;
+            Object.defineProperty(vscode.workspace, 'textDocuments', textDocuments);
+        }
+
+        assert.strictEqual(applied.length, 1, 'Every file should be changed by one workspace edit');
+        const { edit, options } = applied[0];
+        assert.deepStrictEqual(options, { isRefactoring: true });
+        const deletions = edit.entries().map(([uri, textEdits]) => [
+            path.relative(testWorkspacePath, uri.fsPath).replace(/\\/g, '/'),
+            ...textEdits.map(({ range, newText }) => [range.start.line, range.start.character, range.end.line, range.end.character, newText])
+        ]).sort((a, b) => a[0].localeCompare(b[0]));
+        assert.deepStrictEqual(deletions, [
+            ['src/Client/Used.luau', [0, 0, 1, 0, '']],
+            ['src/Server/Unused.luau', [0, 0, 1, 0, '']],
+            ['src/Shared/Trailing.luau', [0, 'return nil'.length, 1, 'local Config = require("@Config")'.length, '']]
+        ], 'Open files should be read from their buffer, and files outside the scan roots left alone');
+        assert.strictEqual(fs.readFileSync(path.join(testWorkspacePath, 'src/Server/Unused.luau'), 'utf8').split('\n')[0], 'local Config = require("@Config")',
+            'Files should not be written directly');
+    });
+});
@@ -87,6 +87,18 @@ function createMockEditor(languageId = 'luau', content = '') {
     };
 }
 
+function createMockDocument(filePath, content = '', languageId = 'luau') {
+    const lines = content.split(/\r?\n/);
+    return {
+        uri: vscode.Uri.file(filePath),
+        fileName: filePath,
+        languageId,
+        lineCount: lines.length,
+        getText: () => content,
+        lineAt: (line) => ({ text: lines[typeof line === 'number' ? line : line.line] })
+    };
+}
+
 function mockVSCodeMessages(handlers = {}) {
     const originals = {
         showInformationMessage: vscode.window.showInformationMessage,
@@ -185,6 +197,7 @@ module.exports = {
     createMockConfig,
     mockWorkspaceConfig,
     createMockEditor,
+    createMockDocument,
     mockVSCodeMessages,
     createTestFiles,
     cleanupTestFiles,